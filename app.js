@@ -48,12 +48,22 @@ app.set('layout extractStyles', true);
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Contract error messages shared with the server (window.ContractErrors)
+app.get('/js/contract-errors.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'src/utils/contractErrors.js'));
+});
+
 // Import telegram middleware
 const { telegramAuth } = require('./src/middleware/telegram');
 app.use(telegramAuth);
 
+// Mainnet / testnet selection for this request
+const { selectNetwork, getDefaultLocals } = require('./src/middleware/network');
+Object.assign(app.locals, getDefaultLocals());
+app.use(selectNetwork);
+
 // Import routes with error handling
-let indexRoutes, membershipRoutes, walletRoutes, apiRoutes, webhookRoutes;
+let indexRoutes, membershipRoutes, walletRoutes, apiRoutes, webhookRoutes, adminRoutes, nftRoutes;
 
 try {
     indexRoutes = require('./src/routes/index');
@@ -117,12 +127,34 @@ try {
     });
 }
 
+try {
+    adminRoutes = require('./src/routes/admin');
+} catch (error) {
+    console.log('🛠️ Admin routes not found, creating fallback...');
+    adminRoutes = express.Router();
+    adminRoutes.all('*', (req, res) => {
+        res.status(404).json({ error: 'Admin routes not configured' });
+    });
+}
+
+try {
+    nftRoutes = require('./src/routes/nft');
+} catch (error) {
+    console.log('🖼️ NFT routes not found, creating fallback...');
+    nftRoutes = express.Router();
+    nftRoutes.all('*', (req, res) => {
+        res.status(404).json({ error: 'NFT metadata routes not configured' });
+    });
+}
+
 // Routes
 app.use('/', indexRoutes);
 app.use('/membership', membershipRoutes);
 app.use('/wallet', walletRoutes);
 app.use('/api', apiRoutes);
 app.use('/webhook', webhookRoutes);
+app.use('/admin', adminRoutes);
+app.use('/nft', nftRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -246,10 +278,17 @@ async function initializeTelegramBot() {
 // Initialize Event Listener
 async function initializeEventListener() {
     try {
-        if (process.env.CONTRACT_ADDRESS && process.env.RPC_URL) {
+        if (process.env.CONTRACT_ADDRESS && (process.env.RPC_URL || process.env.RPC_URLS)) {
             console.log('🎧 Initializing Contract Event Listener...');
             const ContractEventListener = require('./src/services/eventListener');
-            global.eventListener = new ContractEventListener();
+            const web3Config = require('./src/config/web3');
+            
+            // One ingestion loop per configured network
+            global.eventListeners = web3Config.getNetworks().map(network => {
+                const listener = new ContractEventListener(network.chainId);
+                listener.start();
+                return listener;
+            });
             global.eventListenerActive = true;
             console.log('✅ Event Listener initialized successfully');
         } else {
@@ -262,13 +301,67 @@ async function initializeEventListener() {
     }
 }
 
+// Initialize on-chain reconciliation schedule
+async function initializeReconciliation() {
+    try {
+        if (process.env.CONTRACT_ADDRESS && (process.env.RPC_URL || process.env.RPC_URLS) && process.env.RECONCILIATION_ENABLED !== 'false') {
+            const reconciliationService = require('./src/services/reconciliationService');
+            reconciliationService.start();
+            global.reconciliationActive = true;
+        } else {
+            console.log('⚠️  Reconciliation disabled, skipping schedule');
+            global.reconciliationActive = false;
+        }
+    } catch (error) {
+        console.error('❌ Reconciliation initialization error:', error);
+        global.reconciliationActive = false;
+    }
+}
+
+// Initialize "you can upgrade now" reminders
+async function initializeUpgradeReminders() {
+    try {
+        if (global.telegramBotActive && process.env.CONTRACT_ADDRESS && (process.env.RPC_URL || process.env.RPC_URLS) && process.env.UPGRADE_REMINDERS_ENABLED !== 'false') {
+            require('./src/services/upgradeService').start();
+            global.upgradeRemindersActive = true;
+        } else {
+            console.log('⚠️  Upgrade reminders disabled, skipping schedule');
+            global.upgradeRemindersActive = false;
+        }
+    } catch (error) {
+        console.error('❌ Upgrade reminder initialization error:', error);
+        global.upgradeRemindersActive = false;
+    }
+}
+
+// Keep watching purchases that were confirming when the server stopped
+async function initializePurchaseSessions() {
+    try {
+        if (process.env.CONTRACT_ADDRESS && (process.env.RPC_URL || process.env.RPC_URLS)) {
+            await require('./src/services/purchaseService').resumePending();
+        }
+    } catch (error) {
+        console.error('❌ Purchase session resume error:', error);
+    }
+}
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down gracefully...');
     
-    // Stop event listener
-    if (global.eventListener) {
-        global.eventListener.stop();
+    // Stop event listeners
+    if (global.eventListeners) {
+        global.eventListeners.forEach(listener => listener.stop());
+    }
+    
+    // Stop reconciliation schedule
+    if (global.reconciliationActive) {
+        require('./src/services/reconciliationService').stop();
+    }
+    
+    // Stop upgrade reminders
+    if (global.upgradeRemindersActive) {
+        require('./src/services/upgradeService').stop();
     }
     
     // Close database connection
@@ -300,10 +393,15 @@ app.listen(PORT, async () => {
     // Initialize services after server starts
     await initializeTelegramBot();
     await initializeEventListener();
+    await initializeReconciliation();
+    await initializeUpgradeReminders();
+    await initializePurchaseSessions();
     
     console.log('\n🎉 All services initialized!');
     console.log(`Bot Status: ${global.telegramBotActive ? '✅ Active' : '❌ Inactive'}`);
     console.log(`Event Listener: ${global.eventListenerActive ? '✅ Active' : '❌ Inactive'}`);
+    console.log(`Reconciliation: ${global.reconciliationActive ? '✅ Scheduled' : '❌ Inactive'}`);
+    console.log(`Upgrade Reminders: ${global.upgradeRemindersActive ? '✅ Scheduled' : '❌ Inactive'}`);
 });
 
 module.exports = app;
\ No newline at end of file
@@ -34,6 +34,13 @@ class CryptoMembershipApp {
         
         // Modal handlers
         this.setupModalHandlers();
+        
+        // Mainnet / testnet switcher
+        document.addEventListener('change', (event) => {
+            if (event.target.matches('[data-network-switch]')) {
+                this.switchNetwork(event.target.value);
+            }
+        });
     }
 
     initializeComponents() {
@@ -343,8 +350,50 @@ class CryptoMembershipApp {
     }
 
     handleChainChanged(chainId) {
-        if (chainId !== '0x38') { // BSC Chain ID
-            this.showAlert('Please switch to Binance Smart Chain');
+        if (parseInt(chainId, 16) !== parseInt(window.APP_DATA?.chainId || '56')) {
+            this.showAlert('Please switch to the selected network');
+        }
+    }
+
+    // Switch the session to another configured network, then move the wallet over too
+    async switchNetwork(chainId) {
+        try {
+            const response = await fetch('/api/network', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ chainId })
+            });
+            
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Network switch failed');
+            }
+            
+            if (window.ethereum) {
+                try {
+                    await window.ethereum.request({
+                        method: 'wallet_switchEthereumChain',
+                        params: [{ chainId: result.switchParams.chainId }]
+                    });
+                } catch (switchError) {
+                    // Network not added to the wallet yet
+                    if (switchError.code === 4902) {
+                        await window.ethereum.request({
+                            method: 'wallet_addEthereumChain',
+                            params: [result.switchParams]
+                        });
+                    } else {
+                        console.warn('Wallet network switch skipped:', switchError.message);
+                    }
+                }
+            }
+            
+            window.location.reload();
+        } catch (error) {
+            console.error('Network switch error:', error);
+            this.showAlert(error.message);
         }
     }
 
@@ -258,16 +258,40 @@ class WalletManager {
         });
     }
 
-    // Save connection to backend
+    // Prove wallet ownership (Sign-In With Ethereum) and save connection to backend
     async saveConnection() {
         try {
+            // Ask the server for a single-use sign-in message
+            const nonceResponse = await fetch('/wallet/api/nonce', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    walletAddress: this.walletAddress
+                })
+            });
+
+            const challenge = await nonceResponse.json();
+
+            if (!nonceResponse.ok) {
+                throw new Error(challenge.error || 'Failed to start wallet verification');
+            }
+
+            const provider = this.currentWallet === 'binancewallet' ? window.BinanceChain : window.ethereum;
+            const signature = await provider.request({
+                method: 'personal_sign',
+                params: [challenge.message, this.walletAddress]
+            });
+
             const response = await fetch('/wallet/api/connect', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    walletAddress: this.walletAddress,
+                    message: challenge.message,
+                    signature: signature,
                     walletType: this.currentWallet
                 })
             });
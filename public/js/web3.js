@@ -27,6 +27,9 @@ class Web3Manager {
             // Initialize contract
             await this.initContract();
             
+            // Pick up a purchase left mid-way
+            await this.resumePurchase();
+            
         } catch (error) {
             console.error('Web3 initialization error:', error);
         }
@@ -170,121 +173,298 @@ class Web3Manager {
         });
     }
     
-    async registerMember(planId, uplineAddress) {
-        if (!this.contract || !this.signer) {
-            throw new Error('Contract not initialized or wallet not connected');
-        }
+    // Plan purchases run as a server-tracked session (approve → register/upgrade → confirmed),
+    // so closing the Mini App mid-way resumes at the same step on reopen
+    async purchasePlan(planId) {
+        const result = await this.postPurchase('/api/purchase', { planId });
+        
+        this.showPurchaseStep(result.purchase);
+        return result.purchase;
+    }
+    
+    async resumePurchase() {
+        if (!window.APP_DATA.user || !window.Telegram?.WebApp) return;
         
         try {
-            // Get plan info
-            const planInfo = await this.contract.getPlanInfo(planId);
-            const planPrice = planInfo.price;
-            
-            // Check USDT approval
-            const usdtContract = new ethers.Contract(
-                window.APP_DATA.usdtAddress,
-                ['function approve(address spender, uint256 amount) external returns (bool)',
-                 'function allowance(address owner, address spender) external view returns (uint256)',
-                 'function balanceOf(address account) external view returns (uint256)'],
-                this.signer
-            );
+            const response = await fetch('/api/purchase');
+            if (!response.ok) return;
             
-            const currentAllowance = await usdtContract.allowance(
-                await this.signer.getAddress(),
-                this.contractAddress
-            );
-            
-            // Approve USDT if needed
-            if (currentAllowance.lt(planPrice)) {
-                window.Telegram.WebApp.showAlert('Approving USDT...');
-                const approveTx = await usdtContract.approve(this.contractAddress, planPrice);
-                await approveTx.wait();
+            const { purchase } = await response.json();
+            if (purchase) {
+                this.showPurchaseStep(purchase);
             }
-            
-            // Register member
-            window.Telegram.WebApp.showAlert('Registering membership...');
-            const tx = await this.contract.registerMember(planId, uplineAddress);
-            const receipt = await tx.wait();
-            
-            // Update backend
-            await this.updateBackend(tx.hash, planId);
-            
-            return receipt;
-            
         } catch (error) {
-            console.error('Registration error:', error);
-            throw error;
+            console.error('Purchase resume error:', error);
         }
     }
     
-    async upgradePlan(newPlanId) {
-        if (!this.contract || !this.signer) {
-            throw new Error('Contract not initialized or wallet not connected');
+    // One MainButton per step; pending steps poll until the server has seen the confirmations
+    showPurchaseStep(purchase) {
+        const mainButton = window.Telegram.WebApp.MainButton;
+        const step = `Step ${purchase.step}/${purchase.steps.length}`;
+        
+        clearTimeout(this.purchasePoll);
+        if (this.purchaseHandler) {
+            mainButton.offClick(this.purchaseHandler);
+            this.purchaseHandler = null;
         }
+        mainButton.hideProgress();
+        
+        switch (purchase.status) {
+            case 'awaiting_approval':
+                this.setPurchaseButton(`${step}: Approve ${purchase.amountFormatted} USDT`, purchase);
+                break;
+                
+            case 'awaiting_purchase':
+                this.setPurchaseButton(`${step}: ${purchase.action === 'upgrade' ? 'Upgrade to' : 'Register'} ${purchase.planName}`, purchase);
+                break;
+                
+            case 'approval_pending':
+            case 'purchase_pending':
+                mainButton.setText(`${step}: Confirming...`);
+                mainButton.show();
+                mainButton.showProgress(false);
+                this.purchasePoll = setTimeout(() => this.pollPurchase(purchase), 4000);
+                break;
+                
+            case 'confirmed':
+                mainButton.hide();
+                this.closePurchase(purchase);
+                window.Telegram.WebApp.showAlert(`${purchase.planName} is active!`, () => window.location.reload());
+                break;
+                
+            default:
+                // failed, expired or cancelled
+                mainButton.hide();
+                this.closePurchase(purchase);
+                window.Telegram.WebApp.showAlert(purchase.error
+                    ? `${purchase.error.message} ${purchase.error.action}`
+                    : 'The purchase was not completed. Please start again.');
+        }
+    }
+    
+    setPurchaseButton(text, purchase) {
+        const mainButton = window.Telegram.WebApp.MainButton;
+        
+        this.purchaseHandler = () => this.sendPurchaseStep(purchase);
+        mainButton.setText(text);
+        mainButton.onClick(this.purchaseHandler);
+        mainButton.enable();
+        mainButton.show();
+    }
+    
+    // Sign the current step and hand the hash to the server, which waits for the confirmations
+    async sendPurchaseStep(purchase) {
+        const mainButton = window.Telegram.WebApp.MainButton;
         
         try {
-            // Get current and new plan info
-            const newPlanInfo = await this.contract.getPlanInfo(newPlanId);
-            const memberInfo = await this.contract.members(await this.signer.getAddress());
-            const currentPlanInfo = await this.contract.getPlanInfo(memberInfo.planId);
+            if (!this.signer && !await this.connectWallet()) return;
             
-            const priceDifference = newPlanInfo.price.sub(currentPlanInfo.price);
-            
-            // Check USDT approval for upgrade
-            const usdtContract = new ethers.Contract(
-                window.APP_DATA.usdtAddress,
-                ['function approve(address spender, uint256 amount) external returns (bool)',
-                 'function allowance(address owner, address spender) external view returns (uint256)'],
-                this.signer
-            );
-            
-            const currentAllowance = await usdtContract.allowance(
-                await this.signer.getAddress(),
-                this.contractAddress
-            );
-            
-            if (currentAllowance.lt(priceDifference)) {
-                window.Telegram.WebApp.showAlert('Approving USDT for upgrade...');
-                const approveTx = await usdtContract.approve(this.contractAddress, priceDifference);
-                await approveTx.wait();
+            const address = await this.signer.getAddress();
+            if (address.toLowerCase() !== purchase.walletAddress) {
+                throw new Error(`Switch your wallet to ${purchase.walletAddress.substring(0, 6)}...${purchase.walletAddress.substring(38)} to continue`);
             }
             
-            // Upgrade plan
-            window.Telegram.WebApp.showAlert('Upgrading plan...');
-            const tx = await this.contract.upgradePlan(newPlanId);
-            const receipt = await tx.wait();
+            mainButton.showProgress(false);
             
-            // Update backend
-            await this.updateBackend(tx.hash, newPlanId);
+            let tx;
+            if (purchase.status === 'awaiting_approval') {
+                const usdtContract = new ethers.Contract(
+                    window.APP_DATA.usdtAddress,
+                    ['function approve(address spender, uint256 amount) external returns (bool)'],
+                    this.signer
+                );
+                tx = await usdtContract.approve(this.contractAddress, purchase.amount);
+            } else if (purchase.action === 'upgrade') {
+                tx = await this.contract.upgradePlan(purchase.planId);
+            } else {
+                tx = await this.contract.registerMember(purchase.planId, purchase.uplineAddress);
+            }
             
-            return receipt;
+            const result = await this.postPurchase(`/api/purchase/${purchase.id}/transaction`, {
+                transactionHash: tx.hash
+            });
+            this.showPurchaseStep(result.purchase);
             
         } catch (error) {
-            console.error('Upgrade error:', error);
-            throw error;
+            console.error('Purchase step error:', error);
+            mainButton.hideProgress();
+            window.Telegram.WebApp.showAlert(this.describeError(error));
         }
     }
     
-    async updateBackend(txHash, planId) {
+    async pollPurchase(purchase) {
         try {
-            const response = await fetch('/api/membership/update', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    transactionHash: txHash,
-                    planId: planId,
-                    walletAddress: await this.signer.getAddress()
-                })
-            });
+            const response = await fetch('/api/purchase');
+            const result = await response.json();
             
-            if (!response.ok) {
-                console.error('Backend update failed');
+            if (result.purchase) {
+                this.showPurchaseStep(result.purchase);
+            } else {
+                window.Telegram.WebApp.MainButton.hide();
             }
         } catch (error) {
-            console.error('Backend update error:', error);
+            console.error('Purchase poll error:', error);
+            this.purchasePoll = setTimeout(() => this.pollPurchase(purchase), 4000);
+        }
+    }
+    
+    // Finished sessions are dismissed once shown, so they are not resumed again
+    async closePurchase(purchase) {
+        try {
+            await this.postPurchase(`/api/purchase/${purchase.id}/close`, {});
+        } catch (error) {
+            console.error('Purchase close error:', error);
+        }
+    }
+    
+    async postPurchase(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Purchase request failed');
+        }
+        return result;
+    }
+    
+    // Network fee for buying a plan from this wallet (approve + register/upgrade), priced by the server's gas oracle
+    async getGasQuote(planId, walletAddress) {
+        const params = new URLSearchParams({ planId });
+        if (walletAddress) params.set('walletAddress', walletAddress);
+        
+        const response = await fetch(`/api/gas?${params}`);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to estimate network fee');
+        }
+        return result;
+    }
+    
+    // Cooldown and next plan for the upgrade page; see GET /api/membership/upgrade-status
+    async getUpgradeStatus(walletAddress) {
+        const params = new URLSearchParams();
+        if (walletAddress) params.set('walletAddress', walletAddress);
+        
+        const response = await fetch(`/api/membership/upgrade-status?${params}`);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load upgrade status');
+        }
+        return result;
+    }
+    
+    // Clear the contract's upgrade lock once the cooldown has run out
+    async unlockUpgrade() {
+        if (!this.signer && !await this.connectWallet()) return null;
+        
+        const tx = await this.contract.checkUpgradeStatus(await this.signer.getAddress());
+        return await tx.wait();
+    }
+    
+    // Refund estimate and 30-day lock for the exit page; see GET /api/membership/exit-preview
+    async getExitPreview(walletAddress) {
+        const params = new URLSearchParams();
+        if (walletAddress) params.set('walletAddress', walletAddress);
+        
+        const response = await fetch(`/api/membership/exit-preview?${params}`);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load exit preview');
+        }
+        return result;
+    }
+    
+    // Send exitMembership, then let the server verify MemberExited and deactivate the membership
+    async exitMembership() {
+        if (!this.signer && !await this.connectWallet()) return null;
+        
+        const tx = await this.contract.exitMembership();
+        await tx.wait();
+        
+        const response = await fetch('/membership/api/exit', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ transactionHash: tx.hash })
+        });
+        let result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to record exit');
+        }
+        
+        // 202: the server is still waiting for confirmations, poll until it has recorded the exit
+        for (let poll = 0; result.status === 'pending' && poll < 60; poll++) {
+            await new Promise(resolve => setTimeout(resolve, 3000));
+            
+            const statusResponse = await fetch(`/membership/api/exit/${tx.hash}`);
+            result = await statusResponse.json();
+            
+            if (!statusResponse.ok) {
+                throw new Error(result.error || 'Failed to record exit');
+            }
+        }
+        
+        if (result.status !== 'confirmed') {
+            throw new Error(result.error || 'The exit is still being confirmed, check again shortly');
+        }
+        return result;
+    }
+    
+    // Server-side simulation of register/upgrade/exit; resolves to { ready, checks: [{ label, status, message, action }] }
+    async runPreflight(planId, walletAddress, action) {
+        const params = new URLSearchParams();
+        if (planId) params.set('planId', planId);
+        if (walletAddress) params.set('walletAddress', walletAddress);
+        if (action) params.set('action', action);
+        
+        const response = await fetch(`/api/membership/preflight?${params}`);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Pre-flight check failed');
         }
+        return result;
+    }
+    
+    renderPreflight(result, container) {
+        const icons = { pass: '✅', warn: '⚠️', fail: '❌' };
+        
+        container.innerHTML = result.checks.map(check => `
+            <div class="preflight-check ${check.status}">
+                <span class="preflight-icon">${icons[check.status]}</span>
+                <div>
+                    <div class="preflight-label">${check.label}</div>
+                    <div class="preflight-message">${check.message}</div>
+                    ${check.status === 'fail' && check.action ? `<div class="preflight-action">${check.action}</div>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    // Friendly message for wallet and contract errors in the Telegram user's language
+    describeError(error) {
+        const { code, message, action } = window.ContractErrors.describeContractError(error, {
+            language: window.APP_DATA?.telegramUser?.language_code || navigator.language,
+            contractInterface: this.contract?.interface
+        });
+        
+        // Errors raised by the app itself (server responses, wrong wallet) carry no wallet error code
+        if (code === 'Unknown' && !error.code && error.message) {
+            return error.message;
+        }
+        return `${message} ${action}`;
     }
 }
 
@@ -304,33 +484,11 @@ async function registerOrUpgradeMembership(planId) {
             return;
         }
         
-        // Check if user is already a member
-        const memberInfo = await window.web3Manager.contract.members(address);
-        const isExistingMember = memberInfo.planId.gt(0);
-        
-        if (isExistingMember) {
-            // Upgrade
-            await window.web3Manager.upgradePlan(planId);
-            window.Telegram.WebApp.showAlert('Plan upgraded successfully!');
-        } else {
-            // New registration
-            const uplineAddress = getUplineFromReferral() || window.APP_DATA.ownerAddress;
-            await window.web3Manager.registerMember(planId, uplineAddress);
-            window.Telegram.WebApp.showAlert('Membership registered successfully!');
-        }
-        
-        // Refresh page after successful transaction
-        setTimeout(() => {
-            window.location.reload();
-        }, 2000);
+        // The server picks register or upgrade and walks the user through each signature
+        await window.web3Manager.purchasePlan(planId);
         
     } catch (error) {
         console.error('Transaction error:', error);
-        window.Telegram.WebApp.showAlert(`Transaction failed: ${error.message}`);
+        window.Telegram.WebApp.showAlert(window.web3Manager.describeError(error));
     }
 }
-
-function getUplineFromReferral() {
-    const referralData = JSON.parse(localStorage.getItem('referralData') || '{}');
-    return referralData.address || null;
-}
\ No newline at end of file
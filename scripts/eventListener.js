@@ -9,10 +9,11 @@ if (process.env.PROCESS_TYPE !== 'event_listener') {
 
 const mongoose = require('mongoose');
 const ContractEventListener = require('../src/services/eventListener');
+const web3Config = require('../src/config/web3');
 
 class StandaloneEventListener {
     constructor() {
-        this.eventListener = null;
+        this.eventListeners = [];
         this.isShuttingDown = false;
         
         this.init();
@@ -25,8 +26,12 @@ class StandaloneEventListener {
             // Connect to database
             await this.connectDatabase();
             
-            // Initialize event listener
-            this.eventListener = new ContractEventListener();
+            // One ingestion loop per configured network, each resuming from its stored checkpoint
+            this.eventListeners = web3Config.getNetworks().map(network => {
+                const listener = new ContractEventListener(network.chainId);
+                listener.start();
+                return listener;
+            });
             
             // Setup graceful shutdown
             this.setupShutdown();
@@ -67,7 +72,11 @@ class StandaloneEventListener {
         const memUsage = process.memoryUsage();
         const uptime = process.uptime();
         
-        console.log(`🏥 Health Check: Memory: ${Math.round(memUsage.rss / 1024 / 1024)}MB, Uptime: ${Math.round(uptime)}s`);
+        const lastBlocks = this.eventListeners
+            .map(listener => `${listener.chainId}: ${listener.lastProcessedBlock ?? 'n/a'}`)
+            .join(', ');
+        
+        console.log(`🏥 Health Check: Memory: ${Math.round(memUsage.rss / 1024 / 1024)}MB, Uptime: ${Math.round(uptime)}s, Last blocks: ${lastBlocks || 'n/a'}`);
         
         // Restart if memory usage is too high
         if (memUsage.rss > 500 * 1024 * 1024) { // 500MB
@@ -104,10 +113,8 @@ class StandaloneEventListener {
         console.log('🛑 Gracefully shutting down event listener...');
         
         try {
-            // Stop event listener
-            if (this.eventListener) {
-                this.eventListener.stop();
-            }
+            // Stop every network's event listener
+            this.eventListeners.forEach(listener => listener.stop());
             
             // Close database connection
             await mongoose.connection.close();
@@ -0,0 +1,387 @@
+// scripts/indexHistory.js - Rebuild memberships and referrals from historical contract events
+require('dotenv').config();
+const mongoose = require('mongoose');
+const web3Config = require('../src/config/web3');
+const User = require('../src/models/User');
+const Membership = require('../src/models/Membership');
+const Referral = require('../src/models/Referral');
+const ledgerService = require('../src/services/ledgerService');
+
+const USAGE = `Usage: npm run index-history -- [--chain <id>] [--from <block>] [--to <block>] [--batch <size>]
+
+Scans the membership contract from its deployment block (CONTRACT_DEPLOYMENT_BLOCK,
+or --from) and recreates Membership, Referral and earnings ledger documents. Wallets
+no user has linked yet get placeholder memberships, attached when the wallet is
+linked; their referrals are indexed on a later run. Safe to run repeatedly.
+--chain picks a network from NETWORKS (default CHAIN_ID); its deployment block is
+read from CONTRACT_DEPLOYMENT_BLOCK_<id>.`;
+
+class HistoricalIndexer {
+    constructor(options = {}) {
+        this.chainId = options.chainId || web3Config.chainId;
+        this.network = web3Config.getNetwork(this.chainId);
+        this.provider = this.network.provider;
+        this.contract = web3Config.getMembershipContract(null, this.chainId);
+        this.filters = web3Config.getEventFilters(this.chainId);
+
+        const { confirmations } = web3Config.getTransactionConfig();
+        this.confirmations = confirmations[this.chainId] ?? confirmations[56];
+
+        this.fromBlock = options.fromBlock;
+        this.toBlock = options.toBlock;
+        this.batchSize = options.batchSize || parseInt(process.env.EVENT_BATCH_SIZE) || 2000;
+
+        this.usersByWallet = new Map();
+        this.planNames = new Map();
+        this.blockTimes = new Map();
+        this.memberPlans = new Map();
+
+        this.stats = {
+            events: 0,
+            membershipsCreated: 0,
+            placeholdersCreated: 0,
+            upgradesApplied: 0,
+            exitsApplied: 0,
+            referralsCreated: 0,
+            ledgerEntriesCreated: 0,
+            skipped: 0,
+            unlinkedWallets: new Set()
+        };
+    }
+
+    async run() {
+        const fromBlock = this.fromBlock ?? this.getDeploymentBlock();
+        const latestBlock = await this.provider.getBlockNumber();
+        const toBlock = Math.min(this.toBlock ?? latestBlock, latestBlock - this.confirmations);
+
+        console.log(`📚 Indexing ${this.contract.target} on ${this.network.name} from block ${fromBlock} to ${toBlock}`);
+
+        for (let start = fromBlock; start <= toBlock; start += this.batchSize) {
+            const end = Math.min(start + this.batchSize - 1, toBlock);
+            const events = await this.fetchEvents(start, end);
+
+            for (const event of events) {
+                await this.processEvent(event);
+            }
+
+            this.stats.events += events.length;
+            console.log(`🔍 Blocks ${start}-${end}: ${events.length} events`);
+        }
+
+        this.printSummary();
+        return this.stats;
+    }
+
+    getDeploymentBlock() {
+        const isDefault = this.chainId === web3Config.chainId;
+        const suffix = isDefault ? '' : `_${this.chainId}`;
+        const block = this.network.deploymentBlock ?? parseInt(process.env[`EVENT_LISTENER_FROM_BLOCK${suffix}`]);
+
+        if (isNaN(block)) {
+            throw new Error(`Set CONTRACT_DEPLOYMENT_BLOCK${suffix} or pass --from <block>`);
+        }
+        return block;
+    }
+
+    // All tracked events in the range, in chain order
+    async fetchEvents(fromBlock, toBlock) {
+        const results = await Promise.all(
+            Object.values(this.filters).map(filter =>
+                this.contract.queryFilter(filter, fromBlock, toBlock)
+            )
+        );
+
+        return results.flat().sort((a, b) =>
+            a.blockNumber - b.blockNumber || a.index - b.index
+        );
+    }
+
+    async processEvent(event) {
+        switch (event.eventName) {
+            case 'MemberRegistered':
+                return this.indexRegistration(event);
+            case 'PlanUpgraded':
+                return this.indexUpgrade(event);
+            case 'MemberExited':
+                return this.indexExit(event);
+            case 'ReferralPaid':
+                return this.indexReferral(event);
+            default:
+                // NewCycleStarted carries no per-member state
+                return null;
+        }
+    }
+
+    async indexRegistration(event) {
+        const { member, upline, planId, cycleNumber } = event.args;
+        const walletAddress = member.toLowerCase();
+        this.memberPlans.set(walletAddress, Number(planId));
+
+        const user = await this.findUser(walletAddress);
+
+        // Already indexed, or the membership was created after this registration
+        const existing = await Membership.findOne({
+            walletAddress,
+            ...Membership.chainFilter(this.chainId),
+            $or: [
+                { isActive: true },
+                { blockNumber: { $gte: event.blockNumber } }
+            ]
+        });
+        if (existing) {
+            this.stats.skipped++;
+        } else {
+            await Membership.create({
+                chainId: this.chainId,
+                user: user?._id,
+                walletAddress,
+                planId: Number(planId),
+                planName: await this.getPlanName(planId),
+                cycleNumber: Number(cycleNumber),
+                uplineAddress: upline.toLowerCase(),
+                transactionHash: event.transactionHash,
+                blockNumber: event.blockNumber,
+                registeredAt: await this.getBlockTime(event.blockNumber)
+            });
+            this.stats.membershipsCreated++;
+
+            if (!user) {
+                this.stats.placeholdersCreated++;
+            }
+        }
+
+        // Also on re-runs, so a wallet linked after its placeholder was indexed gets its upline
+        if (!user) return;
+
+        const uplineUser = await this.findUser(upline.toLowerCase());
+        if (uplineUser && !user.referredBy) {
+            await User.updateOne({ _id: user._id }, { referredBy: uplineUser._id });
+        }
+    }
+
+    async indexUpgrade(event) {
+        const { member, newPlanId, cycleNumber } = event.args;
+        const walletAddress = member.toLowerCase();
+        this.memberPlans.set(walletAddress, Number(newPlanId));
+
+        // Only move memberships forward, so re-running never reapplies an older upgrade
+        const result = await Membership.updateOne(
+            {
+                walletAddress,
+                ...Membership.chainFilter(this.chainId),
+                isActive: true,
+                blockNumber: { $not: { $gte: event.blockNumber } }
+            },
+            {
+                planId: Number(newPlanId),
+                planName: await this.getPlanName(newPlanId),
+                cycleNumber: Number(cycleNumber),
+                transactionHash: event.transactionHash,
+                blockNumber: event.blockNumber
+            }
+        );
+
+        if (result.modifiedCount > 0) {
+            this.stats.upgradesApplied++;
+        } else {
+            this.stats.skipped++;
+        }
+    }
+
+    async indexExit(event) {
+        const { member, refundAmount } = event.args;
+        const walletAddress = member.toLowerCase();
+        this.memberPlans.delete(walletAddress);
+
+        const result = await Membership.updateOne(
+            {
+                walletAddress,
+                ...Membership.chainFilter(this.chainId),
+                isActive: true,
+                blockNumber: { $not: { $gt: event.blockNumber } }
+            },
+            {
+                isActive: false,
+                exitedAt: await this.getBlockTime(event.blockNumber),
+                refundAmount: refundAmount.toString(),
+                exitTransactionHash: event.transactionHash
+            }
+        );
+
+        if (result.modifiedCount > 0) {
+            this.stats.exitsApplied++;
+        } else {
+            this.stats.skipped++;
+        }
+
+        // After the exit is recorded, so the refund entry picks up the plan the member left
+        await this.recordLedger(ledgerService.recordRefund({
+            memberAddress: member,
+            refundAmount: refundAmount.toString(),
+            transactionHash: event.transactionHash,
+            logIndex: event.index,
+            blockNumber: event.blockNumber,
+            chainId: this.chainId
+        }));
+    }
+
+    // Idempotent through the unique transactionHash index on Referral
+    async indexReferral(event) {
+        const { from, to, amount } = event.args;
+        const refereeWallet = from.toLowerCase();
+
+        const planLevel = this.memberPlans.get(refereeWallet) ||
+            (await Membership.findOne({ walletAddress: refereeWallet, ...Membership.chainFilter(this.chainId) }).sort({ createdAt: -1 }))?.planId;
+
+        // The ledger is keyed by wallet, so commissions are recorded whether or not anyone linked it
+        await this.recordLedger(ledgerService.recordCommission({
+            recipientAddress: to,
+            fromAddress: from,
+            amount: amount.toString(),
+            planId: planLevel,
+            transactionHash: event.transactionHash,
+            logIndex: event.index,
+            blockNumber: event.blockNumber,
+            chainId: this.chainId
+        }));
+
+        const [referee, referrer] = await Promise.all([
+            this.findUser(refereeWallet),
+            this.findUser(to.toLowerCase())
+        ]);
+        if (!referee || !referrer) return;
+
+        if (!planLevel) {
+            console.warn(`⚠️ No plan known for ${refereeWallet}, skipping referral ${event.transactionHash}`);
+            this.stats.skipped++;
+            return;
+        }
+
+        const result = await Referral.updateOne(
+            { transactionHash: event.transactionHash },
+            {
+                $setOnInsert: {
+                    chainId: this.chainId,
+                    referrer: referrer._id,
+                    referee: referee._id,
+                    planLevel,
+                    amount: amount.toString(),
+                    blockNumber: event.blockNumber,
+                    status: 'completed',
+                    paidAt: await this.getBlockTime(event.blockNumber)
+                }
+            },
+            { upsert: true }
+        );
+
+        if (result.upsertedCount > 0) {
+            this.stats.referralsCreated++;
+        } else {
+            this.stats.skipped++;
+        }
+    }
+
+    async recordLedger(append) {
+        const { created } = await append;
+        if (created) {
+            this.stats.ledgerEntriesCreated++;
+        }
+    }
+
+    async findUser(walletAddress) {
+        if (!this.usersByWallet.has(walletAddress)) {
+            this.usersByWallet.set(walletAddress, await User.findOne({ walletAddress }));
+        }
+
+        const user = this.usersByWallet.get(walletAddress);
+        if (!user) {
+            this.stats.unlinkedWallets.add(walletAddress);
+        }
+        return user;
+    }
+
+    async getPlanName(planId) {
+        const id = Number(planId);
+        if (!this.planNames.has(id)) {
+            const plan = await this.contract.getPlanInfo(id);
+            this.planNames.set(id, plan.name);
+        }
+        return this.planNames.get(id);
+    }
+
+    async getBlockTime(blockNumber) {
+        if (!this.blockTimes.has(blockNumber)) {
+            const block = await this.provider.getBlock(blockNumber);
+            this.blockTimes.set(blockNumber, new Date(block.timestamp * 1000));
+        }
+        return this.blockTimes.get(blockNumber);
+    }
+
+    printSummary() {
+        const { unlinkedWallets, ...counts } = this.stats;
+
+        console.log('✅ Historical indexing complete:', counts);
+
+        if (unlinkedWallets.size > 0) {
+            console.log(`⚠️ ${unlinkedWallets.size} wallet(s) are not linked to a user yet. Their memberships are kept as placeholders; run the indexer again after they connect to rebuild their referrals:`);
+            unlinkedWallets.forEach(walletAddress => console.log(`   ${walletAddress}`));
+        }
+        console.log('💡 Run a reconciliation to refresh totalEarnings and totalReferrals from the contract');
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = parseInt(argv[i + 1]);
+
+        switch (argv[i]) {
+            case '--chain':
+                options.chainId = value;
+                i++;
+                break;
+            case '--from':
+                options.fromBlock = value;
+                i++;
+                break;
+            case '--to':
+                options.toBlock = value;
+                i++;
+                break;
+            case '--batch':
+                options.batchSize = value;
+                i++;
+                break;
+            case '--help':
+                options.help = true;
+                break;
+        }
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 })
+        .then(() => {
+            if (options.chainId && !web3Config.hasNetwork(options.chainId)) {
+                throw new Error(`Chain ${options.chainId} is not configured in NETWORKS`);
+            }
+            return new HistoricalIndexer(options).run();
+        })
+        .catch((error) => {
+            console.error('❌ Historical indexing failed:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.connection.close());
+}
+
+module.exports = HistoricalIndexer;
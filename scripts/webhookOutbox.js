@@ -0,0 +1,74 @@
+// scripts/webhookOutbox.js - Inspect and replay webhook deliveries
+require('dotenv').config();
+const mongoose = require('mongoose');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const webhookOutbox = require('../src/services/webhookOutbox');
+
+const USAGE = `Usage: npm run webhooks -- <command>
+
+Commands:
+  stats               Show delivery counts by status
+  list [status]       List deliveries (pending, delivered, dead, all; default dead)
+  show <id>           Show a single delivery
+  replay <id>         Replay a dead-lettered delivery
+  replay-dead         Replay all dead-lettered deliveries`;
+
+function printDelivery(delivery) {
+    console.log(`${delivery._id}  ${delivery.status.padEnd(9)}  ${String(delivery.attempts).padStart(2)}/${delivery.maxAttempts}  ${delivery.endpoint.padEnd(20)}  ${delivery.createdAt.toISOString()}  ${delivery.lastError || ''}`);
+}
+
+async function run(command, arg) {
+    switch (command) {
+        case 'stats': {
+            const counts = await webhookOutbox.getStats();
+            console.log('📮 Webhook deliveries:', counts);
+            break;
+        }
+
+        case 'list': {
+            const { deliveries, total } = await webhookOutbox.list({ status: arg || 'dead', limit: 100 });
+            console.log(`📮 ${total} ${arg || 'dead'} deliveries (showing ${deliveries.length})`);
+            deliveries.forEach(printDelivery);
+            break;
+        }
+
+        case 'show': {
+            const delivery = await WebhookDelivery.findById(arg);
+            if (!delivery) {
+                throw new Error('Delivery not found');
+            }
+            console.log(JSON.stringify(delivery.toObject(), null, 2));
+            break;
+        }
+
+        case 'replay': {
+            const { delivery, delivered } = await webhookOutbox.replay(arg);
+            console.log(delivered ? '✅ Delivered' : '⏳ Delivery failed, requeued for retry');
+            printDelivery(delivery);
+            break;
+        }
+
+        case 'replay-dead': {
+            const results = await webhookOutbox.replayDead();
+            console.log(`🔁 Replayed ${results.total} deliveries: ${results.delivered} delivered, ${results.failed} failed`);
+            break;
+        }
+
+        default:
+            console.log(USAGE);
+    }
+}
+
+if (require.main === module) {
+    const [command, arg] = process.argv.slice(2);
+
+    mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 })
+        .then(() => run(command, arg))
+        .catch((error) => {
+            console.error('❌', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.connection.close());
+}
+
+module.exports = { run };
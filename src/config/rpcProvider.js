@@ -0,0 +1,275 @@
+// src/config/rpcProvider.js - JSON-RPC provider with endpoint health scoring, failover and quorum reads
+const { ethers } = require('ethers');
+
+// JSON-RPC errors that mean the node is struggling rather than the call itself failing
+const ENDPOINT_ERROR_CODES = [-32005, -32603, 429];
+const ENDPOINT_ERROR_PATTERN = /rate limit|too many requests|limit exceeded|header not found|timeout|unavailable|internal error/i;
+
+// Hide credentials embedded in RPC URLs (user:pass@ or API keys in the path)
+function redactUrl(url) {
+    return url
+        .replace(/\/\/([^:/]+):([^@]+)@/, '//***:***@')
+        .replace(/\/([a-zA-Z0-9_-]{24,})(\/|$)/, '/***$2');
+}
+
+// Deterministic comparison key for call results (Result arrays, bigints, strings)
+function serializeResult(value) {
+    return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+}
+
+class FailoverProvider extends ethers.JsonRpcProvider {
+    constructor(urls, chainId, options = {}) {
+        const network = ethers.Network.from(chainId);
+        super(urls[0], network, { staticNetwork: network });
+
+        this.chainId = chainId;
+        this.requestTimeout = options.requestTimeout || 10000;
+        this.failureThreshold = options.failureThreshold || 3;
+        this.cooldown = options.cooldown || 30000;
+        this.maxCooldown = options.maxCooldown || 5 * 60 * 1000;
+        this.maxBlockLag = options.maxBlockLag ?? 10;
+        this.quorumSize = Math.min(options.quorum || 2, urls.length);
+        this.healthTimer = null;
+
+        this.endpoints = urls.map(url => this.createEndpoint(url, network));
+        this.activeEndpoint = this.endpoints[0];
+    }
+
+    createEndpoint(url, network) {
+        const request = new ethers.FetchRequest(url);
+        request.timeout = this.requestTimeout;
+
+        return {
+            url,
+            label: redactUrl(url),
+            provider: new ethers.JsonRpcProvider(request, network, { staticNetwork: network, batchMaxCount: 1 }),
+            latency: null,      // moving average, ms
+            errorRate: 0,       // moving average of failed requests, 0..1
+            requests: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            cooldownUntil: 0,
+            blockNumber: null,
+            blockLag: 0,
+            lastError: null,
+            lastErrorAt: null
+        };
+    }
+
+    // Lower is better; endpoints in cooldown sort last but stay usable as a last resort
+    getScore(endpoint) {
+        const latency = endpoint.latency ?? 500;
+        const score = latency * (1 + 4 * endpoint.errorRate) + endpoint.blockLag * 200;
+        return endpoint.cooldownUntil > Date.now() ? score + 1e9 : score;
+    }
+
+    // 0-100 for dashboards
+    getHealth(endpoint) {
+        if (endpoint.cooldownUntil > Date.now()) return 0;
+
+        const latencyPenalty = Math.min((endpoint.latency ?? 0) / 20, 40);
+        const lagPenalty = Math.min(endpoint.blockLag * 5, 30);
+        return Math.max(0, Math.round(100 - endpoint.errorRate * 100 - latencyPenalty - lagPenalty));
+    }
+
+    getRankedEndpoints() {
+        return [...this.endpoints].sort((a, b) => this.getScore(a) - this.getScore(b));
+    }
+
+    recordSuccess(endpoint, latency) {
+        endpoint.requests++;
+        endpoint.consecutiveFailures = 0;
+        endpoint.cooldownUntil = 0;
+        endpoint.latency = endpoint.latency === null ? latency : Math.round(endpoint.latency * 0.8 + latency * 0.2);
+        endpoint.errorRate = endpoint.errorRate * 0.8;
+    }
+
+    recordFailure(endpoint, error) {
+        endpoint.requests++;
+        endpoint.failures++;
+        endpoint.consecutiveFailures++;
+        endpoint.errorRate = endpoint.errorRate * 0.8 + 0.2;
+        endpoint.lastError = error.shortMessage || error.message;
+        endpoint.lastErrorAt = new Date();
+
+        // Back off exponentially once an endpoint keeps failing
+        if (endpoint.consecutiveFailures >= this.failureThreshold) {
+            const backoff = this.cooldown * 2 ** (endpoint.consecutiveFailures - this.failureThreshold);
+            endpoint.cooldownUntil = Date.now() + Math.min(backoff, this.maxCooldown);
+        }
+    }
+
+    isEndpointError(rpcError) {
+        const message = rpcError.message || '';
+        return (ENDPOINT_ERROR_CODES.includes(rpcError.code) || ENDPOINT_ERROR_PATTERN.test(message)) &&
+            !/revert/i.test(message);
+    }
+
+    setActive(endpoint) {
+        if (endpoint !== this.activeEndpoint) {
+            console.warn(`🔀 RPC failover on chain ${this.chainId}: ${this.activeEndpoint.label} → ${endpoint.label}`);
+            this.activeEndpoint = endpoint;
+        }
+    }
+
+    // Every request goes to the best-scored endpoint and fails over on transport or node errors
+    async _send(payload) {
+        let lastError;
+
+        for (const endpoint of this.getRankedEndpoints()) {
+            const startedAt = Date.now();
+
+            try {
+                const result = await endpoint.provider._send(payload);
+
+                const failed = result.find(response => response.error && this.isEndpointError(response.error));
+                if (failed) {
+                    throw new Error(failed.error.message);
+                }
+
+                this.recordSuccess(endpoint, Date.now() - startedAt);
+                this.setActive(endpoint);
+                return result;
+            } catch (error) {
+                this.recordFailure(endpoint, error);
+                lastError = error;
+                console.warn(`⚠️ RPC ${endpoint.label} failed: ${endpoint.lastError}`);
+            }
+        }
+
+        throw lastError;
+    }
+
+    // Run a read against several healthy endpoints and only accept a result enough of them agree on
+    async quorum(read, quorum = this.quorumSize) {
+        quorum = Math.min(quorum, this.endpoints.length);
+
+        // One spare endpoint so a single slow or failing node does not block the quorum
+        const candidates = this.getRankedEndpoints()
+            .filter(endpoint => endpoint.cooldownUntil <= Date.now())
+            .slice(0, quorum + 1);
+
+        if (candidates.length < quorum) {
+            throw new Error(`RPC quorum unavailable: ${candidates.length} healthy endpoint(s), ${quorum} required`);
+        }
+
+        const results = await Promise.allSettled(candidates.map(async endpoint => {
+            const startedAt = Date.now();
+            try {
+                const value = await read(endpoint.provider);
+                this.recordSuccess(endpoint, Date.now() - startedAt);
+                return value;
+            } catch (error) {
+                // Reverts are answers, not endpoint failures
+                if (error.code !== 'CALL_EXCEPTION') {
+                    this.recordFailure(endpoint, error);
+                }
+                throw error;
+            }
+        }));
+
+        const votes = new Map();
+        for (const result of results) {
+            if (result.status !== 'fulfilled') continue;
+
+            const key = serializeResult(result.value);
+            const vote = votes.get(key) || { value: result.value, count: 0 };
+            vote.count++;
+            votes.set(key, vote);
+        }
+
+        const winner = [...votes.values()].sort((a, b) => b.count - a.count)[0];
+        if (winner && winner.count >= quorum) {
+            return winner.value;
+        }
+
+        const rejected = results.find(result => result.status === 'rejected');
+        if (!winner && rejected) {
+            throw rejected.reason;
+        }
+
+        throw new Error(`RPC quorum not reached (${winner?.count || 0}/${quorum} endpoints agreed)`);
+    }
+
+    // Probe every endpoint's head block so idle and lagging endpoints get scored too
+    async checkEndpoints() {
+        await Promise.all(this.endpoints.map(async endpoint => {
+            const startedAt = Date.now();
+            try {
+                const [response] = await endpoint.provider._send({ method: 'eth_blockNumber', params: [], id: 1, jsonrpc: '2.0' });
+                if (response.error) {
+                    throw new Error(response.error.message);
+                }
+                endpoint.blockNumber = Number(response.result);
+                this.recordSuccess(endpoint, Date.now() - startedAt);
+            } catch (error) {
+                this.recordFailure(endpoint, error);
+            }
+        }));
+
+        const head = Math.max(...this.endpoints.map(endpoint => endpoint.blockNumber ?? 0));
+        for (const endpoint of this.endpoints) {
+            endpoint.blockLag = endpoint.blockNumber === null ? 0 : head - endpoint.blockNumber;
+
+            if (endpoint.blockLag > this.maxBlockLag) {
+                this.recordFailure(endpoint, new Error(`${endpoint.blockLag} blocks behind`));
+            }
+        }
+
+        return this.getEndpointStatus();
+    }
+
+    startHealthChecks(interval) {
+        if (this.healthTimer || this.endpoints.length < 2) return;
+
+        this.healthTimer = setInterval(() => {
+            this.checkEndpoints().catch(error => console.error('❌ RPC health check failed:', error.message));
+        }, interval);
+
+        // Never keep a script alive just for health checks
+        this.healthTimer.unref();
+    }
+
+    stopHealthChecks() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+
+    destroy() {
+        this.stopHealthChecks();
+        this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+        super.destroy();
+    }
+
+    // Clear cooldowns so every endpoint gets another chance
+    resetHealth() {
+        for (const endpoint of this.endpoints) {
+            endpoint.consecutiveFailures = 0;
+            endpoint.cooldownUntil = 0;
+        }
+    }
+
+    getEndpointStatus() {
+        return this.getRankedEndpoints().map(endpoint => ({
+            url: endpoint.label,
+            active: endpoint === this.activeEndpoint,
+            health: this.getHealth(endpoint),
+            latency: endpoint.latency,
+            errorRate: Number(endpoint.errorRate.toFixed(3)),
+            requests: endpoint.requests,
+            failures: endpoint.failures,
+            blockNumber: endpoint.blockNumber,
+            blockLag: endpoint.blockLag,
+            coolingDown: endpoint.cooldownUntil > Date.now(),
+            lastError: endpoint.lastError,
+            lastErrorAt: endpoint.lastErrorAt
+        }));
+    }
+}
+
+module.exports = {
+    FailoverProvider,
+    redactUrl
+};
@@ -1,65 +1,177 @@
 // src/config/web3.js
 const { ethers } = require('ethers');
+const { FailoverProvider, redactUrl } = require('./rpcProvider');
+const { describeContractError } = require('../utils/contractErrors');
+
+// Multicall3 is deployed at the same address on BSC mainnet and testnet
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Read a per-network setting (e.g. CONTRACT_ADDRESS_97); the default network also accepts the unsuffixed name
+function networkEnv(name, chainId, isDefault) {
+    return process.env[`${name}_${chainId}`] || (isDefault ? process.env[name] : undefined);
+}
+
+function parseUrlList(value) {
+    return (value || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean);
+}
 
 class Web3Config {
     constructor() {
-        this.rpcUrl = process.env.RPC_URL;
         this.chainId = parseInt(process.env.CHAIN_ID) || 56;
-        this.contractAddress = process.env.CONTRACT_ADDRESS;
-        this.usdtAddress = process.env.USDT_CONTRACT_ADDRESS;
         this.ownerAddress = process.env.CONTRACT_OWNER_ADDRESS;
         this.privateKey = process.env.PRIVATE_KEY; // For admin operations only
         
-        this.validateConfig();
+        this.loadNetworks();
         this.initializeProvider();
     }
 
-    validateConfig() {
-        if (!this.rpcUrl) {
-            throw new Error('RPC_URL is required');
+    // Network registry: CHAIN_ID is the default network, NETWORKS adds more (e.g. NETWORKS=56,97)
+    loadNetworks() {
+        const chainIds = new Set([this.chainId]);
+        for (const value of (process.env.NETWORKS || '').split(',')) {
+            const chainId = parseInt(value);
+            if (!isNaN(chainId)) chainIds.add(chainId);
+        }
+
+        this.networks = new Map();
+        for (const chainId of chainIds) {
+            const isDefault = chainId === this.chainId;
+
+            // RPC_URLS is a comma-separated list of endpoints; RPC_URL still works for a single one
+            const network = {
+                chainId,
+                name: this.getNetworkConfig(chainId).name,
+                rpcUrls: parseUrlList(networkEnv('RPC_URLS', chainId, isDefault) || networkEnv('RPC_URL', chainId, isDefault)),
+                contractAddress: networkEnv('CONTRACT_ADDRESS', chainId, isDefault),
+                usdtAddress: networkEnv('USDT_CONTRACT_ADDRESS', chainId, isDefault),
+                deploymentBlock: parseInt(networkEnv('CONTRACT_DEPLOYMENT_BLOCK', chainId, isDefault)) || null,
+                multicallAddress: networkEnv('MULTICALL_ADDRESS', chainId, isDefault) || MULTICALL3_ADDRESS
+            };
+
+            this.validateNetwork(network, isDefault);
+            this.networks.set(chainId, network);
+        }
+
+        // The default network stays available under the original property names
+        const defaultNetwork = this.networks.get(this.chainId);
+        this.rpcUrls = defaultNetwork.rpcUrls;
+        this.rpcUrl = defaultNetwork.rpcUrls[0];
+        this.contractAddress = defaultNetwork.contractAddress;
+        this.usdtAddress = defaultNetwork.usdtAddress;
+    }
+
+    validateNetwork(network, isDefault) {
+        const suffix = isDefault ? '' : `_${network.chainId}`;
+
+        if (network.rpcUrls.length === 0) {
+            throw new Error(`RPC_URL${suffix} or RPC_URLS${suffix} is required`);
         }
         
-        if (!this.contractAddress) {
-            throw new Error('CONTRACT_ADDRESS is required');
+        if (!network.contractAddress) {
+            throw new Error(`CONTRACT_ADDRESS${suffix} is required`);
         }
         
-        if (!this.usdtAddress) {
-            throw new Error('USDT_CONTRACT_ADDRESS is required');
+        if (!network.usdtAddress) {
+            throw new Error(`USDT_CONTRACT_ADDRESS${suffix} is required`);
         }
 
-        if (!ethers.utils.isAddress(this.contractAddress)) {
-            throw new Error('Invalid CONTRACT_ADDRESS format');
+        if (!ethers.isAddress(network.contractAddress)) {
+            throw new Error(`Invalid CONTRACT_ADDRESS${suffix} format`);
         }
 
-        if (!ethers.utils.isAddress(this.usdtAddress)) {
-            throw new Error('Invalid USDT_CONTRACT_ADDRESS format');
+        if (!ethers.isAddress(network.usdtAddress)) {
+            throw new Error(`Invalid USDT_CONTRACT_ADDRESS${suffix} format`);
+        }
+
+        if (!ethers.isAddress(network.multicallAddress)) {
+            throw new Error(`Invalid MULTICALL_ADDRESS${suffix} format`);
         }
     }
 
     initializeProvider() {
         try {
-            this.provider = new ethers.JsonRpcProvider(this.rpcUrl);
-            
-            // Test connection
-            this.provider.getNetwork().catch(error => {
-                console.error('❌ Web3 provider connection failed:', error.message);
-            });
+            const healthCheckInterval = this.getMonitoringConfig().intervals.healthCheck;
+
+            for (const network of this.networks.values()) {
+                network.provider = new FailoverProvider(network.rpcUrls, network.chainId, this.getRpcConfig());
+                network.provider.startHealthChecks(healthCheckInterval);
+                
+                // Test connection
+                network.provider.getNetwork().catch(error => {
+                    console.error(`❌ Web3 provider connection failed for chain ${network.chainId}:`, error.message);
+                });
+                
+                console.log(`🌐 ${network.name} provider initialized with ${network.rpcUrls.length} RPC endpoint(s)`);
+            }
+
+            this.provider = this.networks.get(this.chainId).provider;
             
             // Initialize signer if private key exists (for admin operations)
             if (this.privateKey) {
                 this.signer = new ethers.Wallet(this.privateKey, this.provider);
                 console.log('🔑 Admin signer initialized');
             }
-            
-            console.log('🌐 Web3 provider initialized');
         } catch (error) {
             console.error('❌ Failed to initialize Web3 provider:', error);
             throw error;
         }
     }
 
+    hasNetwork(chainId) {
+        return this.networks.has(parseInt(chainId));
+    }
+
+    // Configured network by chain id (defaults to CHAIN_ID)
+    getNetwork(chainId = this.chainId) {
+        const network = this.networks.get(parseInt(chainId));
+        if (!network) {
+            throw new Error(`Network ${chainId} is not configured`);
+        }
+        return network;
+    }
+
+    getNetworks() {
+        return [...this.networks.values()];
+    }
+
+    // What the Mini App needs to talk to a network; never includes private RPC URLs
+    getClientNetwork(chainId = this.chainId) {
+        const network = this.getNetwork(chainId);
+        const config = this.getNetworkConfig(network.chainId);
+
+        return {
+            chainId: network.chainId,
+            name: network.name,
+            contractAddress: network.contractAddress,
+            usdtAddress: network.usdtAddress,
+            rpcUrl: config.rpcUrl,
+            blockExplorer: config.blockExplorer,
+            isTestnet: network.chainId === 97,
+            isDefault: network.chainId === this.chainId
+        };
+    }
+
+    // RPC failover and quorum settings
+    getRpcConfig() {
+        return {
+            requestTimeout: parseInt(process.env.RPC_TIMEOUT) || 10000,
+            failureThreshold: parseInt(process.env.RPC_FAILURE_THRESHOLD) || 3,
+            cooldown: parseInt(process.env.RPC_COOLDOWN) || 30000,
+            quorum: parseInt(process.env.RPC_QUORUM) || 2,
+            maxBlockLag: this.getMonitoringConfig().thresholds.blockDelay
+        };
+    }
+
+    // Read that must agree across endpoints, e.g. members(address) before acting on it
+    quorumRead(read, quorum, chainId = this.chainId) {
+        return this.getNetwork(chainId).provider.quorum(read, quorum);
+    }
+
     // Network configurations
-    getNetworkConfig() {
+    getNetworkConfig(chainId = this.chainId) {
         const networks = {
             // BSC Mainnet
             56: {
@@ -67,6 +179,7 @@ class Web3Config {
                 chainId: 56,
                 rpcUrl: 'https://bsc-dataseed.binance.org/',
                 blockExplorer: 'https://bscscan.com',
+                blockTime: 0.75, // seconds, used to turn block counts into countdowns
                 nativeCurrency: {
                     name: 'BNB',
                     symbol: 'BNB',
@@ -81,6 +194,7 @@ class Web3Config {
                 chainId: 97,
                 rpcUrl: 'https://data-seed-prebsc-1-s1.binance.org:8545/',
                 blockExplorer: 'https://testnet.bscscan.com',
+                blockTime: 0.75,
                 nativeCurrency: {
                     name: 'tBNB',
                     symbol: 'tBNB',
@@ -90,7 +204,7 @@ class Web3Config {
             }
         };
         
-        return networks[this.chainId] || networks[56];
+        return networks[chainId] || networks[56];
     }
 
     // Contract ABI configurations
@@ -108,6 +222,7 @@ class Web3Config {
                 'function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)',
                 'function tokenURI(uint256 tokenId) view returns (string)',
                 'function getNFTImage(uint256 tokenId) view returns (string imageURI, string name, string description, uint256 planId, uint256 createdAt)',
+                'function priceFeed() view returns (address)',
                 
                 // Write functions
                 'function registerMember(uint256 planId, address upline) external',
@@ -140,6 +255,12 @@ class Web3Config {
                 'function decimals() view returns (uint8)',
                 'function symbol() view returns (string)',
                 'function name() view returns (string)'
+            ],
+            
+            // Chainlink BNB/USD aggregator referenced by the membership contract
+            priceFeed: [
+                'function decimals() view returns (uint8)',
+                'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
             ]
         };
     }
@@ -147,7 +268,7 @@ class Web3Config {
     // Gas configuration
     getGasConfig() {
         return {
-            // Gas limits for different operations
+            // Fallback gas limits when a call cannot be estimated (e.g. registerMember before the USDT approval)
             limits: {
                 registerMember: 300000,
                 upgradePlan: 250000,
@@ -156,11 +277,23 @@ class Web3Config {
                 transfer: 60000
             },
             
-            // Gas price settings
-            prices: {
-                slow: ethers.utils.parseUnits('5', 'gwei'),
-                standard: ethers.utils.parseUnits('10', 'gwei'),
-                fast: ethers.utils.parseUnits('20', 'gwei')
+            // Gas price oracle: fee history percentiles over recent blocks
+            oracle: {
+                blocks: parseInt(process.env.GAS_ORACLE_BLOCKS) || 20,
+                percentiles: {
+                    slow: 10,
+                    standard: 50,
+                    fast: 90
+                },
+                cacheTTL: parseInt(process.env.GAS_ORACLE_CACHE_TTL) || 15000, // 15 seconds
+                priceCacheTTL: 60000, // 1 minute
+                maxPriceAge: 60 * 60 // Flag BNB/USD rounds older than an hour as stale
+            },
+            
+            // Validators reject transactions below this gas price
+            minGasPrice: {
+                56: ethers.parseUnits('0.1', 'gwei'),  // BSC Mainnet
+                97: ethers.parseUnits('0.1', 'gwei')   // BSC Testnet
             },
             
             // Gas price multiplier for different networks
@@ -214,23 +347,25 @@ class Web3Config {
     }
 
     // Contract instance creators
-    getMembershipContract(signerOrProvider = null) {
+    getMembershipContract(signerOrProvider = null, chainId = this.chainId) {
+        const network = this.getNetwork(chainId);
         const contractABI = this.getContractABIs().membership;
-        const providerOrSigner = signerOrProvider || this.provider;
+        const providerOrSigner = signerOrProvider || network.provider;
         
         return new ethers.Contract(
-            this.contractAddress,
+            network.contractAddress,
             contractABI,
             providerOrSigner
         );
     }
 
-    getUSDTContract(signerOrProvider = null) {
+    getUSDTContract(signerOrProvider = null, chainId = this.chainId) {
+        const network = this.getNetwork(chainId);
         const contractABI = this.getContractABIs().usdt;
-        const providerOrSigner = signerOrProvider || this.provider;
+        const providerOrSigner = signerOrProvider || network.provider;
         
         return new ethers.Contract(
-            this.usdtAddress,
+            network.usdtAddress,
             contractABI,
             providerOrSigner
         );
@@ -244,7 +379,7 @@ class Web3Config {
 
     formatUSDT(amount, decimals = 2) {
         try {
-            const formatted = ethers.utils.formatUnits(amount, 6);
+            const formatted = ethers.formatUnits(amount, 6);
             return parseFloat(formatted).toFixed(decimals);
         } catch (error) {
             return '0.00';
@@ -253,7 +388,7 @@ class Web3Config {
 
     formatBNB(amount, decimals = 4) {
         try {
-            const formatted = ethers.utils.formatEther(amount);
+            const formatted = ethers.formatEther(amount);
             return parseFloat(formatted).toFixed(decimals);
         } catch (error) {
             return '0.0000';
@@ -262,7 +397,7 @@ class Web3Config {
 
     parseUSDT(amount) {
         try {
-            return ethers.utils.parseUnits(amount.toString(), 6);
+            return ethers.parseUnits(amount.toString(), 6);
         } catch (error) {
             throw new Error('Invalid USDT amount');
         }
@@ -270,7 +405,7 @@ class Web3Config {
 
     // Validation utilities
     isValidAddress(address) {
-        return ethers.utils.isAddress(address);
+        return ethers.isAddress(address);
     }
 
     isValidTransactionHash(hash) {
@@ -278,8 +413,8 @@ class Web3Config {
     }
 
     // Network switching for client-side
-    getNetworkSwitchParams() {
-        const config = this.getNetworkConfig();
+    getNetworkSwitchParams(chainId = this.chainId) {
+        const config = this.getNetworkConfig(chainId);
         
         return {
             chainId: `0x${config.chainId.toString(16)}`,
@@ -291,8 +426,8 @@ class Web3Config {
     }
 
     // Event filter configurations
-    getEventFilters() {
-        const contract = this.getMembershipContract();
+    getEventFilters(chainId = this.chainId) {
+        const contract = this.getMembershipContract(null, chainId);
         
         return {
             memberRegistered: contract.filters.MemberRegistered(),
@@ -304,35 +439,24 @@ class Web3Config {
     }
 
     // Error handling
-    parseContractError(error) {
-        const errorMessages = {
-            'Paused': 'Contract is currently paused',
-            'NotMember': 'User is not a member',
-            'AlreadyMember': 'User is already a member', 
-            'InvalidPlanID': 'Invalid plan ID',
-            'NextPlanOnly': 'Can only upgrade to next level',
-            'InactivePlan': 'Plan is not active',
-            'InvalidAmount': 'Invalid amount',
-            'LowFundBalance': 'Insufficient fund balance',
-            'ThirtyDayLock': 'Must wait 30 days before exit',
-            'UplineNotMember': 'Upline is not a member',
-            'UplinePlanLow': 'Upline plan level too low',
-            'ZeroAddress': 'Invalid zero address',
-            'NonTransferable': 'NFT is non-transferable'
-        };
-
-        // Extract error name from the error message
-        let errorName = 'Unknown error';
-        if (error.reason) {
-            errorName = error.reason;
-        } else if (error.message) {
-            const match = error.message.match(/reverted with reason string '(.+)'/);
-            if (match) {
-                errorName = match[1];
-            }
+    // Full ABI interface, so custom errors in revert data can be decoded
+    getContractInterface() {
+        if (!this.contractInterface) {
+            this.contractInterface = new ethers.Interface(require('../../contracts/abi/CryptoMembershipNFT.json'));
         }
+        return this.contractInterface;
+    }
 
-        return errorMessages[errorName] || `Contract error: ${errorName}`;
+    // { code, message, action } in the user's language (see src/utils/contractErrors.js)
+    describeContractError(error, language = 'en') {
+        return describeContractError(error, {
+            language,
+            contractInterface: this.getContractInterface()
+        });
+    }
+
+    parseContractError(error, language = 'en') {
+        return this.describeContractError(error, language).message;
     }
 
     // Transaction receipt parser
@@ -383,46 +507,68 @@ class Web3Config {
                 testPrivateKey: '0x0000000000000000000000000000000000000000000000000000000000000001',
                 testAddress: '0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf',
                 faucetUrl: 'https://testnet.binance.org/faucet-smart',
-                testUSDTAmount: ethers.utils.parseUnits('1000', 6)
+                testUSDTAmount: ethers.parseUnits('1000', 6)
             };
         }
         return null;
     }
 
     // Connection status
-    async getConnectionStatus() {
+    async getConnectionStatus(chainId = this.chainId) {
+        const { provider } = this.getNetwork(chainId);
+
         try {
-            const network = await this.provider.getNetwork();
-            const blockNumber = await this.provider.getBlockNumber();
+            const network = await provider.getNetwork();
+            const blockNumber = await provider.getBlockNumber();
             
             return {
                 connected: true,
                 network: network.name,
-                chainId: network.chainId,
+                chainId: Number(network.chainId),
                 blockNumber: blockNumber,
-                rpcUrl: this.rpcUrl.replace(/\/\/([^:]+):([^@]+)@/, '//***:***@') // Hide credentials
+                rpcUrl: redactUrl(provider.activeEndpoint.url), // Hide credentials
+                endpoints: provider.getEndpointStatus()
             };
         } catch (error) {
             return {
                 connected: false,
                 error: error.message,
-                rpcUrl: this.rpcUrl.replace(/\/\/([^:]+):([^@]+)@/, '//***:***@')
+                chainId: Number(chainId),
+                rpcUrl: redactUrl(provider.activeEndpoint.url),
+                endpoints: provider.getEndpointStatus()
             };
         }
     }
 
-    // Price conversion utilities (for display purposes)
-    async getBNBPrice() {
-        try {
-            // This would typically fetch from a price API
-            // For now, return a placeholder
-            return 300; // USD
-        } catch (error) {
-            return 0;
+    // Latest BNB/USD round from the aggregator the membership contract points at
+    async getPriceFeedData(chainId = this.chainId) {
+        const network = this.getNetwork(chainId);
+        const feedAddress = await this.getMembershipContract(null, chainId).priceFeed();
+        const feed = new ethers.Contract(feedAddress, this.getContractABIs().priceFeed, network.provider);
+        
+        const [decimals, round] = await Promise.all([
+            feed.decimals(),
+            feed.latestRoundData()
+        ]);
+        
+        if (round.answer <= 0n) {
+            throw new Error(`Price feed ${feedAddress} returned no price`);
         }
+        
+        return {
+            feedAddress,
+            price: Number(ethers.formatUnits(round.answer, decimals)),
+            updatedAt: new Date(Number(round.updatedAt) * 1000)
+        };
     }
 
-    convertUSDTToBNB(usdtAmount, bnbPrice = 300) {
+    // Price conversion utilities (for display purposes)
+    async getBNBPrice(chainId = this.chainId) {
+        const { price } = await this.getPriceFeedData(chainId);
+        return price; // USD
+    }
+
+    convertUSDTToBNB(usdtAmount, bnbPrice) {
         return parseFloat(usdtAmount) / bnbPrice;
     }
 
@@ -435,11 +581,24 @@ class Web3Config {
         };
     }
 
+    // Contract read cache (src/services/contractCache.js); entries are also flushed by contract events
+    getCacheConfig() {
+        return {
+            ttl: {
+                plan: parseInt(process.env.CONTRACT_CACHE_TTL_PLAN) || 10 * 60 * 1000, // 10 minutes
+                planCycle: parseInt(process.env.CONTRACT_CACHE_TTL_CYCLE) || 60 * 1000, // 1 minute
+                stats: parseInt(process.env.CONTRACT_CACHE_TTL_STATS) || 60 * 1000, // 1 minute
+                member: parseInt(process.env.CONTRACT_CACHE_TTL_MEMBER) || 2 * 60 * 1000 // 2 minutes
+            },
+            maxEntries: parseInt(process.env.CONTRACT_CACHE_MAX_ENTRIES) || 5000
+        };
+    }
+
     // Monitoring and alerting thresholds
     getMonitoringConfig() {
         return {
             thresholds: {
-                gasPrice: ethers.utils.parseUnits('50', 'gwei'), // Alert if gas > 50 gwei
+                gasPrice: ethers.parseUnits('50', 'gwei'), // Alert if gas > 50 gwei
                 blockDelay: 10, // Alert if blocks are delayed > 10 blocks
                 failureRate: 0.1 // Alert if failure rate > 10%
             },
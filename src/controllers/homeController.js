@@ -1,5 +1,6 @@
 // src/controllers/homeController.js
 const web3Service = require('../services/web3Service');
+const ContractService = require('../services/contractService');
 const Membership = require('../models/Membership');
 const User = require('../models/User');
 
@@ -40,21 +41,11 @@ const homeController = {
                 .lean();
 
             // Get featured plans (1, 4, 8, 16)
-            const featuredPlans = [];
-            for (const planId of [1, 4, 8, 16]) {
-                try {
-                    const planInfo = await web3Service.getPlanInfo(planId);
-                    const cycleInfo = await web3Service.getPlanCycleInfo(planId);
-                    
-                    featuredPlans.push({
-                        id: planId,
-                        ...planInfo,
-                        ...cycleInfo,
-                        priceUSDT: (parseInt(planInfo.price) / 1000000).toFixed(0)
-                    });
-                } catch (error) {
-                    console.error(`Error fetching plan ${planId}:`, error);
-                }
+            let featuredPlans = [];
+            try {
+                featuredPlans = await ContractService.forNetwork(req.chainId).getAllPlansInfo([1, 4, 8, 16]);
+            } catch (error) {
+                console.error('Error fetching featured plans:', error);
             }
 
             res.render('pages/index', {
@@ -267,20 +258,18 @@ const homeController = {
 
             // Search plans
             if (type === 'all' || type === 'plans') {
-                for (let i = 1; i <= 16; i++) {
-                    try {
-                        const plan = await web3Service.getPlanInfo(i);
-                        if (plan.name.toLowerCase().includes(q.toLowerCase())) {
-                            results.push({
-                                type: 'plan',
-                                title: `${plan.name} Plan`,
-                                subtitle: `Level ${i} - ${(parseInt(plan.price) / 1000000).toFixed(0)} USDT`,
-                                url: `/membership/plans#plan-${i}`
-                            });
-                        }
-                    } catch (error) {
-                        // Skip if plan not found
-                    }
+                try {
+                    const plans = await ContractService.forNetwork(req.chainId).getAllPlansInfo();
+                    results.push(...plans
+                        .filter(plan => plan.name.toLowerCase().includes(q.toLowerCase()))
+                        .map(plan => ({
+                            type: 'plan',
+                            title: `${plan.name} Plan`,
+                            subtitle: `Level ${plan.id} - ${plan.priceUSDT} USDT`,
+                            url: `/membership/plans#plan-${plan.id}`
+                        })));
+                } catch (error) {
+                    console.error('Error searching plans:', error);
                 }
             }
 
@@ -1,5 +1,8 @@
 // src/controllers/membershipController.js
 const web3Service = require('../services/web3Service');
+const ContractService = require('../services/contractService');
+const transactionVerifier = require('../services/transactionVerifier');
+const cycleTracker = require('../services/cycleTracker');
 const Membership = require('../models/Membership');
 const User = require('../models/User');
 
@@ -7,24 +10,8 @@ const membershipController = {
   // แสดงหน้าแผนสมาชิกภาพ
   async showPlans(req, res) {
     try {
-      const plans = [];
-      
-      // ดึงข้อมูลแผนทั้งหมด
-      for (let i = 1; i <= 16; i++) {
-        try {
-          const planInfo = await web3Service.getPlanInfo(i);
-          const cycleInfo = await web3Service.getPlanCycleInfo(i);
-          
-          plans.push({
-            id: i,
-            ...planInfo,
-            ...cycleInfo,
-            priceUSDT: (parseInt(planInfo.price) / 1000000).toFixed(0)
-          });
-        } catch (error) {
-          console.error(`Error fetching plan ${i}:`, error);
-        }
-      }
+      // ดึงข้อมูลแผนทั้งหมดในการเรียกครั้งเดียว
+      const plans = await ContractService.forNetwork(req.chainId).getAllPlansInfo();
 
       // ตรวจสอบสมาชิกภาพปัจจุบัน
       let userMembership = null;
@@ -39,6 +26,7 @@ const membershipController = {
         title: 'Membership Plans',
         plans,
         userMembership,
+        cycleAlmostFullPercent: cycleTracker.almostFullPercent,
         telegramUser: req.telegramUser,
         user: req.user
       });
@@ -133,50 +121,62 @@ const membershipController = {
   // API: อัพเดทข้อมูลสมาชิกภาพ
   async updateMembership(req, res) {
     try {
-      const { walletAddress, transactionHash, planId } = req.body;
+      const { transactionHash } = req.body;
       
-      if (!walletAddress || !transactionHash) {
+      if (!transactionHash) {
         return res.status(400).json({ error: 'Missing required fields' });
       }
 
-      // ตรวจสอบ transaction hash
-      const tx = await web3Service.provider.getTransaction(transactionHash);
-      if (!tx || !tx.blockNumber) {
-        return res.status(400).json({ error: 'Invalid transaction hash' });
+      // ตรวจสอบ transaction บน blockchain ก่อนบันทึก (ไม่เชื่อ planId จาก client)
+      // รอ confirmation เบื้องหลัง แล้วตอบ 202 ทันที
+      const result = await transactionVerifier.submit('membership', req.user, transactionHash, req.chainId);
+
+      if (result.status === 'pending') {
+        return res.status(202).json({ success: true, status: 'pending', transactionHash });
       }
 
-      // อัพเดทหรือสร้างข้อมูลสมาชิกภาพ
-      let membership = await Membership.findOne({
-        walletAddress: walletAddress.toLowerCase()
+      res.json({
+        success: true,
+        status: 'confirmed',
+        membership: result.membership,
+        message: 'Membership updated successfully'
       });
-
-      if (membership) {
-        membership.planId = planId;
-        membership.transactionHash = transactionHash;
-        membership.blockNumber = tx.blockNumber;
-        membership.isActive = true;
-      } else {
-        const planInfo = await web3Service.getPlanInfo(planId);
-        
-        membership = new Membership({
-          user: req.user._id,
-          walletAddress: walletAddress.toLowerCase(),
-          planId,
-          planName: planInfo.name,
-          transactionHash,
-          blockNumber: tx.blockNumber
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          ...(error.contractError && { code: error.contractError.code, action: error.contractError.action })
         });
       }
 
-      await membership.save();
+      console.error('Error updating membership:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+
+  // API: สถานะของ transaction ที่ส่งมาที่ updateMembership
+  async getUpdateStatus(req, res) {
+    try {
+      const { transactionHash } = req.params;
+      const result = await transactionVerifier.getStatus('membership', req.user, transactionHash, req.chainId);
+
+      if (result.status === 'unknown') {
+        return res.status(404).json({ error: 'No membership update is being verified for this transaction', status: 'unknown' });
+      }
 
       res.json({
-        success: true,
-        membership,
-        message: 'Membership updated successfully'
+        success: result.status !== 'failed',
+        status: result.status,
+        transactionHash,
+        ...(result.membership && { membership: result.membership }),
+        ...result.failure
       });
     } catch (error) {
-      console.error('Error updating membership:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+
+      console.error('Error getting membership update status:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
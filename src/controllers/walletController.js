@@ -2,6 +2,7 @@
 const User = require('../models/User');
 const Membership = require('../models/Membership');
 const web3Service = require('../services/web3Service');
+const siweService = require('../services/siweService');
 const { ethers } = require('ethers');
 
 const walletController = {
@@ -93,7 +94,7 @@ const walletController = {
             try {
                 // Get BNB balance
                 const bnbBalance = await web3Service.provider.getBalance(req.user.walletAddress);
-                walletBalance.bnb = ethers.utils.formatEther(bnbBalance);
+                walletBalance.bnb = ethers.formatEther(bnbBalance);
 
                 // Get USDT balance
                 const usdtContract = new ethers.Contract(
@@ -102,7 +103,7 @@ const walletController = {
                     web3Service.provider
                 );
                 const usdtBalance = await usdtContract.balanceOf(req.user.walletAddress);
-                walletBalance.usdt = ethers.utils.formatUnits(usdtBalance, 6);
+                walletBalance.usdt = ethers.formatUnits(usdtBalance, 6);
             } catch (error) {
                 console.error('Error fetching wallet balance:', error);
             }
@@ -129,52 +130,31 @@ const walletController = {
         }
     },
 
-    // Connect wallet API
+    // Connect wallet API (requires a signed Sign-In With Ethereum challenge)
     async connectWallet(req, res) {
         try {
-            const { walletAddress, signature, message } = req.body;
+            const { message, signature } = req.body;
 
             if (!req.user) {
                 return res.status(401).json({ error: 'User not authenticated' });
             }
 
-            if (!walletAddress) {
-                return res.status(400).json({ error: 'Wallet address required' });
-            }
-
-            // Validate Ethereum address format
-            if (!ethers.utils.isAddress(walletAddress)) {
-                return res.status(400).json({ error: 'Invalid wallet address format' });
+            if (!message || !signature) {
+                return res.status(400).json({ error: 'Signed sign-in message required' });
             }
 
-            // Verify signature if provided
-            if (signature && message) {
-                try {
-                    const recoveredAddress = ethers.utils.verifyMessage(message, signature);
-                    if (recoveredAddress.toLowerCase() !== walletAddress.toLowerCase()) {
-                        return res.status(400).json({ error: 'Signature verification failed' });
-                    }
-                } catch (error) {
-                    return res.status(400).json({ error: 'Invalid signature' });
+            let walletAddress;
+            try {
+                const { domain } = siweService.getOrigin(req);
+                walletAddress = await siweService.verify(req.user, message, signature, domain);
+                await siweService.linkWallet(req.user, walletAddress);
+            } catch (error) {
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({ error: error.message });
                 }
+                throw error;
             }
 
-            // Check if wallet is already connected to another account
-            const existingUser = await User.findOne({
-                walletAddress: walletAddress.toLowerCase(),
-                telegramId: { $ne: req.user.telegramId }
-            });
-
-            if (existingUser) {
-                return res.status(400).json({ 
-                    error: 'Wallet already connected to another account' 
-                });
-            }
-
-            // Update user with wallet address
-            req.user.walletAddress = walletAddress.toLowerCase();
-            await req.user.save();
-
             // Check if user has existing membership
             const membership = await Membership.findOne({
                 walletAddress: walletAddress.toLowerCase(),
@@ -185,7 +165,7 @@ const walletController = {
             let walletBalance = { bnb: '0', usdt: '0' };
             try {
                 const bnbBalance = await web3Service.provider.getBalance(walletAddress);
-                walletBalance.bnb = ethers.utils.formatEther(bnbBalance);
+                walletBalance.bnb = ethers.formatEther(bnbBalance);
 
                 const usdtContract = new ethers.Contract(
                     process.env.USDT_CONTRACT_ADDRESS,
@@ -193,7 +173,7 @@ const walletController = {
                     web3Service.provider
                 );
                 const usdtBalance = await usdtContract.balanceOf(walletAddress);
-                walletBalance.usdt = ethers.utils.formatUnits(usdtBalance, 6);
+                walletBalance.usdt = ethers.formatUnits(usdtBalance, 6);
             } catch (error) {
                 console.error('Error fetching balance:', error);
             }
@@ -264,8 +244,8 @@ const walletController = {
                     const usdtBalance = await usdtContract.balanceOf(req.user.walletAddress);
 
                     walletInfo.balance = {
-                        bnb: ethers.utils.formatEther(bnbBalance),
-                        usdt: ethers.utils.formatUnits(usdtBalance, 6)
+                        bnb: ethers.formatEther(bnbBalance),
+                        usdt: ethers.formatUnits(usdtBalance, 6)
                     };
                 } catch (error) {
                     console.error('Error fetching balance:', error);
@@ -280,30 +260,33 @@ const walletController = {
         }
     },
 
-    // Verify wallet ownership
+    // Verify wallet ownership against an issued challenge
     async verifyWallet(req, res) {
         try {
-            const { walletAddress, message, signature } = req.body;
+            const { message, signature } = req.body;
+
+            if (!req.user) {
+                return res.status(401).json({ error: 'User not authenticated' });
+            }
 
-            if (!walletAddress || !message || !signature) {
+            if (!message || !signature) {
                 return res.status(400).json({ error: 'Missing required fields' });
             }
 
-            // Verify signature
             try {
-                const recoveredAddress = ethers.utils.verifyMessage(message, signature);
-                
-                if (recoveredAddress.toLowerCase() !== walletAddress.toLowerCase()) {
-                    return res.status(400).json({ error: 'Invalid signature' });
-                }
+                const { domain } = siweService.getOrigin(req);
+                const address = await siweService.verify(req.user, message, signature, domain);
 
                 res.json({
                     success: true,
                     verified: true,
-                    address: recoveredAddress.toLowerCase()
+                    address
                 });
             } catch (error) {
-                res.status(400).json({ error: 'Signature verification failed' });
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({ error: error.message });
+                }
+                throw error;
             }
         } catch (error) {
             console.error('Wallet verify error:', error);
@@ -417,24 +400,29 @@ const walletController = {
         }
     },
 
-    // Generate wallet connection message
+    // Generate wallet connection message (EIP-4361 challenge with a single-use nonce)
     async generateConnectionMessage(req, res) {
         try {
             if (!req.user) {
                 return res.status(401).json({ error: 'User not authenticated' });
             }
 
-            const message = `Connect wallet to Crypto Membership NFT\n\nUser ID: ${req.user.telegramId}\nTimestamp: ${Date.now()}`;
-            const nonce = Math.random().toString(36).substring(7);
+            const walletAddress = req.body.walletAddress || req.query.walletAddress;
+            if (!walletAddress) {
+                return res.status(400).json({ error: 'Wallet address required' });
+            }
 
-            // Store nonce in session for verification
-            req.session.walletNonce = nonce;
+            const { message, nonce, expiresAt } = await siweService.createChallenge(req.user, walletAddress, req);
 
             res.json({
                 message: message,
-                nonce: nonce
+                nonce: nonce,
+                expiresAt: expiresAt
             });
         } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
             console.error('Error generating connection message:', error);
             res.status(500).json({ error: 'Internal server error' });
         }
@@ -445,7 +433,7 @@ const walletController = {
         try {
             const { walletAddress } = req.params;
 
-            if (!ethers.utils.isAddress(walletAddress)) {
+            if (!ethers.isAddress(walletAddress)) {
                 return res.status(400).json({ error: 'Invalid wallet address' });
             }
 
@@ -463,12 +451,12 @@ const walletController = {
             const balances = {
                 bnb: {
                     raw: bnbBalance.toString(),
-                    formatted: ethers.utils.formatEther(bnbBalance),
+                    formatted: ethers.formatEther(bnbBalance),
                     symbol: 'BNB'
                 },
                 usdt: {
                     raw: usdtBalance.toString(),
-                    formatted: ethers.utils.formatUnits(usdtBalance, 6),
+                    formatted: ethers.formatUnits(usdtBalance, 6),
                     symbol: 'USDT'
                 }
             };
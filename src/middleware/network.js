@@ -0,0 +1,73 @@
+// src/middleware/network.js
+/**
+ * Network selection middleware
+ * Resolves the network a request works against (X-Chain-Id header, ?chainId or the
+ * network saved in the session) and exposes it to views as `network` / `networks`
+ */
+function selectNetwork(req, res, next) {
+    try {
+        const web3Config = require('../config/web3');
+
+        const requested = parseInt(
+            req.headers['x-chain-id'] ||
+            req.query.chainId ||
+            req.session?.chainId
+        );
+
+        req.chainId = web3Config.hasNetwork(requested) ? requested : web3Config.chainId;
+        res.locals.network = web3Config.getClientNetwork(req.chainId);
+        res.locals.networks = web3Config.getNetworks().map(network => web3Config.getClientNetwork(network.chainId));
+    } catch (error) {
+        // Contract configuration missing: fall back to the single-network environment
+        Object.assign(res.locals, getDefaultLocals());
+        req.chainId = res.locals.network.chainId;
+    }
+
+    next();
+}
+
+/**
+ * View locals for the default network, used before a request has selected one
+ * (error pages rendered ahead of selectNetwork) and when the registry cannot load
+ */
+function getDefaultLocals() {
+    try {
+        const web3Config = require('../config/web3');
+        return {
+            network: web3Config.getClientNetwork(web3Config.chainId),
+            networks: web3Config.getNetworks().map(network => web3Config.getClientNetwork(network.chainId))
+        };
+    } catch (error) {
+        const network = {
+            chainId: parseInt(process.env.CHAIN_ID) || 56,
+            name: '',
+            contractAddress: process.env.CONTRACT_ADDRESS || '',
+            usdtAddress: process.env.USDT_CONTRACT_ADDRESS || '',
+            rpcUrl: '',
+            isDefault: true
+        };
+        return { network, networks: [network] };
+    }
+}
+
+/**
+ * Remember the tester's network choice for the rest of the session
+ */
+function setSessionNetwork(req, chainId) {
+    const web3Config = require('../config/web3');
+    chainId = parseInt(chainId);
+
+    if (!web3Config.hasNetwork(chainId)) {
+        return null;
+    }
+
+    req.session.chainId = chainId;
+    req.chainId = chainId;
+    return web3Config.getClientNetwork(chainId);
+}
+
+module.exports = {
+    selectNetwork,
+    setSessionNetwork,
+    getDefaultLocals
+};
@@ -182,8 +182,9 @@ function verifyVerificationToken(token, telegramUser) {
 
 /**
  * Middleware to handle referral codes from Telegram start parameters
+ * The code waits in the session until there is a user to attribute it to
  */
-function handleReferralCode(req, res, next) {
+async function handleReferralCode(req, res, next) {
     try {
         if (req.telegramUser?.start_param) {
             const startParam = req.telegramUser.start_param;
@@ -195,6 +196,11 @@ function handleReferralCode(req, res, next) {
             }
         }
         
+        if (req.session.referralCode && req.user && !req.user.referredBy) {
+            const referralService = require('../services/referralService');
+            await referralService.attribute(req.user, req.session.referralCode, req.chainId);
+        }
+        
         next();
     } catch (error) {
         console.error('Referral code handling error:', error);
@@ -32,7 +32,7 @@ const handleValidationErrors = (req, res, next) => {
  * Custom validator for Ethereum addresses
  */
 const isValidEthereumAddress = (value) => {
-    return ethers.utils.isAddress(value);
+    return ethers.isAddress(value);
 };
 
 /**
@@ -435,6 +435,18 @@ const validateDateRange = [
     handleValidationErrors
 ];
 
+// Events the contract event listener forwards to /webhook/<event>
+const WEBHOOK_EVENTS = [
+    'member-registered',
+    'commission-paid',
+    'plan-upgraded',
+    'member-exited',
+    'cycle-started',
+    'membership-minted',
+    'upline-notified',
+    'system-alert'
+];
+
 /**
  * Validation for webhook endpoints
  */
@@ -442,9 +454,15 @@ const validateWebhook = [
     body('event')
         .notEmpty()
         .withMessage('Event type is required')
-        .isIn(['membership.created', 'membership.upgraded', 'payment.received', 'referral.made'])
+        .isIn(WEBHOOK_EVENTS)
         .withMessage('Invalid event type'),
     
+    body('deliveryId')
+        .notEmpty()
+        .withMessage('Delivery ID is required')
+        .isLength({ max: 64 })
+        .withMessage('Invalid delivery ID'),
+    
     body('data')
         .notEmpty()
         .withMessage('Event data is required')
@@ -672,6 +690,7 @@ module.exports = {
     validateReportGeneration,
     validateDateRange,
     validateWebhook,
+    WEBHOOK_EVENTS,
     validateAnalytics,
     sanitizeUserInput,
     validateRateLimit,
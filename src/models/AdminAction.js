@@ -0,0 +1,115 @@
+// src/models/AdminAction.js - Audit trail of owner-only contract operations
+const mongoose = require('mongoose');
+
+const adminActionSchema = new mongoose.Schema({
+    chainId: {
+        type: Number,
+        required: true
+    },
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['prepared', 'executing', 'executed', 'failed', 'cancelled'],
+        default: 'prepared',
+        index: true
+    },
+    // Who prepared the action
+    preparedBy: {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        walletAddress: String,
+        telegramId: String,
+        ip: String
+    },
+    // Who confirmed or cancelled it
+    resolvedBy: {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        walletAddress: String,
+        telegramId: String,
+        ip: String
+    },
+    // Unsigned transaction shown on the confirmation screen
+    transaction: {
+        from: String,
+        to: String,
+        data: String,
+        gasLimit: String,
+        gasPrice: String,
+        estimatedCost: String
+    },
+    transactionHash: String,
+    blockNumber: Number,
+    gasUsed: String,
+    error: String,
+    expiresAt: Date,
+    resolvedAt: Date
+}, {
+    timestamps: true
+});
+
+adminActionSchema.index({ createdAt: -1 });
+
+// Static methods
+adminActionSchema.statics.getRecent = function({ action, status, limit = 50, skip = 0 } = {}) {
+    const query = {};
+    if (action) query.action = action;
+    if (status) query.status = status;
+
+    return Promise.all([
+        this.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        this.countDocuments(query)
+    ]).then(([actions, total]) => ({ actions, total }));
+};
+
+// Atomically move a prepared, unexpired action to executing so it can only be sent once
+adminActionSchema.statics.claim = function(id, actor) {
+    return this.findOneAndUpdate(
+        {
+            _id: id,
+            status: 'prepared',
+            expiresAt: { $gt: new Date() }
+        },
+        {
+            $set: {
+                status: 'executing',
+                resolvedBy: actor,
+                resolvedAt: new Date()
+            }
+        },
+        { new: true }
+    );
+};
+
+// Instance methods
+adminActionSchema.methods.isExpired = function() {
+    return this.status === 'prepared' && this.expiresAt <= new Date();
+};
+
+adminActionSchema.methods.markExecuted = function(receipt) {
+    this.status = 'executed';
+    this.transactionHash = receipt.hash;
+    this.blockNumber = receipt.blockNumber;
+    this.gasUsed = receipt.gasUsed?.toString();
+    return this.save();
+};
+
+adminActionSchema.methods.markFailed = function(error) {
+    this.status = 'failed';
+    this.error = error.message || String(error);
+    return this.save();
+};
+
+module.exports = mongoose.model('AdminAction', adminActionSchema);
@@ -0,0 +1,73 @@
+// src/models/BlockCheckpoint.js - Event listener block cursor
+const mongoose = require('mongoose');
+
+const blockCheckpointSchema = new mongoose.Schema({
+    chainId: {
+        type: Number,
+        required: true
+    },
+    contractAddress: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    lastProcessedBlock: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    eventsProcessed: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// One cursor per contract per chain
+blockCheckpointSchema.index({ chainId: 1, contractAddress: 1 }, { unique: true });
+
+// Static methods
+blockCheckpointSchema.statics.getCursor = function(chainId, contractAddress) {
+    return this.findOne({
+        chainId,
+        contractAddress: contractAddress.toLowerCase()
+    });
+};
+
+blockCheckpointSchema.statics.advance = async function(chainId, contractAddress, blockNumber, eventCount = 0) {
+    // Never move the cursor backwards if two writers race
+    const checkpoint = await this.findOneAndUpdate(
+        {
+            chainId,
+            contractAddress: contractAddress.toLowerCase(),
+            lastProcessedBlock: { $lt: blockNumber }
+        },
+        {
+            $set: { lastProcessedBlock: blockNumber },
+            $inc: { eventsProcessed: eventCount }
+        },
+        { new: true }
+    );
+
+    if (checkpoint) {
+        return checkpoint;
+    }
+
+    try {
+        return await this.create({
+            chainId,
+            contractAddress: contractAddress.toLowerCase(),
+            lastProcessedBlock: blockNumber,
+            eventsProcessed: eventCount
+        });
+    } catch (error) {
+        // Cursor already exists at or beyond this block
+        if (error.code === 11000) {
+            return this.getCursor(chainId, contractAddress);
+        }
+        throw error;
+    }
+};
+
+module.exports = mongoose.model('BlockCheckpoint', blockCheckpointSchema);
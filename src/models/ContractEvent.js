@@ -0,0 +1,114 @@
+// src/models/ContractEvent.js - Staged contract events awaiting finality
+const mongoose = require('mongoose');
+
+const contractEventSchema = new mongoose.Schema({
+    chainId: {
+        type: Number,
+        required: true
+    },
+    contractAddress: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    eventName: {
+        type: String,
+        required: true,
+        index: true
+    },
+    args: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    transactionHash: {
+        type: String,
+        required: true
+    },
+    logIndex: {
+        type: Number,
+        required: true
+    },
+    blockNumber: {
+        type: Number,
+        required: true
+    },
+    blockHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'retracted'],
+        default: 'pending',
+        index: true
+    },
+    confirmedAt: Date,
+    retractedAt: Date
+}, {
+    timestamps: true
+});
+
+// A log is identified by its transaction and position in the block
+contractEventSchema.index({ chainId: 1, transactionHash: 1, logIndex: 1 }, { unique: true });
+contractEventSchema.index({ chainId: 1, contractAddress: 1, status: 1, blockNumber: 1 });
+
+// Static methods
+contractEventSchema.statics.stage = async function(eventData) {
+    const { chainId, transactionHash, logIndex } = eventData;
+
+    try {
+        // Re-staging after a reorg moves the log to its new block
+        return await this.findOneAndUpdate(
+            { chainId, transactionHash, logIndex, status: { $ne: 'confirmed' } },
+            {
+                $set: {
+                    ...eventData,
+                    status: 'pending',
+                    retractedAt: null
+                }
+            },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // Already confirmed, nothing to stage
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+contractEventSchema.statics.confirm = function(eventData) {
+    const { chainId, transactionHash, logIndex } = eventData;
+
+    return this.findOneAndUpdate(
+        { chainId, transactionHash, logIndex },
+        {
+            $set: {
+                ...eventData,
+                status: 'confirmed',
+                confirmedAt: new Date(),
+                retractedAt: null
+            }
+        },
+        { upsert: true, new: true }
+    );
+};
+
+contractEventSchema.statics.findPendingInRange = function(chainId, contractAddress, fromBlock, toBlock) {
+    return this.find({
+        chainId,
+        contractAddress: contractAddress.toLowerCase(),
+        status: 'pending',
+        blockNumber: { $gte: fromBlock, $lte: toBlock }
+    }).sort({ blockNumber: 1, logIndex: 1 });
+};
+
+// Instance methods
+contractEventSchema.methods.retract = function() {
+    this.status = 'retracted';
+    this.retractedAt = new Date();
+    return this.save();
+};
+
+module.exports = mongoose.model('ContractEvent', contractEventSchema);
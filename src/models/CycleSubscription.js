@@ -0,0 +1,70 @@
+// src/models/CycleSubscription.js - Bot subscriptions to a plan's cycle alerts
+const mongoose = require('mongoose');
+
+const cycleSubscriptionSchema = new mongoose.Schema({
+    telegramId: {
+        type: String,
+        required: true
+    },
+    chainId: {
+        type: Number,
+        required: true
+    },
+    planId: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 16
+    },
+    // Last cycle the "almost full" alert went out for, so it is sent once per cycle
+    almostFullNotifiedCycle: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+cycleSubscriptionSchema.index({ telegramId: 1, chainId: 1, planId: 1 }, { unique: true });
+cycleSubscriptionSchema.index({ chainId: 1, planId: 1 });
+
+// Static methods
+cycleSubscriptionSchema.statics.subscribe = async function(telegramId, chainId, planId) {
+    return await this.findOneAndUpdate(
+        { telegramId, chainId, planId },
+        { $setOnInsert: { telegramId, chainId, planId } },
+        { upsert: true, new: true }
+    );
+};
+
+cycleSubscriptionSchema.statics.unsubscribe = async function(telegramId, chainId, planId) {
+    const result = await this.deleteOne({ telegramId, chainId, planId });
+    return result.deletedCount > 0;
+};
+
+cycleSubscriptionSchema.statics.planIdsFor = async function(telegramId, chainId) {
+    const subscriptions = await this.find({ telegramId, chainId }).select('planId').lean();
+    return subscriptions.map(subscription => subscription.planId).sort((a, b) => a - b);
+};
+
+// Subscribers not yet told that this cycle is almost full; each one is claimed atomically,
+// so concurrent webhooks for the same cycle do not alert anyone twice
+cycleSubscriptionSchema.statics.claimAlmostFull = async function(chainId, planId, cycle) {
+    const pending = await this.find({ chainId, planId, almostFullNotifiedCycle: { $lt: cycle } }).select('_id').lean();
+    const claimed = [];
+
+    for (const { _id } of pending) {
+        const subscription = await this.findOneAndUpdate(
+            { _id, almostFullNotifiedCycle: { $lt: cycle } },
+            { almostFullNotifiedCycle: cycle },
+            { new: true }
+        );
+        if (subscription) {
+            claimed.push(subscription);
+        }
+    }
+
+    return claimed;
+};
+
+module.exports = mongoose.model('CycleSubscription', cycleSubscriptionSchema);
@@ -0,0 +1,79 @@
+// src/models/LedgerEntry.js - Append-only earnings ledger: one row per commission or refund
+const mongoose = require('mongoose');
+
+const ledgerEntrySchema = new mongoose.Schema({
+    chainId: {
+        type: Number,
+        required: true
+    },
+    // Wallet that received the money
+    walletAddress: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Position in the wallet's ledger; unique, so two concurrent appends cannot both extend the same balance
+    sequence: {
+        type: Number,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['commission', 'refund'],
+        required: true
+    },
+    // USDT base units (6 decimals) as strings
+    amount: {
+        type: String,
+        required: true
+    },
+    balance: {
+        type: String,
+        required: true
+    },
+    // Member whose registration/upgrade paid the commission, or the exiting member for refunds
+    sourceAddress: {
+        type: String,
+        lowercase: true
+    },
+    planId: {
+        type: Number,
+        min: 1,
+        max: 16
+    },
+    planName: String,
+    transactionHash: {
+        type: String,
+        required: true
+    },
+    logIndex: Number,
+    blockNumber: Number,
+    occurredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ chainId: 1, walletAddress: 1, sequence: 1 }, { unique: true });
+ledgerEntrySchema.index({ chainId: 1, walletAddress: 1, occurredAt: -1 });
+// One entry per event and recipient, so webhook retries are no-ops
+ledgerEntrySchema.index({ chainId: 1, transactionHash: 1, logIndex: 1, walletAddress: 1, type: 1 }, { unique: true });
+
+// Entries are never edited. They are only written for confirmed events (the listener
+// delivers webhooks past the confirmation depth), so reorg rollback never has to touch them
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+    next(new Error('Ledger entries are append-only'));
+});
+
+// Static methods
+ledgerEntrySchema.statics.lastEntry = function(chainId, walletAddress) {
+    return this.findOne({ chainId, walletAddress: walletAddress.toLowerCase() }).sort({ sequence: -1 });
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
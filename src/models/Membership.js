@@ -1,11 +1,18 @@
 // src/models/Membership.js
 const mongoose = require('mongoose');
+const chainFilter = require('./plugins/chainFilter');
+
+const DEFAULT_CHAIN_ID = parseInt(process.env.CHAIN_ID) || 56;
 
 const membershipSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    default: DEFAULT_CHAIN_ID
+  },
+  // Unset on placeholders the history indexer creates for wallets no user has linked yet
   user: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
   walletAddress: {
     type: String,
@@ -23,6 +30,9 @@ const membershipSchema = new mongoose.Schema({
     required: true
   },
   tokenId: Number,
+  // Transaction that minted tokenId, recorded from the MembershipMinted webhook
+  mintTransactionHash: String,
+  mintBlockNumber: Number,
   cycleNumber: {
     type: Number,
     default: 1
@@ -48,7 +58,13 @@ const membershipSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  cycleCompletedAt: Date,
+  exitedAt: Date,
+  refundAmount: String,
+  exitTransactionHash: String,
+  // blockNumber of the purchase the "you can upgrade now" reminder was last handled for
+  upgradeReminderBlock: Number
 }, {
   timestamps: true
 });
@@ -57,5 +73,18 @@ const membershipSchema = new mongoose.Schema({
 membershipSchema.index({ walletAddress: 1 });
 membershipSchema.index({ user: 1 });
 membershipSchema.index({ planId: 1 });
+membershipSchema.index({ chainId: 1, walletAddress: 1 });
+
+membershipSchema.plugin(chainFilter);
+
+// Static methods
+// Hand the wallet's placeholder memberships to the user who just linked it
+membershipSchema.statics.attachToUser = async function(walletAddress, userId) {
+  const result = await this.updateMany(
+    { walletAddress: walletAddress.toLowerCase(), user: null },
+    { user: userId }
+  );
+  return result.modifiedCount;
+};
 
 module.exports = mongoose.model('Membership', membershipSchema);
\ No newline at end of file
@@ -0,0 +1,74 @@
+// src/models/ProcessedWebhook.js - Webhook deliveries already handled, for idempotency
+const mongoose = require('mongoose');
+
+// A claim left in 'processing' this long belongs to a request that died, and may be taken over
+const CLAIM_LEASE_MS = parseInt(process.env.WEBHOOK_CLAIM_LEASE) || 5 * 60 * 1000; // 5 minutes
+
+const processedWebhookSchema = new mongoose.Schema({
+    deliveryId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'processed'],
+        default: 'processing'
+    },
+    statusCode: Number,
+    claimedAt: {
+        type: Date,
+        default: Date.now
+    },
+    processedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Dead-lettered deliveries can be replayed long after the first attempt
+processedWebhookSchema.index({ processedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Static methods
+// Claim a delivery before handling it; the unique deliveryId index lets only one concurrent request win.
+// Resolves to 'claimed', or the status of the claim that got there first
+processedWebhookSchema.statics.claim = async function(deliveryId, event) {
+    try {
+        await this.create({ deliveryId, event });
+        return 'claimed';
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+
+    const now = new Date();
+    const takenOver = await this.findOneAndUpdate(
+        { deliveryId, status: 'processing', claimedAt: { $lt: new Date(now.getTime() - CLAIM_LEASE_MS) } },
+        { claimedAt: now, processedAt: now }
+    );
+    if (takenOver) {
+        return 'claimed';
+    }
+
+    const existing = await this.findOne({ deliveryId }).select('status');
+    return existing ? existing.status : await this.claim(deliveryId, event);
+};
+
+processedWebhookSchema.statics.complete = function(deliveryId, statusCode) {
+    return this.updateOne(
+        { deliveryId },
+        { status: 'processed', statusCode, processedAt: new Date() }
+    );
+};
+
+// Give up a claim whose handler failed, so the retry is handled again
+processedWebhookSchema.statics.release = function(deliveryId) {
+    return this.deleteOne({ deliveryId, status: 'processing' });
+};
+
+module.exports = mongoose.model('ProcessedWebhook', processedWebhookSchema);
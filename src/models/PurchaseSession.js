@@ -0,0 +1,130 @@
+// src/models/PurchaseSession.js - Server-tracked plan purchase (approve → register/upgrade) the Mini App can resume
+const mongoose = require('mongoose');
+
+// Waiting for the user to sign the next transaction
+const AWAITING_STATUSES = ['awaiting_approval', 'awaiting_purchase'];
+
+// A signed transaction is waiting for confirmations
+const PENDING_STATUSES = ['approval_pending', 'purchase_pending'];
+
+const purchaseSessionSchema = new mongoose.Schema({
+    chainId: {
+        type: Number,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    telegramId: String,
+    walletAddress: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    action: {
+        type: String,
+        enum: ['register', 'upgrade'],
+        required: true
+    },
+    planId: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 16
+    },
+    planName: String,
+    uplineAddress: {
+        type: String,
+        lowercase: true
+    },
+    // USDT (6 decimals) charged by the purchase; the approval is for this amount
+    amount: {
+        type: String,
+        required: true
+    },
+    needsApproval: {
+        type: Boolean,
+        default: true
+    },
+    status: {
+        type: String,
+        enum: [...AWAITING_STATUSES, ...PENDING_STATUSES, 'confirmed', 'failed', 'cancelled', 'expired'],
+        default: 'awaiting_approval',
+        index: true
+    },
+    approveTxHash: String,
+    purchaseTxHash: String,
+    // Decoded contract error when a transaction reverted
+    error: {
+        code: String,
+        message: String,
+        action: String
+    },
+    membership: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Membership'
+    },
+    expiresAt: Date,
+    confirmedAt: Date,
+    // Set once the Mini App has shown the final result, so it is not resumed again
+    closedAt: Date
+}, {
+    timestamps: true
+});
+
+purchaseSessionSchema.index({ user: 1, chainId: 1, createdAt: -1 });
+
+// Static methods
+// Latest session the Mini App should resume: still open, or finished but not yet shown to the user
+purchaseSessionSchema.statics.findCurrent = function(userId, chainId) {
+    return this.findOne({
+        user: userId,
+        chainId,
+        closedAt: null
+    }).sort({ createdAt: -1 });
+};
+
+purchaseSessionSchema.statics.findPending = function() {
+    return this.find({ status: { $in: PENDING_STATUSES } });
+};
+
+// Instance methods
+purchaseSessionSchema.methods.isAwaiting = function() {
+    return AWAITING_STATUSES.includes(this.status);
+};
+
+purchaseSessionSchema.methods.isPending = function() {
+    return PENDING_STATUSES.includes(this.status);
+};
+
+purchaseSessionSchema.methods.isExpired = function() {
+    return this.isAwaiting() && this.expiresAt <= new Date();
+};
+
+// Hash the watcher is waiting on
+purchaseSessionSchema.methods.getPendingHash = function() {
+    if (this.status === 'approval_pending') return this.approveTxHash;
+    if (this.status === 'purchase_pending') return this.purchaseTxHash;
+    return null;
+};
+
+purchaseSessionSchema.methods.markConfirmed = function(membership) {
+    this.status = 'confirmed';
+    this.membership = membership?._id;
+    this.confirmedAt = new Date();
+    return this.save();
+};
+
+purchaseSessionSchema.methods.markFailed = function(contractError) {
+    this.status = 'failed';
+    this.error = {
+        code: contractError.code,
+        message: contractError.message,
+        action: contractError.action
+    };
+    return this.save();
+};
+
+module.exports = mongoose.model('PurchaseSession', purchaseSessionSchema);
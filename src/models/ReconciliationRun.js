@@ -0,0 +1,87 @@
+// src/models/ReconciliationRun.js - On-chain vs database reconciliation log
+const mongoose = require('mongoose');
+
+const diffSchema = new mongoose.Schema({
+    walletAddress: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    chainId: Number,
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // drift: fields differ, missing_in_db: member on-chain only,
+    // missing_on_chain: active membership with no NFT, error: lookup failed
+    type: {
+        type: String,
+        enum: ['drift', 'missing_in_db', 'missing_on_chain', 'error'],
+        required: true
+    },
+    changes: [{
+        _id: false,
+        field: String,
+        database: mongoose.Schema.Types.Mixed,
+        chain: mongoose.Schema.Types.Mixed
+    }],
+    repaired: {
+        type: Boolean,
+        default: false
+    },
+    error: String
+}, { _id: false });
+
+const reconciliationRunSchema = new mongoose.Schema({
+    dryRun: {
+        type: Boolean,
+        default: true
+    },
+    trigger: {
+        type: String,
+        enum: ['schedule', 'manual'],
+        default: 'schedule'
+    },
+    triggeredBy: String,
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed'],
+        default: 'running'
+    },
+    summary: {
+        checked: { type: Number, default: 0 },
+        inSync: { type: Number, default: 0 },
+        drifted: { type: Number, default: 0 },
+        repaired: { type: Number, default: 0 },
+        errors: { type: Number, default: 0 }
+    },
+    diffs: [diffSchema],
+    error: String,
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: Date
+}, {
+    timestamps: true
+});
+
+reconciliationRunSchema.index({ startedAt: -1 });
+
+// Static methods
+reconciliationRunSchema.statics.getRecent = function(limit = 20) {
+    return this.find()
+        .select('-diffs')
+        .sort({ startedAt: -1 })
+        .limit(limit);
+};
+
+// Instance methods
+reconciliationRunSchema.methods.finish = function(error = null) {
+    this.status = error ? 'failed' : 'completed';
+    this.error = error ? error.message : undefined;
+    this.finishedAt = new Date();
+    return this.save();
+};
+
+module.exports = mongoose.model('ReconciliationRun', reconciliationRunSchema);
@@ -1,7 +1,15 @@
 // src/models/Referral.js - Referral tracking model
 const mongoose = require('mongoose');
+const chainFilter = require('./plugins/chainFilter');
+
+const DEFAULT_CHAIN_ID = parseInt(process.env.CHAIN_ID) || 56;
 
 const referralSchema = new mongoose.Schema({
+    chainId: {
+        type: Number,
+        default: DEFAULT_CHAIN_ID,
+        index: true
+    },
     referrer: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -86,6 +94,8 @@ referralSchema.virtual('commissionEarned').get(function() {
     return (baseAmount * this.commissionRate / 100).toFixed(2);
 });
 
+referralSchema.plugin(chainFilter);
+
 // Static methods
 referralSchema.statics.findByReferrer = function(referrerId, options = {}) {
     const query = { referrer: referrerId };
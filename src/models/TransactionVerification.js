@@ -0,0 +1,127 @@
+// src/models/TransactionVerification.js - Background transaction checks, shared by every app process
+const mongoose = require('mongoose');
+
+// Pending checks are abandoned after this; failures stay readable by status polls this long
+const PENDING_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const FAILURE_TTL = 30 * 60 * 1000; // 30 minutes
+
+const transactionVerificationSchema = new mongoose.Schema({
+    chainId: {
+        type: Number,
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['membership', 'exit'],
+        required: true
+    },
+    transactionHash: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    walletAddress: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'failed'],
+        default: 'pending'
+    },
+    // The process checking the transaction holds it until then; anyone may pick it up afterwards
+    leaseUntil: {
+        type: Date,
+        default: () => new Date(0)
+    },
+    failure: {
+        error: String,
+        code: String,
+        action: String
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Confirmed transactions live on the Membership row, so a record is only kept while pending or failed
+transactionVerificationSchema.index({ chainId: 1, kind: 1, transactionHash: 1 }, { unique: true });
+transactionVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+// Record a submitted transaction as pending, clearing an earlier failure
+transactionVerificationSchema.statics.begin = async function({ chainId, kind, transactionHash }, walletAddress) {
+    const filter = { chainId, kind, transactionHash: transactionHash.toLowerCase() };
+    const update = {
+        $set: {
+            walletAddress: walletAddress.toLowerCase(),
+            status: 'pending',
+            failure: null,
+            expiresAt: new Date(Date.now() + PENDING_TTL)
+        }
+    };
+
+    try {
+        return await this.findOneAndUpdate(filter, update, { upsert: true, new: true });
+    } catch (error) {
+        // A concurrent submit inserted it first
+        if (error.code === 11000) {
+            return await this.findOneAndUpdate(filter, update, { new: true });
+        }
+        throw error;
+    }
+};
+
+transactionVerificationSchema.statics.findFor = function({ chainId, kind, transactionHash }, walletAddress) {
+    return this.findOne({
+        chainId,
+        kind,
+        transactionHash: transactionHash.toLowerCase(),
+        walletAddress: walletAddress.toLowerCase()
+    }).lean();
+};
+
+// Lease a pending check so only one process runs it; resolves to null while another holds it
+transactionVerificationSchema.statics.claim = function({ chainId, kind, transactionHash }, leaseMs) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        { chainId, kind, transactionHash: transactionHash.toLowerCase(), status: 'pending', leaseUntil: { $lte: now } },
+        { $set: { leaseUntil: new Date(now.getTime() + leaseMs) } },
+        { new: true }
+    );
+};
+
+transactionVerificationSchema.statics.extendLease = function({ chainId, kind, transactionHash }, leaseMs) {
+    return this.updateOne(
+        { chainId, kind, transactionHash: transactionHash.toLowerCase(), status: 'pending' },
+        { $set: { leaseUntil: new Date(Date.now() + leaseMs) } }
+    );
+};
+
+// Resolves to the record as it was before, so callers can tell a first failure from a repeated one
+transactionVerificationSchema.statics.fail = function({ chainId, kind, transactionHash }, walletAddress, failure) {
+    return this.findOneAndUpdate(
+        { chainId, kind, transactionHash: transactionHash.toLowerCase() },
+        {
+            $set: {
+                walletAddress: walletAddress.toLowerCase(),
+                status: 'failed',
+                failure,
+                leaseUntil: new Date(0),
+                expiresAt: new Date(Date.now() + FAILURE_TTL)
+            }
+        },
+        { upsert: true }
+    );
+};
+
+transactionVerificationSchema.statics.finish = function({ chainId, kind, transactionHash }) {
+    return this.deleteOne({ chainId, kind, transactionHash: transactionHash.toLowerCase() });
+};
+
+module.exports = mongoose.model('TransactionVerification', transactionVerificationSchema);
@@ -29,6 +29,12 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Referrer's wallet, used as the upline when this user registers on-chain
+  uplineAddress: {
+    type: String,
+    lowercase: true
+  },
+  referredAt: Date,
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,73 @@
+// src/models/WalletNonce.js - Single-use Sign-In With Ethereum nonces
+const mongoose = require('mongoose');
+
+const walletNonceSchema = new mongoose.Schema({
+    nonce: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    telegramId: {
+        type: String,
+        required: true
+    },
+    walletAddress: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    chainId: {
+        type: Number,
+        required: true
+    },
+    domain: {
+        type: String,
+        required: true
+    },
+    // The exact EIP-4361 message the wallet is asked to sign
+    message: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: Date
+}, {
+    timestamps: true
+});
+
+// Expired nonces are removed by MongoDB
+walletNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+walletNonceSchema.statics.findPending = function(userId) {
+    return this.findOne({
+        user: userId,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+};
+
+// Atomically mark a nonce as used; resolves to null if it was already used or expired
+walletNonceSchema.statics.consume = function(nonce, userId) {
+    return this.findOneAndUpdate(
+        {
+            nonce,
+            user: userId,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model('WalletNonce', walletNonceSchema);
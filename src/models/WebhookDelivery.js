@@ -0,0 +1,120 @@
+// src/models/WebhookDelivery.js - Durable outbox for event listener webhooks
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+    endpoint: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Source event, used to enqueue each event only once
+    eventKey: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'delivered', 'dead'],
+        default: 'pending',
+        index: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 8
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastError: String,
+    lastStatusCode: Number,
+    deliveredAt: Date,
+    deadAt: Date,
+    replayCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: -1 });
+
+// Static methods
+webhookDeliverySchema.statics.findDue = function(limit = 20) {
+    return this.find({
+        status: 'pending',
+        nextAttemptAt: { $lte: new Date() }
+    })
+        .sort({ nextAttemptAt: 1 })
+        .limit(limit);
+};
+
+// Lease a due delivery so only one worker sends it
+webhookDeliverySchema.statics.claim = function(id, leaseMs) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        { _id: id, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + leaseMs) } },
+        { new: true }
+    );
+};
+
+webhookDeliverySchema.statics.getStatusCounts = async function() {
+    const counts = { pending: 0, delivered: 0, dead: 0 };
+    const results = await this.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    for (const result of results) {
+        counts[result._id] = result.count;
+    }
+
+    return counts;
+};
+
+// Instance methods
+webhookDeliverySchema.methods.markDelivered = function(statusCode) {
+    this.status = 'delivered';
+    this.attempts += 1;
+    this.lastStatusCode = statusCode;
+    this.lastError = undefined;
+    this.deliveredAt = new Date();
+    return this.save();
+};
+
+webhookDeliverySchema.methods.markFailed = function(errorMessage, statusCode, retryDelay) {
+    this.attempts += 1;
+    this.lastError = errorMessage;
+    this.lastStatusCode = statusCode;
+
+    if (this.attempts >= this.maxAttempts) {
+        this.status = 'dead';
+        this.deadAt = new Date();
+    } else {
+        this.nextAttemptAt = new Date(Date.now() + retryDelay);
+    }
+
+    return this.save();
+};
+
+webhookDeliverySchema.methods.resetForReplay = function() {
+    this.status = 'pending';
+    this.attempts = 0;
+    this.nextAttemptAt = new Date();
+    this.deadAt = undefined;
+    this.replayCount += 1;
+    return this.save();
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
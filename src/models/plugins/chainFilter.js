@@ -0,0 +1,12 @@
+// src/models/plugins/chainFilter.js - Network scoping shared by the chain-tagged models
+const DEFAULT_CHAIN_ID = parseInt(process.env.CHAIN_ID) || 56;
+
+module.exports = function chainFilterPlugin(schema) {
+    // Query fragment for one network; rows written before chain tagging belong to the default network
+    schema.statics.chainFilter = function(chainId = DEFAULT_CHAIN_ID) {
+        chainId = parseInt(chainId);
+        return chainId === DEFAULT_CHAIN_ID
+            ? { chainId: { $in: [chainId, null] } }
+            : { chainId };
+    };
+};
@@ -0,0 +1,414 @@
+// src/routes/admin.js - Admin-only operations
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { ensureUser, requireAdmin } = require('../middleware/auth');
+const adminService = require('../services/adminService');
+const webhookOutbox = require('../services/webhookOutbox');
+const reconciliationService = require('../services/reconciliationService');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const ContractService = require('../services/contractService');
+
+router.use(ensureUser, requireAdmin);
+
+// Redirect within the console, keeping the Telegram init data the request was authenticated with
+function redirectTo(req, res, path, error = null) {
+    const query = new URLSearchParams();
+    if (req.body.initData) query.set('initData', req.body.initData);
+    if (error) query.set('error', error);
+
+    const search = query.toString();
+    res.redirect(search ? `${path}?${search}` : path);
+}
+
+// Admin console: contract status, system stats and owner operations
+router.get('/', async (req, res) => {
+    try {
+        let overview = null;
+        let loadError = null;
+
+        try {
+            overview = await adminService.getOverview(req.chainId);
+        } catch (error) {
+            console.error('Admin overview error:', error);
+            loadError = error.message;
+        }
+
+        const { actions: recentActions } = await adminService.getAuditLog({ limit: 10 });
+
+        res.render('pages/admin', {
+            title: 'Admin Console',
+            overview,
+            loadError,
+            recentActions,
+            getActionLabel: adminService.getActionLabel,
+            error: req.query.error || null,
+            telegramUser: req.telegramUser,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Admin console error:', error);
+        res.status(500).render('error', {
+            message: 'Error loading admin console',
+            telegramUser: req.telegramUser
+        });
+    }
+});
+
+// Prepare an owner transaction and show it for confirmation
+router.post('/actions', async (req, res) => {
+    try {
+        const action = await adminService.prepare(req.body.action, req.body, adminService.getActor(req), req.chainId);
+        redirectTo(req, res, `/admin/actions/${action._id}`);
+    } catch (error) {
+        if (error.statusCode) {
+            return redirectTo(req, res, '/admin', error.message);
+        }
+
+        console.error('Admin prepare action error:', error);
+        res.status(500).render('error', {
+            message: 'Error preparing admin action',
+            telegramUser: req.telegramUser
+        });
+    }
+});
+
+// Confirmation screen (and result once confirmed)
+router.get('/actions/:id', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).render('error', {
+                message: 'Invalid action id',
+                telegramUser: req.telegramUser
+            });
+        }
+
+        const action = await adminService.getAction(req.params.id);
+        const contractService = ContractService.forNetwork(action.chainId);
+
+        res.render('pages/admin-action', {
+            title: 'Confirm Admin Action',
+            action,
+            label: adminService.getActionLabel(action.action),
+            canExecute: !!contractService.adminContract,
+            error: req.query.error || null,
+            telegramUser: req.telegramUser,
+            user: req.user
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).render('error', {
+                message: error.message,
+                telegramUser: req.telegramUser
+            });
+        }
+
+        console.error('Admin action detail error:', error);
+        res.status(500).render('error', {
+            message: 'Error loading admin action',
+            telegramUser: req.telegramUser
+        });
+    }
+});
+
+router.post('/actions/:id/confirm', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).render('error', {
+                message: 'Invalid action id',
+                telegramUser: req.telegramUser
+            });
+        }
+
+        await adminService.confirm(req.params.id, adminService.getActor(req));
+        redirectTo(req, res, `/admin/actions/${req.params.id}`);
+    } catch (error) {
+        if (error.statusCode) {
+            return redirectTo(req, res, `/admin/actions/${req.params.id}`, error.message);
+        }
+
+        console.error('Admin confirm action error:', error);
+        res.status(500).render('error', {
+            message: 'Error executing admin action',
+            telegramUser: req.telegramUser
+        });
+    }
+});
+
+router.post('/actions/:id/cancel', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).render('error', {
+                message: 'Invalid action id',
+                telegramUser: req.telegramUser
+            });
+        }
+
+        await adminService.cancel(req.params.id, adminService.getActor(req));
+        redirectTo(req, res, '/admin');
+    } catch (error) {
+        if (error.statusCode) {
+            return redirectTo(req, res, `/admin/actions/${req.params.id}`, error.message);
+        }
+
+        console.error('Admin cancel action error:', error);
+        res.status(500).render('error', {
+            message: 'Error cancelling admin action',
+            telegramUser: req.telegramUser
+        });
+    }
+});
+
+// Audit trail of admin actions
+router.get('/audit', async (req, res) => {
+    try {
+        const limit = 50;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const { actions, total } = await adminService.getAuditLog({
+            action: req.query.action || undefined,
+            status: req.query.status || undefined,
+            limit,
+            skip: (page - 1) * limit
+        });
+
+        res.render('pages/admin-audit', {
+            title: 'Admin Audit Trail',
+            actions,
+            total,
+            page,
+            totalPages: Math.max(Math.ceil(total / limit), 1),
+            filters: {
+                action: req.query.action || '',
+                status: req.query.status || ''
+            },
+            actionTypes: adminService.getActions(),
+            getActionLabel: adminService.getActionLabel,
+            telegramUser: req.telegramUser,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Admin audit error:', error);
+        res.status(500).render('error', {
+            message: 'Error loading audit trail',
+            telegramUser: req.telegramUser
+        });
+    }
+});
+
+router.get('/api/contract', async (req, res) => {
+    try {
+        const overview = await adminService.getOverview(req.chainId);
+        res.json({ success: true, ...overview });
+    } catch (error) {
+        console.error('Admin contract overview error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Active RPC endpoint and per-endpoint health scores
+router.get('/api/rpc', async (req, res) => {
+    try {
+        const web3Config = require('../config/web3');
+        const networks = await Promise.all(
+            web3Config.getNetworks().map(network => web3Config.getConnectionStatus(network.chainId))
+        );
+        
+        res.json({ success: true, networks });
+    } catch (error) {
+        console.error('Admin RPC status error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.get('/api/actions', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const skip = parseInt(req.query.skip) || 0;
+
+        const { actions, total } = await adminService.getAuditLog({
+            action: req.query.action,
+            status: req.query.status,
+            limit,
+            skip
+        });
+
+        res.json({ success: true, total, actions });
+    } catch (error) {
+        console.error('Admin audit list error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List webhook deliveries (dead-lettered by default)
+router.get('/api/webhooks', async (req, res) => {
+    try {
+        const status = req.query.status || 'dead';
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const skip = parseInt(req.query.skip) || 0;
+
+        if (!['pending', 'delivered', 'dead', 'all'].includes(status)) {
+            return res.status(400).json({ error: 'Invalid status' });
+        }
+
+        const [{ deliveries, total }, counts] = await Promise.all([
+            webhookOutbox.list({ status, limit, skip }),
+            webhookOutbox.getStats()
+        ]);
+
+        res.json({
+            success: true,
+            counts,
+            total,
+            deliveries
+        });
+    } catch (error) {
+        console.error('Admin webhook list error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Replay every dead-lettered delivery
+router.post('/api/webhooks/replay-dead', async (req, res) => {
+    try {
+        const results = await webhookOutbox.replayDead();
+
+        console.log(`🔁 Admin ${req.user.walletAddress} replayed ${results.total} dead webhooks`);
+
+        res.json({
+            success: true,
+            ...results
+        });
+    } catch (error) {
+        console.error('Admin webhook replay error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.get('/api/webhooks/:id', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid delivery id' });
+        }
+
+        const WebhookDelivery = require('../models/WebhookDelivery');
+        const delivery = await WebhookDelivery.findById(req.params.id);
+
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        res.json({ success: true, delivery });
+    } catch (error) {
+        console.error('Admin webhook detail error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Replay a single dead-lettered delivery
+router.post('/api/webhooks/:id/replay', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid delivery id' });
+        }
+
+        const { delivery, delivered } = await webhookOutbox.replay(req.params.id);
+
+        console.log(`🔁 Admin ${req.user.walletAddress} replayed webhook ${req.params.id}`);
+
+        res.json({
+            success: true,
+            delivered,
+            delivery
+        });
+    } catch (error) {
+        if (error.message === 'Delivery not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Only dead-lettered')) {
+            return res.status(409).json({ error: error.message });
+        }
+
+        console.error('Admin webhook replay error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Dry-run reconciliation: report drift between the contract and the database without fixing it
+router.get('/api/reconciliation/report', async (req, res) => {
+    try {
+        if (reconciliationService.isRunning()) {
+            return res.status(409).json({ error: 'Reconciliation already in progress' });
+        }
+
+        const run = await reconciliationService.run({
+            dryRun: true,
+            trigger: 'manual',
+            triggeredBy: req.user.walletAddress
+        });
+
+        res.json({ success: true, run });
+    } catch (error) {
+        console.error('Admin reconciliation report error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reconcile and repair now
+router.post('/api/reconciliation/run', async (req, res) => {
+    try {
+        if (reconciliationService.isRunning()) {
+            return res.status(409).json({ error: 'Reconciliation already in progress' });
+        }
+
+        const run = await reconciliationService.run({
+            dryRun: false,
+            trigger: 'manual',
+            triggeredBy: req.user.walletAddress
+        });
+
+        console.log(`🧮 Admin ${req.user.walletAddress} ran reconciliation ${run._id}`);
+
+        res.json({ success: true, run });
+    } catch (error) {
+        console.error('Admin reconciliation run error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.get('/api/reconciliation/runs', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const runs = await ReconciliationRun.getRecent(limit);
+
+        res.json({
+            success: true,
+            status: reconciliationService.getStatus(),
+            runs
+        });
+    } catch (error) {
+        console.error('Admin reconciliation list error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.get('/api/reconciliation/runs/:id', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid run id' });
+        }
+
+        const run = await ReconciliationRun.findById(req.params.id);
+
+        if (!run) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+
+        res.json({ success: true, run });
+    } catch (error) {
+        console.error('Admin reconciliation detail error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,19 @@
 // src/routes/api.js
 const express = require('express');
 const router = express.Router();
-const web3Service = require('../services/web3Service');
+const transactionVerifier = require('../services/transactionVerifier');
+const ContractService = require('../services/contractService');
+const gasOracle = require('../services/gasOracle');
+const preflightService = require('../services/preflightService');
+const purchaseService = require('../services/purchaseService');
+const upgradeService = require('../services/upgradeService');
+const exitService = require('../services/exitService');
+const nftMetadataService = require('../services/nftMetadataService');
+const referralService = require('../services/referralService');
+const cycleTracker = require('../services/cycleTracker');
+const telegramBotService = require('../services/telegramBotService');
+const { setSessionNetwork } = require('../middleware/network');
 const Membership = require('../models/Membership');
-const User = require('../models/User');
 
 // Get contract ABI
 router.get('/contract/abi', (req, res) => {
@@ -15,18 +25,178 @@ router.get('/contract/abi', (req, res) => {
     }
 });
 
+// Configured networks and the one this session uses
+router.get('/networks', (req, res) => {
+    res.json({
+        current: res.locals.network,
+        networks: res.locals.networks
+    });
+});
+
+// Switch the session to another configured network (testers moving between mainnet and testnet)
+router.post('/network', (req, res) => {
+    try {
+        const network = setSessionNetwork(req, req.body.chainId);
+        
+        if (!network) {
+            return res.status(400).json({ error: 'Unsupported network' });
+        }
+        
+        const web3Config = require('../config/web3');
+        
+        res.json({
+            success: true,
+            network,
+            switchParams: web3Config.getNetworkSwitchParams(network.chainId)
+        });
+    } catch (error) {
+        console.error('Network switch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Simulate a register/upgrade/exit and return a checklist before the user signs
+router.get('/membership/preflight', async (req, res) => {
+    try {
+        const result = await preflightService.check({
+            chainId: req.chainId,
+            walletAddress: req.query.walletAddress || req.user?.walletAddress,
+            action: req.query.action,
+            planId: req.query.planId,
+            upline: req.query.upline || await referralService.getUplineAddress(req.user),
+            language: req.user?.languageCode || req.telegramUser?.language_code
+        });
+        
+        res.json(result);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('Preflight error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Upgrade eligibility, cooldown blocks remaining and next plan price
+router.get('/membership/upgrade-status', async (req, res) => {
+    try {
+        const walletAddress = req.query.walletAddress || req.user?.walletAddress;
+        
+        if (!walletAddress) {
+            return res.status(400).json({ error: 'Wallet address required' });
+        }
+        
+        const status = await upgradeService.getStatus(walletAddress, req.chainId);
+        res.json(status);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('Upgrade status error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Refund estimate and 30-day lock for leaving now
+router.get('/membership/exit-preview', async (req, res) => {
+    try {
+        const walletAddress = req.query.walletAddress || req.user?.walletAddress;
+        
+        if (!walletAddress) {
+            return res.status(400).json({ error: 'Wallet address required' });
+        }
+        
+        const preview = await exitService.getPreview(walletAddress, req.chainId);
+        res.json(preview);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('Exit preview error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Purchase session to resume when the Mini App reopens (null when there is none)
+router.get('/purchase', async (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({ error: 'User not authenticated' });
+        }
+        
+        const session = await purchaseService.getCurrent(req.user, req.chainId);
+        res.json({ purchase: purchaseService.toClient(session) });
+    } catch (error) {
+        console.error('Get purchase error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Start buying a plan; the response says whether the USDT approval step is needed
+router.post('/purchase', async (req, res) => {
+    try {
+        const session = await purchaseService.start(req.user, {
+            chainId: req.chainId,
+            planId: req.body.planId
+        });
+        
+        res.json({ success: true, purchase: purchaseService.toClient(session) });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, checks: error.checks });
+        }
+        
+        console.error('Start purchase error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Record the hash the wallet returned for the current step; confirmation is tracked server-side
+router.post('/purchase/:id/transaction', async (req, res) => {
+    try {
+        const session = await purchaseService.recordTransaction(req.user, req.params.id, req.body.transactionHash);
+        res.json({ success: true, purchase: purchaseService.toClient(session) });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('Record purchase transaction error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Cancel before signing, or dismiss a finished purchase
+router.post('/purchase/:id/close', async (req, res) => {
+    try {
+        const session = await purchaseService.close(req.user, req.params.id);
+        res.json({ success: true, purchase: purchaseService.toClient(session) });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('Close purchase error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get membership data by wallet address
 router.get('/membership/:walletAddress', async (req, res) => {
     try {
         const { walletAddress } = req.params;
         
         // Get data from blockchain
-        const blockchainData = await web3Service.getMemberInfo(walletAddress);
+        const blockchainData = await ContractService.forNetwork(req.chainId).getMemberInfo(walletAddress);
         
         // Get data from database
         const dbData = await Membership.findOne({
             walletAddress: walletAddress.toLowerCase(),
-            isActive: true
+            isActive: true,
+            ...Membership.chainFilter(req.chainId)
         }).populate('user');
         
         res.json({
@@ -40,62 +210,70 @@ router.get('/membership/:walletAddress', async (req, res) => {
     }
 });
 
-// Update membership after transaction
+// Update membership after transaction; plan and wallet are read from the verified receipt
 router.post('/membership/update', async (req, res) => {
     try {
-        const { transactionHash, planId, walletAddress } = req.body;
+        const { transactionHash } = req.body;
         
-        if (!transactionHash || !planId || !walletAddress) {
+        if (!transactionHash) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
         
-        // Verify transaction
-        const tx = await web3Service.provider.getTransaction(transactionHash);
-        if (!tx || !tx.blockNumber) {
-            return res.status(400).json({ error: 'Invalid transaction' });
-        }
-        
-        // Get plan info
-        const planInfo = await web3Service.getPlanInfo(planId);
+        // Confirmations are awaited in the background; poll GET /membership/update/:transactionHash
+        const result = await transactionVerifier.submit('membership', req.user, transactionHash, req.chainId);
         
-        // Find or create user
-        let user = await User.findOne({ walletAddress: walletAddress.toLowerCase() });
-        if (!user && req.user) {
-            user = req.user;
-            user.walletAddress = walletAddress.toLowerCase();
-            await user.save();
+        if (result.status === 'pending') {
+            return res.status(202).json({ success: true, status: 'pending', transactionHash });
         }
         
-        // Update or create membership
-        let membership = await Membership.findOne({
-            walletAddress: walletAddress.toLowerCase()
+        res.json({
+            success: true,
+            status: 'confirmed',
+            alreadyRecorded: result.alreadyRecorded,
+            membership: result.membership
         });
-        
-        if (membership) {
-            membership.planId = planId;
-            membership.planName = planInfo.name;
-            membership.transactionHash = transactionHash;
-            membership.blockNumber = tx.blockNumber;
-            membership.isActive = true;
-        } else {
-            membership = new Membership({
-                user: user?._id,
-                walletAddress: walletAddress.toLowerCase(),
-                planId,
-                planName: planInfo.name,
-                transactionHash,
-                blockNumber: tx.blockNumber
+    } catch (error) {
+        // Reverted on-chain; the verifier has already explained why in the bot chat
+        if (error.contractError) {
+            return res.status(error.statusCode).json({
+                error: error.message,
+                code: error.contractError.code,
+                action: error.contractError.action
             });
         }
         
-        await membership.save();
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('Update membership error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Outcome of a transaction submitted to POST /membership/update
+router.get('/membership/update/:transactionHash', async (req, res) => {
+    try {
+        const { transactionHash } = req.params;
+        const result = await transactionVerifier.getStatus('membership', req.user, transactionHash, req.chainId);
+        
+        if (result.status === 'unknown') {
+            return res.status(404).json({ error: 'No membership update is being verified for this transaction', status: 'unknown' });
+        }
         
         res.json({
-            success: true,
-            membership
+            success: result.status !== 'failed',
+            status: result.status,
+            transactionHash,
+            ...(result.membership && { membership: result.membership }),
+            ...result.failure
         });
     } catch (error) {
-        console.error('Update membership error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('Membership update status error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -110,13 +288,14 @@ router.post('/membership/refresh', async (req, res) => {
         const walletAddress = req.user.walletAddress;
         
         // Get latest data from blockchain
-        const blockchainData = await web3Service.getMemberInfo(walletAddress);
+        const blockchainData = await ContractService.forNetwork(req.chainId).getMemberInfo(walletAddress);
         
         if (blockchainData) {
             // Update database
             const membership = await Membership.findOne({
                 walletAddress: walletAddress.toLowerCase(),
-                isActive: true
+                isActive: true,
+                ...Membership.chainFilter(req.chainId)
             });
             
             if (membership) {
@@ -141,7 +320,7 @@ router.post('/membership/refresh', async (req, res) => {
 // Get system statistics
 router.get('/stats/system', async (req, res) => {
     try {
-        const stats = await web3Service.getSystemStats();
+        const stats = await ContractService.forNetwork(req.chainId).getSystemStats();
         res.json(stats);
     } catch (error) {
         console.error('Stats error:', error);
@@ -149,12 +328,136 @@ router.get('/stats/system', async (req, res) => {
     }
 });
 
+// Live network fee for the plan purchase screen, estimated from the user's wallet
+router.get('/gas', async (req, res) => {
+    try {
+        const quote = await gasOracle.getQuote({
+            chainId: req.chainId,
+            walletAddress: req.query.walletAddress || req.user?.walletAddress,
+            planId: req.query.planId || 1,
+            upline: req.query.upline || await referralService.getUplineAddress(req.user),
+            language: req.user?.languageCode || req.telegramUser?.language_code
+        });
+        
+        res.json(quote);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('Gas quote error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Every membership NFT the wallet holds (ERC721Enumerable)
+router.get('/nft/:walletAddress', async (req, res) => {
+    try {
+        const tokens = await nftMetadataService.getWalletTokens(req.params.walletAddress, req.chainId);
+        
+        res.json({
+            walletAddress: req.params.walletAddress.toLowerCase(),
+            chainId: req.chainId,
+            tokens
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('NFT gallery error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Send one of the user's own cards to their bot chat
+router.post('/nft/:tokenId/send', async (req, res) => {
+    try {
+        if (!req.user || !req.user.walletAddress) {
+            return res.status(401).json({ error: 'User not authenticated' });
+        }
+        
+        const { token, metadata, svg } = await nftMetadataService.getEntry(req.params.tokenId, req.chainId);
+        
+        if (token.owner !== req.user.walletAddress.toLowerCase()) {
+            return res.status(403).json({ error: 'This NFT belongs to another wallet' });
+        }
+        
+        const sent = await telegramBotService.sendNFTCard(req.user.telegramId, { ...token, name: metadata.name }, svg);
+        if (!sent) {
+            return res.status(503).json({ error: 'Could not reach you through the bot, open a chat with it first' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('Send NFT error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Fill level of every plan's current cycle, and the plans the user gets cycle alerts for
+router.get('/cycles', async (req, res) => {
+    try {
+        const [progress, subscribedPlanIds] = await Promise.all([
+            cycleTracker.getProgress(req.chainId),
+            req.user?.telegramId ? cycleTracker.getSubscriptions(req.user.telegramId, req.chainId) : []
+        ]);
+        
+        res.json({ ...progress, subscribedPlanIds });
+    } catch (error) {
+        console.error('Cycle progress error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Cycle alerts are delivered by the bot, so they belong to the Telegram user
+router.post('/cycles/:planId/subscribe', async (req, res) => {
+    try {
+        if (!req.user || !req.user.telegramId) {
+            return res.status(401).json({ error: 'User not authenticated' });
+        }
+        
+        const subscribedPlanIds = await cycleTracker.subscribe(req.user.telegramId, req.params.planId, req.chainId);
+        res.json({ success: true, subscribedPlanIds });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('Cycle subscribe error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.delete('/cycles/:planId/subscribe', async (req, res) => {
+    try {
+        if (!req.user || !req.user.telegramId) {
+            return res.status(401).json({ error: 'User not authenticated' });
+        }
+        
+        const subscribedPlanIds = await cycleTracker.unsubscribe(req.user.telegramId, req.params.planId, req.chainId);
+        res.json({ success: true, subscribedPlanIds });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('Cycle unsubscribe error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get plan information
 router.get('/plans/:planId', async (req, res) => {
     try {
         const { planId } = req.params;
-        const planInfo = await web3Service.getPlanInfo(parseInt(planId));
-        const cycleInfo = await web3Service.getPlanCycleInfo(parseInt(planId));
+        const contractService = ContractService.forNetwork(req.chainId);
+        const planInfo = await contractService.getPlanInfo(parseInt(planId));
+        const cycleInfo = await contractService.getPlanCycleInfo(parseInt(planId));
         
         res.json({
             ...planInfo,
@@ -170,24 +473,7 @@ router.get('/plans/:planId', async (req, res) => {
 // Get all plans
 router.get('/plans', async (req, res) => {
     try {
-        const plans = [];
-        
-        for (let i = 1; i <= 16; i++) {
-            try {
-                const planInfo = await web3Service.getPlanInfo(i);
-                const cycleInfo = await web3Service.getPlanCycleInfo(i);
-                
-                plans.push({
-                    id: i,
-                    ...planInfo,
-                    ...cycleInfo,
-                    priceUSDT: (parseInt(planInfo.price) / 1000000).toFixed(0)
-                });
-            } catch (error) {
-                console.error(`Error fetching plan ${i}:`, error);
-            }
-        }
-        
+        const plans = await ContractService.forNetwork(req.chainId).getAllPlansInfo();
         res.json(plans);
     } catch (error) {
         console.error('Plans error:', error);
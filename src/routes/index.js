@@ -4,6 +4,9 @@ const router = express.Router();
 const User = require('../models/User');
 const Membership = require('../models/Membership');
 const web3Service = require('../services/web3Service');
+const referralService = require('../services/referralService');
+const contractCache = require('../services/contractCache');
+const { handleReferralCode } = require('../middleware/telegram');
 
 // Middleware to ensure user exists
 router.use(async (req, res, next) => {
@@ -35,6 +38,9 @@ router.use(async (req, res, next) => {
     next();
 });
 
+// Attribute ref_ start parameters to the user created above
+router.use(handleReferralCode);
+
 // Home page
 router.get('/', async (req, res) => {
     try {
@@ -101,30 +107,25 @@ router.get('/how-it-works', (req, res) => {
     });
 });
 
-// Referral page
+// Referral link: remember the code and attribute it once there is a user, then continue to the plans
 router.get('/referral/:code?', async (req, res) => {
     try {
         const { code } = req.params;
-        let referrer = null;
 
         if (code) {
-            // Find referrer by code
-            referrer = await User.findOne({ referralCode: code });
-            
-            // Store referral info in session
-            if (referrer) {
+            const resolved = await referralService.resolveCode(code, req.chainId);
+
+            if (resolved) {
                 req.session.referralCode = code;
-                req.session.referrerId = referrer._id;
+                req.session.referrerId = resolved.referrer._id;
+
+                if (req.user) {
+                    await referralService.attribute(req.user, code, req.chainId);
+                }
             }
         }
 
-        res.render('pages/referral', {
-            title: 'Join via Referral',
-            referrer,
-            code,
-            telegramUser: req.telegramUser,
-            user: req.user
-        });
+        res.redirect('/membership/plans');
     } catch (error) {
         console.error('Referral page error:', error);
         res.redirect('/');
@@ -136,7 +137,8 @@ router.get('/health', (req, res) => {
     res.status(200).json({
         status: 'OK',
         timestamp: new Date().toISOString(),
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        contractCache: contractCache.getStats()
     });
 });
 
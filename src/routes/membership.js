@@ -1,9 +1,50 @@
 // src/routes/membership.js
 const express = require('express');
 const router = express.Router();
+const { ethers } = require('ethers');
 const membershipController = require('../controllers/membershipController');
+const upgradeService = require('../services/upgradeService');
+const exitService = require('../services/exitService');
+const nftMetadataService = require('../services/nftMetadataService');
+const ledgerService = require('../services/ledgerService');
+const ContractService = require('../services/contractService');
+const Membership = require('../models/Membership');
 const { sanitizeInput, transactionLimiter } = require('../middleware/security');
 
+// Exit outcome for the Mini App: 202 while confirmations are awaited, the refund once recorded
+const sendExitStatus = (res, transactionHash, result) => {
+    if (result.status === 'pending') {
+        return res.status(202).json({ success: true, status: 'pending', transactionHash });
+    }
+
+    if (result.status === 'failed') {
+        return res.json({ success: false, status: 'failed', transactionHash, ...result.failure });
+    }
+
+    if (result.status === 'unknown') {
+        return res.status(404).json({ error: 'No exit is being verified for this transaction', status: 'unknown' });
+    }
+
+    res.json({
+        success: true,
+        status: 'confirmed',
+        message: 'Membership exited successfully',
+        alreadyRecorded: result.alreadyRecorded,
+        refundAmount: result.refundAmount,
+        refundUSDT: ethers.formatUnits(result.refundAmount || '0', 6),
+        planName: result.membership.planName,
+        exitedAt: result.membership.exitedAt
+    });
+};
+
+// Ledger filters the earnings page and its CSV export share
+const getLedgerFilters = ({ type, planId, from, to }) => ({
+    type: type || '',
+    planId: planId || '',
+    from: from || '',
+    to: to || ''
+});
+
 // Show all membership plans
 router.get('/plans', membershipController.showPlans);
 
@@ -18,41 +59,30 @@ router.get('/upgrade', async (req, res) => {
         }
 
         const membership = await Membership.findOne({
-            walletAddress: req.user.walletAddress,
-            isActive: true
+            walletAddress: req.user.walletAddress.toLowerCase(),
+            isActive: true,
+            ...Membership.chainFilter(req.chainId)
         });
 
         if (!membership) {
             return res.redirect('/membership/plans');
         }
 
-        // Get available upgrade plans
-        const plans = [];
-        for (let i = membership.planId + 1; i <= 16; i++) {
-            try {
-                const planInfo = await web3Service.getPlanInfo(i);
-                const cycleInfo = await web3Service.getPlanCycleInfo(i);
-                
-                plans.push({
-                    id: i,
-                    ...planInfo,
-                    ...cycleInfo,
-                    priceUSDT: (parseInt(planInfo.price) / 1000000).toFixed(0),
-                    upgradeCost: ((parseInt(planInfo.price) - parseInt(membership.planPrice || 0)) / 1000000).toFixed(0)
-                });
-            } catch (error) {
-                console.error(`Error fetching plan ${i}:`, error);
-            }
-        }
+        // Upgrades go one plan at a time, so only the next plan and its cooldown are shown
+        const upgradeStatus = await upgradeService.getStatus(req.user.walletAddress, req.chainId);
 
         res.render('pages/upgrade', {
             title: 'Upgrade Membership',
             currentMembership: membership,
-            availablePlans: plans,
+            upgradeStatus,
             telegramUser: req.telegramUser,
             user: req.user
         });
     } catch (error) {
+        if (error.statusCode === 404) {
+            return res.redirect('/membership/plans');
+        }
+
         console.error('Upgrade page error:', error);
         res.status(500).render('error', {
             message: 'Error loading upgrade page',
@@ -61,81 +91,107 @@ router.get('/upgrade', async (req, res) => {
     }
 });
 
-// Show NFT gallery
-router.get('/nft', async (req, res) => {
+// Show exit page: refund preview, 30-day lock and confirmation
+router.get('/exit', async (req, res) => {
     try {
         if (!req.user || !req.user.walletAddress) {
             return res.redirect('/wallet/connect');
         }
 
         const membership = await Membership.findOne({
-            walletAddress: req.user.walletAddress,
-            isActive: true
+            walletAddress: req.user.walletAddress.toLowerCase(),
+            isActive: true,
+            ...Membership.chainFilter(req.chainId)
         });
 
         if (!membership) {
             return res.redirect('/membership/plans');
         }
 
-        // Get NFT data from blockchain
-        let nftData = null;
-        try {
-            if (membership.tokenId) {
-                nftData = await web3Service.getNFTImage(membership.tokenId);
-            }
-        } catch (error) {
-            console.error('Error fetching NFT data:', error);
-        }
+        const exitPreview = await exitService.getPreview(req.user.walletAddress, req.chainId);
 
-        res.render('pages/nft', {
-            title: 'Your NFT',
+        res.render('pages/exit', {
+            title: 'Exit Membership',
             membership,
-            nftData,
+            exitPreview,
             telegramUser: req.telegramUser,
             user: req.user
         });
     } catch (error) {
-        console.error('NFT page error:', error);
+        if (error.statusCode === 404) {
+            return res.redirect('/membership/plans');
+        }
+
+        console.error('Exit page error:', error);
         res.status(500).render('error', {
-            message: 'Error loading NFT page',
+            message: 'Error loading exit page',
             telegramUser: req.telegramUser
         });
     }
 });
 
-// Show earnings history
-router.get('/earnings', async (req, res) => {
+// Show NFT gallery: every token the wallet holds, not only the current plan
+router.get('/nft', async (req, res) => {
     try {
         if (!req.user || !req.user.walletAddress) {
             return res.redirect('/wallet/connect');
         }
 
-        const membership = await Membership.findOne({
-            walletAddress: req.user.walletAddress,
-            isActive: true
-        });
+        const tokens = await nftMetadataService.getWalletTokens(req.user.walletAddress, req.chainId);
 
-        if (!membership) {
+        if (tokens.length === 0) {
             return res.redirect('/membership/plans');
         }
 
-        // Get referrals and their earnings
-        const referrals = await User.find({
-            referredBy: req.user._id
-        }).populate({
-            path: 'walletAddress',
-            model: 'Membership',
-            match: { isActive: true }
+        res.render('pages/nft', {
+            title: 'Your NFTs',
+            tokens,
+            referralLink: req.user.referralCode && process.env.TELEGRAM_BOT_USERNAME
+                ? `https://t.me/${process.env.TELEGRAM_BOT_USERNAME}/app?startapp=ref_${req.user.referralCode}`
+                : null,
+            telegramUser: req.telegramUser,
+            user: req.user
         });
+    } catch (error) {
+        console.error('NFT page error:', error);
+        res.status(500).render('error', {
+            message: 'Error loading NFT page',
+            telegramUser: req.telegramUser
+        });
+    }
+});
+
+// Show earnings ledger: every commission and refund with the running balance
+router.get('/earnings', async (req, res) => {
+    try {
+        if (!req.user || !req.user.walletAddress) {
+            return res.redirect('/wallet/connect');
+        }
+
+        const filters = getLedgerFilters(req.query);
+        const [summary, ledger] = await Promise.all([
+            ledgerService.getSummary(req.user.walletAddress, req.chainId),
+            ledgerService.getEntries(req.user.walletAddress, req.chainId, filters, req.query.page)
+        ]);
+
+        const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
 
         res.render('pages/earnings', {
             title: 'Earnings History',
-            membership,
-            referrals,
+            summary,
+            ledger,
+            filters,
+            query: query.toString(),
+            exportUrl: `/membership/earnings/export${query.toString() ? `?${query}` : ''}`,
             telegramUser: req.telegramUser,
             user: req.user
         });
     } catch (error) {
+        // Malformed filters from a hand-edited URL
+        if (error.statusCode === 400) {
+            return res.redirect('/membership/earnings');
+        }
+
         console.error('Earnings page error:', error);
         res.status(500).render('error', {
             message: 'Error loading earnings page',
@@ -144,6 +200,31 @@ router.get('/earnings', async (req, res) => {
     }
 });
 
+// Download the filtered ledger as CSV
+router.get('/earnings/export', async (req, res) => {
+    try {
+        if (!req.user || !req.user.walletAddress) {
+            return res.status(401).json({ error: 'User not authenticated' });
+        }
+
+        const csv = await ledgerService.exportCsv(req.user.walletAddress, req.chainId, getLedgerFilters(req.query));
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="earnings-${req.user.walletAddress.toLowerCase().slice(0, 10)}-${date}.csv"`
+        });
+        res.send(csv);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+
+        console.error('Earnings export error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // API Routes
 
 // Get membership data
@@ -156,6 +237,9 @@ router.post('/api/update',
     membershipController.updateMembership
 );
 
+// Poll a transaction submitted to POST /api/update
+router.get('/api/update/:transactionHash', membershipController.getUpdateStatus);
+
 // Refresh membership data from blockchain
 router.post('/api/refresh', async (req, res) => {
     try {
@@ -166,13 +250,14 @@ router.post('/api/refresh', async (req, res) => {
         const walletAddress = req.user.walletAddress;
         
         // Get latest data from blockchain
-        const blockchainData = await web3Service.getMemberInfo(walletAddress);
+        const blockchainData = await ContractService.forNetwork(req.chainId).getMemberInfo(walletAddress);
         
         if (blockchainData) {
             // Update database
             const membership = await Membership.findOne({
                 walletAddress: walletAddress.toLowerCase(),
-                isActive: true
+                isActive: true,
+                ...Membership.chainFilter(req.chainId)
             });
             
             if (membership) {
@@ -194,7 +279,7 @@ router.post('/api/refresh', async (req, res) => {
     }
 });
 
-// Exit membership
+// Exit membership once the wallet has sent exitMembership; the exit is verified on-chain
 router.post('/api/exit', 
     transactionLimiter,
     sanitizeInput,
@@ -210,34 +295,41 @@ router.post('/api/exit',
                 return res.status(400).json({ error: 'Transaction hash required' });
             }
 
-            // Verify transaction
-            const tx = await web3Service.provider.getTransaction(transactionHash);
-            if (!tx || !tx.blockNumber) {
-                return res.status(400).json({ error: 'Invalid transaction' });
-            }
+            const result = await exitService.recordExit(req.user, transactionHash, req.chainId);
 
-            // Update membership status
-            const membership = await Membership.findOne({
-                walletAddress: req.user.walletAddress.toLowerCase(),
-                isActive: true
-            });
-
-            if (membership) {
-                membership.isActive = false;
-                membership.exitTransactionHash = transactionHash;
-                membership.exitedAt = new Date();
-                await membership.save();
+            sendExitStatus(res, transactionHash, result);
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    error: error.message,
+                    ...(error.contractError && { code: error.contractError.code, action: error.contractError.action })
+                });
             }
 
-            res.json({
-                success: true,
-                message: 'Membership exited successfully'
-            });
-        } catch (error) {
             console.error('Exit membership error:', error);
             res.status(500).json({ error: 'Internal server error' });
         }
     }
 );
 
+// Poll an exit submitted to POST /api/exit
+router.get('/api/exit/:transactionHash', async (req, res) => {
+    try {
+        if (!req.user || !req.user.walletAddress) {
+            return res.status(401).json({ error: 'User not authenticated' });
+        }
+
+        const result = await exitService.getExitStatus(req.user, req.params.transactionHash, req.chainId);
+
+        sendExitStatus(res, req.params.transactionHash, result);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+
+        console.error('Exit status error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,46 @@
+// src/routes/nft.js - Public ERC-721 metadata and card images (the contract's base URI points here)
+const express = require('express');
+const router = express.Router();
+const nftMetadataService = require('../services/nftMetadataService');
+
+// Wallets and marketplaces load these from other origins
+router.use((req, res, next) => {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    next();
+});
+
+// ERC-721 metadata JSON for tokenURI
+router.get('/metadata/:tokenId', async (req, res) => {
+    try {
+        const metadata = await nftMetadataService.getMetadata(req.params.tokenId, req.chainId);
+        
+        res.set('Cache-Control', 'public, max-age=300');
+        res.json(metadata);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('NFT metadata error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Membership card rendered from on-chain plan and cycle
+router.get('/image/:tokenId.svg', async (req, res) => {
+    try {
+        const svg = await nftMetadataService.getImage(req.params.tokenId, req.chainId);
+        
+        res.set('Cache-Control', 'public, max-age=300');
+        res.type('image/svg+xml').send(svg);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        
+        console.error('NFT image error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const router = express.Router();
 const User = require('../models/User');
 const Membership = require('../models/Membership');
 const { sanitizeInput } = require('../middleware/security');
+const siweService = require('../services/siweService');
 
 // Show wallet connection page
 router.get('/connect', (req, res) => {
@@ -52,10 +53,10 @@ router.get('/dashboard', async (req, res) => {
     }
 });
 
-// API: Connect wallet
-router.post('/api/connect', sanitizeInput, async (req, res) => {
+// API: Issue a Sign-In With Ethereum challenge for the wallet being linked
+router.post('/api/nonce', sanitizeInput, async (req, res) => {
     try {
-        const { walletAddress, signature } = req.body;
+        const { walletAddress } = req.body;
 
         if (!req.user) {
             return res.status(401).json({ error: 'User not authenticated' });
@@ -65,40 +66,54 @@ router.post('/api/connect', sanitizeInput, async (req, res) => {
             return res.status(400).json({ error: 'Wallet address required' });
         }
 
-        // Validate Ethereum address format
-        if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
-            return res.status(400).json({ error: 'Invalid wallet address format' });
-        }
+        const challenge = await siweService.createChallenge(req.user, walletAddress, req);
 
-        // Check if wallet is already connected to another account
-        const existingUser = await User.findOne({
-            walletAddress: walletAddress.toLowerCase(),
-            telegramId: { $ne: req.user.telegramId }
+        res.json({
+            success: true,
+            ...challenge
         });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Wallet nonce error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (existingUser) {
-            return res.status(400).json({ 
-                error: 'Wallet already connected to another account' 
-            });
+// API: Connect wallet with a signed challenge
+router.post('/api/connect', async (req, res) => {
+    try {
+        const { message, signature } = req.body;
+
+        if (!req.user) {
+            return res.status(401).json({ error: 'User not authenticated' });
         }
 
-        // Update user with wallet address
-        req.user.walletAddress = walletAddress.toLowerCase();
-        await req.user.save();
+        if (!message || !signature) {
+            return res.status(400).json({ error: 'Signed sign-in message required' });
+        }
+
+        const { domain } = siweService.getOrigin(req);
+        const walletAddress = await siweService.verify(req.user, message, signature, domain);
+        await siweService.linkWallet(req.user, walletAddress);
 
         // Check if user has existing membership
         const membership = await Membership.findOne({
-            walletAddress: walletAddress.toLowerCase(),
+            walletAddress,
             isActive: true
         });
 
         res.json({
             success: true,
-            walletAddress: walletAddress.toLowerCase(),
+            walletAddress,
             hasMembership: !!membership,
             membership: membership
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Wallet connect error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -162,33 +177,31 @@ router.get('/api/info', async (req, res) => {
     }
 });
 
-// API: Verify wallet ownership
-router.post('/api/verify', sanitizeInput, async (req, res) => {
+// API: Verify wallet ownership without linking it
+router.post('/api/verify', async (req, res) => {
     try {
-        const { walletAddress, message, signature } = req.body;
+        const { message, signature } = req.body;
+
+        if (!req.user) {
+            return res.status(401).json({ error: 'User not authenticated' });
+        }
 
-        if (!walletAddress || !message || !signature) {
+        if (!message || !signature) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        // Verify signature
-        const { ethers } = require('ethers');
-        try {
-            const recoveredAddress = ethers.utils.verifyMessage(message, signature);
-            
-            if (recoveredAddress.toLowerCase() !== walletAddress.toLowerCase()) {
-                return res.status(400).json({ error: 'Invalid signature' });
-            }
+        const { domain } = siweService.getOrigin(req);
+        const address = await siweService.verify(req.user, message, signature, domain);
 
-            res.json({
-                success: true,
-                verified: true,
-                address: recoveredAddress.toLowerCase()
-            });
-        } catch (error) {
-            res.status(400).json({ error: 'Signature verification failed' });
-        }
+        res.json({
+            success: true,
+            verified: true,
+            address
+        });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Wallet verify error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -4,31 +4,103 @@ const router = express.Router();
 const telegramBotService = require('../services/telegramBotService');
 const User = require('../models/User');
 const Membership = require('../models/Membership');
+const dbService = require('../services/dbService');
+const exitService = require('../services/exitService');
+const ContractService = require('../services/contractService');
+const cycleTracker = require('../services/cycleTracker');
+const ledgerService = require('../services/ledgerService');
+const transactionVerifier = require('../services/transactionVerifier');
+const ProcessedWebhook = require('../models/ProcessedWebhook');
+const { validateWebhook } = require('../middleware/validation');
+const { verifyWebhookSignature } = require('../utils/encryption');
 
-// Middleware for webhook authentication
-const authenticateWebhook = (req, res, next) => {
-    const authHeader = req.headers.authorization;
-    const expectedToken = process.env.WEBHOOK_SECRET || 'your-secret-token';
-    
-    if (authHeader !== `Bearer ${expectedToken}`) {
-        return res.status(401).json({ error: 'Unauthorized' });
+// Signed webhooks older (or newer) than this are rejected as replays
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+// Verify the HMAC signature, freshness and uniqueness of a webhook delivery
+const verifyWebhookRequest = async (req, res, next) => {
+    try {
+        const secret = process.env.WEBHOOK_SECRET;
+        if (!secret) {
+            console.error('❌ WEBHOOK_SECRET is not configured, rejecting webhook');
+            return res.status(503).json({ error: 'Webhook authentication not configured' });
+        }
+
+        const { event, deliveryId, data, timestamp, signature } = req.body;
+
+        if (!verifyWebhookSignature(secret, { event, deliveryId, data }, timestamp, signature)) {
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (Math.abs(now - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+            return res.status(401).json({ error: 'Stale webhook timestamp' });
+        }
+
+        // A signed payload is only valid for the endpoint it was signed for
+        if (req.path !== `/${event}`) {
+            return res.status(400).json({ error: 'Event does not match endpoint' });
+        }
+
+        // Retried deliveries that were already handled are acknowledged without side effects
+        const claim = await ProcessedWebhook.claim(deliveryId, event);
+        if (claim === 'processed') {
+            console.log(`↩️ Duplicate webhook delivery ignored: ${deliveryId}`);
+            return res.json({ success: true, duplicate: true });
+        }
+
+        // Another request is handling it right now; the outbox retries if that one fails
+        if (claim === 'processing') {
+            return res.status(409).json({ error: 'Webhook delivery is already being processed' });
+        }
+
+        res.on('finish', () => {
+            const settle = res.statusCode < 300
+                ? ProcessedWebhook.complete(deliveryId, res.statusCode)
+                : ProcessedWebhook.release(deliveryId);
+
+            settle.catch(error => console.error('Failed to settle webhook claim:', error));
+        });
+
+        req.webhook = { event, deliveryId, timestamp };
+        next();
+    } catch (error) {
+        console.error('Webhook authentication error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+const authenticateWebhook = [validateWebhook, verifyWebhookRequest];
+
+// Cycle alerts must not fail (and so replay) a webhook whose other notifications were already sent
+const trackCycle = async (update) => {
+    try {
+        await update();
+    } catch (error) {
+        console.error('Cycle tracking error:', error);
     }
-    next();
 };
 
 // Webhook for new member registration
 router.post('/member-registered', authenticateWebhook, async (req, res) => {
     try {
-        const { memberAddress, uplineAddress, planId, transactionHash } = req.body;
+        const { memberAddress, uplineAddress, planId, cycleNumber, transactionHash, blockNumber, chainId } = req.body.data;
         
         // Find users
         const member = await User.findOne({ walletAddress: memberAddress.toLowerCase() });
         const upline = await User.findOne({ walletAddress: uplineAddress.toLowerCase() });
         
+        // Same write the verifier makes for a submitted transaction; whichever runs second finds it done
+        await transactionVerifier.applyRegistration(member, {
+            args: { member: memberAddress, upline: uplineAddress, planId, cycleNumber },
+            transactionHash,
+            blockNumber
+        }, chainId);
+        
         if (member && upline) {
             // Get plan info
-            const web3Service = require('../services/web3Service');
-            const planInfo = await web3Service.getPlanInfo(planId);
+            const contractService = ContractService.forNetwork(chainId);
+            const planInfo = await contractService.getPlanInfo(planId);
             
             // Send notification to upline
             await telegramBotService.notifyNewReferral(
@@ -40,6 +112,8 @@ router.post('/member-registered', authenticateWebhook, async (req, res) => {
             console.log(`✅ Referral notification sent: ${member.firstName} -> ${upline.firstName}`);
         }
         
+        await trackCycle(() => cycleTracker.onMemberJoined(planId, chainId));
+        
         res.json({ success: true });
     } catch (error) {
         console.error('Member registration webhook error:', error);
@@ -50,7 +124,10 @@ router.post('/member-registered', authenticateWebhook, async (req, res) => {
 // Webhook for commission payment
 router.post('/commission-paid', authenticateWebhook, async (req, res) => {
     try {
-        const { recipientAddress, amount, fromAddress, planId } = req.body;
+        const { recipientAddress, amount, fromAddress, planId, chainId } = req.body.data;
+        
+        // The ledger entry is written first, so a failed notification cannot lose the credit
+        await ledgerService.recordCommission(req.body.data);
         
         // Find users
         const recipient = await User.findOne({ walletAddress: recipientAddress.toLowerCase() });
@@ -58,8 +135,8 @@ router.post('/commission-paid', authenticateWebhook, async (req, res) => {
         
         if (recipient && fromUser) {
             // Get plan info
-            const web3Service = require('../services/web3Service');
-            const planInfo = await web3Service.getPlanInfo(planId);
+            const contractService = ContractService.forNetwork(chainId);
+            const planInfo = await contractService.getPlanInfo(planId);
             
             // Format amount (from wei to USDT)
             const formattedAmount = (parseInt(amount) / 1000000).toFixed(2);
@@ -85,16 +162,30 @@ router.post('/commission-paid', authenticateWebhook, async (req, res) => {
 // Webhook for plan upgrade
 router.post('/plan-upgraded', authenticateWebhook, async (req, res) => {
     try {
-        const { memberAddress, oldPlanId, newPlanId, transactionHash } = req.body;
+        const { memberAddress, oldPlanId, newPlanId, cycleNumber, transactionHash, blockNumber, chainId } = req.body.data;
         
         // Find user
         const user = await User.findOne({ walletAddress: memberAddress.toLowerCase() });
         
+        try {
+            await transactionVerifier.applyUpgrade(user, {
+                args: { member: memberAddress, newPlanId, cycleNumber },
+                transactionHash,
+                blockNumber
+            }, chainId);
+        } catch (error) {
+            // Registered before the listener or indexer saw it; reconciliation reports the gap
+            if (error.statusCode !== 404) {
+                throw error;
+            }
+            console.warn(`⚠️ No membership recorded for ${memberAddress}, upgrade ${transactionHash} not applied`);
+        }
+        
         if (user) {
             // Get plan info
-            const web3Service = require('../services/web3Service');
-            const oldPlan = await web3Service.getPlanInfo(oldPlanId);
-            const newPlan = await web3Service.getPlanInfo(newPlanId);
+            const contractService = ContractService.forNetwork(chainId);
+            const oldPlan = await contractService.getPlanInfo(oldPlanId);
+            const newPlan = await contractService.getPlanInfo(newPlanId);
             
             // Send notification
             await telegramBotService.notifyUpgradeSuccess(
@@ -106,6 +197,8 @@ router.post('/plan-upgraded', authenticateWebhook, async (req, res) => {
             console.log(`✅ Upgrade notification sent: ${user.firstName} upgraded to ${newPlan.name}`);
         }
         
+        await trackCycle(() => cycleTracker.onMemberJoined(newPlanId, chainId));
+        
         res.json({ success: true });
     } catch (error) {
         console.error('Upgrade webhook error:', error);
@@ -113,10 +206,129 @@ router.post('/plan-upgraded', authenticateWebhook, async (req, res) => {
     }
 });
 
+// Webhook for member exit
+router.post('/member-exited', authenticateWebhook, async (req, res) => {
+    try {
+        const { memberAddress, refundAmount, transactionHash, chainId } = req.body.data;
+        
+        const membership = await dbService.markMembershipExited(memberAddress, {
+            refundAmount,
+            transactionHash,
+            chainId
+        });
+        
+        // Recorded either way: the API path marks the exit but never credits the refund
+        await ledgerService.recordRefund(req.body.data);
+        
+        // Null when POST /membership/api/exit already recorded (and announced) this exit
+        if (membership) {
+            const formattedRefund = (parseInt(refundAmount) / 1000000).toFixed(2);
+            
+            await exitService.notifyExited(membership, refundAmount);
+            
+            console.log(`✅ Exit notification sent: ${membership.walletAddress} refunded ${formattedRefund} USDT`);
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Member exit webhook error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Webhook for a new plan cycle
+router.post('/cycle-started', authenticateWebhook, async (req, res) => {
+    try {
+        const { planId, cycleNumber, chainId } = req.body.data;
+        
+        const memberships = await dbService.completePlanCycle(planId, cycleNumber, chainId);
+        const completedCycle = parseInt(cycleNumber) - 1;
+        
+        for (const membership of memberships) {
+            if (membership.user) {
+                await telegramBotService.notifyCycleCompleted(
+                    membership.user.telegramId,
+                    membership.planName,
+                    completedCycle,
+                    cycleNumber
+                );
+            }
+        }
+        
+        console.log(`✅ Cycle #${cycleNumber} of plan ${planId} started, ${memberships.length} member(s) notified`);
+        
+        await trackCycle(() => cycleTracker.onCycleStarted(planId, cycleNumber, chainId));
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Cycle started webhook error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Webhook for NFT mint
+router.post('/membership-minted', authenticateWebhook, async (req, res) => {
+    try {
+        const { memberAddress, tokenId, transactionHash, blockNumber, chainId } = req.body.data;
+        
+        // The gallery links the mint transaction from here instead of scanning logs for it
+        const membership = await Membership.findOneAndUpdate(
+            { walletAddress: memberAddress.toLowerCase(), isActive: true, ...Membership.chainFilter(chainId) },
+            { tokenId: parseInt(tokenId), mintTransactionHash: transactionHash, mintBlockNumber: blockNumber },
+            { new: true }
+        ).populate('user');
+        
+        if (membership && membership.user) {
+            await telegramBotService.notifyMembershipMinted(
+                membership.user.telegramId,
+                tokenId,
+                membership.planName
+            );
+            
+            console.log(`✅ Mint notification sent: token #${tokenId} to ${membership.user.firstName}`);
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Membership minted webhook error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Webhook for a downline upgrading past their upline's plan
+router.post('/upline-notified', authenticateWebhook, async (req, res) => {
+    try {
+        const { uplineAddress, downlineAddress, downlineCurrentPlan, downlineTargetPlan, chainId } = req.body.data;
+        
+        const upline = await User.findOne({ walletAddress: uplineAddress.toLowerCase() });
+        const downline = await User.findOne({ walletAddress: downlineAddress.toLowerCase() });
+        
+        if (upline) {
+            const contractService = ContractService.forNetwork(chainId);
+            const currentPlan = await contractService.getPlanInfo(downlineCurrentPlan);
+            const targetPlan = await contractService.getPlanInfo(downlineTargetPlan);
+            
+            await telegramBotService.notifyUplineUpgradeNeeded(
+                upline.telegramId,
+                downline ? downline.firstName : `${downlineAddress.slice(0, 6)}...${downlineAddress.slice(-4)}`,
+                currentPlan.name,
+                targetPlan.name
+            );
+            
+            console.log(`✅ Upline notification sent to ${upline.firstName}`);
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Upline notified webhook error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Webhook for system alerts
 router.post('/system-alert', authenticateWebhook, async (req, res) => {
     try {
-        const { type, message, severity } = req.body;
+        const { type, message, severity } = req.body.data;
         
         // Send to admin/owner
         const adminUserId = process.env.ADMIN_TELEGRAM_ID;
@@ -0,0 +1,214 @@
+// src/services/adminService.js - Prepare, confirm and audit owner-only contract operations
+const { ethers } = require('ethers');
+const AdminAction = require('../models/AdminAction');
+const ContractService = require('./contractService');
+const { createError } = require('../utils/helpers');
+
+// Owner-only operations exposed in the admin console.
+// parse() validates form input, args() builds the contract call, execute() sends it through ContractService.
+const ADMIN_ACTIONS = {
+    updatePlanPrice: {
+        label: 'Update plan price',
+        method: 'updatePlanPrice',
+        parse: (input) => ({
+            planId: parsePlanId(input.planId),
+            price: parseUSDTAmount(input.price, 'price')
+        }),
+        args: ({ planId, price }) => [planId, ethers.parseUnits(price, 6)],
+        execute: (contractService, { planId, price }) => contractService.updatePlanPrice(planId, price)
+    },
+    setPlanStatus: {
+        label: 'Enable or disable plan',
+        method: 'setPlanStatus',
+        parse: (input) => ({
+            planId: parsePlanId(input.planId),
+            isActive: input.isActive === true || input.isActive === 'true'
+        }),
+        args: ({ planId, isActive }) => [planId, isActive],
+        execute: (contractService, { planId, isActive }) => contractService.setPlanStatus(planId, isActive)
+    },
+    pauseContract: {
+        label: 'Pause contract',
+        method: 'setPaused',
+        parse: () => ({}),
+        args: () => [true],
+        execute: (contractService) => contractService.pauseContract()
+    },
+    unpauseContract: {
+        label: 'Unpause contract',
+        method: 'setPaused',
+        parse: () => ({}),
+        args: () => [false],
+        execute: (contractService) => contractService.unpauseContract()
+    },
+    withdrawOwnerBalance: {
+        label: 'Withdraw owner balance',
+        method: 'withdrawOwnerBalance',
+        parse: (input) => ({
+            amount: parseUSDTAmount(input.amount, 'amount')
+        }),
+        args: ({ amount }) => [ethers.parseUnits(amount, 6)],
+        execute: (contractService, { amount }) => contractService.withdrawOwnerBalance(amount)
+    }
+};
+
+function parsePlanId(value) {
+    const planId = parseInt(value);
+    if (isNaN(planId) || planId < 1 || planId > 16) {
+        throw createError('Plan ID must be between 1 and 16');
+    }
+    return planId;
+}
+
+function parseUSDTAmount(value, field) {
+    const amount = String(value ?? '').trim();
+    if (!/^\d+(\.\d{1,6})?$/.test(amount) || ethers.parseUnits(amount, 6) <= 0n) {
+        throw createError(`Invalid ${field}: enter a positive USDT amount`);
+    }
+    return amount;
+}
+
+class AdminService {
+    constructor() {
+        this.actionTTL = parseInt(process.env.ADMIN_ACTION_TTL) || 10 * 60 * 1000; // 10 minutes
+    }
+
+    getActions() {
+        return Object.entries(ADMIN_ACTIONS).map(([name, { label }]) => ({ name, label }));
+    }
+
+    getActionLabel(name) {
+        return ADMIN_ACTIONS[name]?.label || name;
+    }
+
+    // Actor details recorded in the audit trail
+    getActor(req) {
+        return {
+            user: req.user._id,
+            walletAddress: req.user.walletAddress,
+            telegramId: req.user.telegramId,
+            ip: req.ip
+        };
+    }
+
+    // Contract state shown on the console
+    async getOverview(chainId) {
+        const contractService = ContractService.forNetwork(chainId);
+
+        const [status, stats, plans, owner] = await Promise.all([
+            contractService.getContractStatus(),
+            contractService.getSystemStats(),
+            contractService.getAllPlansInfo(),
+            contractService.getOwner()
+        ]);
+
+        return {
+            status,
+            stats,
+            plans,
+            owner,
+            chainId: contractService.chainId,
+            contractAddress: contractService.contractAddress,
+            signerAddress: contractService.adminSigner?.address || null,
+            canExecute: !!contractService.adminContract
+        };
+    }
+
+    // Validate input, estimate gas and record the action for confirmation
+    async prepare(actionName, input, actor, chainId) {
+        const definition = ADMIN_ACTIONS[actionName];
+        if (!definition) {
+            throw createError('Unknown admin action');
+        }
+
+        const params = definition.parse(input || {});
+        const contractService = ContractService.forNetwork(chainId);
+
+        let transaction;
+        try {
+            transaction = await contractService.estimateAdminTransaction(definition.method, definition.args(params));
+        } catch (error) {
+            // Gas estimation fails when the call would revert (e.g. insufficient balance)
+            throw createError(error.message, 422);
+        }
+
+        const action = await AdminAction.create({
+            chainId: contractService.chainId,
+            action: actionName,
+            params,
+            preparedBy: actor,
+            transaction,
+            expiresAt: new Date(Date.now() + this.actionTTL)
+        });
+
+        console.log(`📝 Admin ${actor.walletAddress} prepared ${actionName} on chain ${action.chainId} (${action._id})`);
+        return action;
+    }
+
+    async getAction(id) {
+        const action = await AdminAction.findById(id);
+        if (!action) {
+            throw createError('Action not found', 404);
+        }
+        return action;
+    }
+
+    // Send a prepared action with the admin signer
+    async confirm(id, actor) {
+        const prepared = await this.getAction(id);
+        const contractService = ContractService.forNetwork(prepared.chainId);
+        if (!contractService.adminContract) {
+            throw createError('Admin signer not configured', 503);
+        }
+
+        const action = await AdminAction.claim(id, actor);
+        if (!action) {
+            const existing = await this.getAction(id);
+            throw createError(
+                existing.isExpired() ? 'Action expired, prepare it again' : `Action is already ${existing.status}`,
+                409
+            );
+        }
+
+        console.log(`⚙️ Admin ${actor.walletAddress} confirmed ${action.action} (${action._id})`);
+
+        try {
+            const receipt = await ADMIN_ACTIONS[action.action].execute(contractService, action.params);
+            await action.markExecuted(receipt);
+            console.log(`✅ Admin action ${action._id} mined in ${receipt.hash}`);
+        } catch (error) {
+            await action.markFailed(error);
+            console.error(`❌ Admin action ${action._id} failed:`, error.message);
+        }
+
+        return action;
+    }
+
+    async cancel(id, actor) {
+        const action = await AdminAction.findOneAndUpdate(
+            { _id: id, status: 'prepared' },
+            {
+                $set: {
+                    status: 'cancelled',
+                    resolvedBy: actor,
+                    resolvedAt: new Date()
+                }
+            },
+            { new: true }
+        );
+
+        if (!action) {
+            const existing = await this.getAction(id);
+            throw createError(`Action is already ${existing.status}`, 409);
+        }
+
+        console.log(`🚫 Admin ${actor.walletAddress} cancelled ${action.action} (${action._id})`);
+        return action;
+    }
+
+    getAuditLog(options = {}) {
+        return AdminAction.getRecent(options);
+    }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,146 @@
+// src/services/contractCache.js - TTL cache for contract reads, flushed by the events that change them
+const web3Config = require('../config/web3');
+
+const TYPES = ['plan', 'planCycle', 'stats', 'member'];
+
+// Entries each event makes stale, as [type, id]; a missing id flushes the whole type
+const EVENT_INVALIDATIONS = {
+    MemberRegistered: ({ member, upline, planId }) => [['member', member], ['member', upline], ['planCycle', planId], ['stats']],
+    PlanUpgraded: ({ member, newPlanId }) => [['member', member], ['planCycle', newPlanId], ['stats']],
+    ReferralPaid: ({ to }) => [['member', to], ['stats']],
+    MemberExited: ({ member }) => [['member', member], ['stats']],
+    NewCycleStarted: ({ planId }) => [['planCycle', planId]],
+    PlanCreated: ({ planId }) => [['plan', planId], ['planCycle', planId]],
+    PlanPriceUpdated: ({ planId }) => [['plan', planId]],
+    PlanDefaultImageSet: ({ planId }) => [['plan', planId]],
+    OwnerUpgradeBypass: ({ owner }) => [['member', owner]],
+    FundsDistributed: () => [['stats']],
+    FundBalanceUpdated: () => [['stats']],
+    BatchWithdrawalProcessed: () => [['stats']],
+    EmergencyWithdraw: () => [['stats']]
+};
+
+class ContractCache {
+    constructor() {
+        const { ttl, maxEntries } = web3Config.getCacheConfig();
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+
+        this.entries = new Map();  // `${chainId}:${type}:${id}` -> { type, value, expiresAt }
+        this.loading = new Map();  // same key -> in-flight read, so concurrent requests share one RPC call
+        this.counters = Object.fromEntries(TYPES.map(type => [type, { hits: 0, misses: 0, invalidations: 0 }]));
+    }
+
+    key(chainId, type, id = '') {
+        return `${parseInt(chainId)}:${type}:${String(id).toLowerCase()}`;
+    }
+
+    // Cached value, or undefined on a miss (null is a valid cached value, e.g. a non-member)
+    get(chainId, type, id) {
+        const entry = this.entries.get(this.key(chainId, type, id));
+        if (entry && entry.expiresAt > Date.now()) {
+            this.counters[type].hits++;
+            return entry.value;
+        }
+
+        this.counters[type].misses++;
+        return undefined;
+    }
+
+    set(chainId, type, id, value) {
+        const key = this.key(chainId, type, id);
+
+        this.entries.delete(key);
+        if (this.entries.size >= this.maxEntries) {
+            // Maps iterate in insertion order, so the first key is the oldest
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        this.entries.set(key, { type, value, expiresAt: Date.now() + this.ttl[type] });
+        return value;
+    }
+
+    // Cached value, or the loader's result once it resolves; failed reads are not cached
+    async wrap(chainId, type, id, loader) {
+        const cached = this.get(chainId, type, id);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const key = this.key(chainId, type, id);
+        if (!this.loading.has(key)) {
+            const load = Promise.resolve()
+                .then(loader)
+                .then(value => {
+                    // An event flushed the key while this read was in flight, so its result may predate the event
+                    if (this.loading.get(key) === load) {
+                        this.set(chainId, type, id, value);
+                    }
+                    return value;
+                })
+                .finally(() => {
+                    if (this.loading.get(key) === load) {
+                        this.loading.delete(key);
+                    }
+                });
+            this.loading.set(key, load);
+        }
+        return await this.loading.get(key);
+    }
+
+    invalidate(chainId, type, id) {
+        // Keep the trailing ':' so flushing 'plan' leaves 'planCycle' alone
+        const prefix = id === undefined ? this.key(chainId, type) : null;
+        const key = prefix ? null : this.key(chainId, type, id);
+        const matches = candidate => prefix ? candidate.startsWith(prefix) : candidate === key;
+
+        let removed = 0;
+        for (const map of [this.entries, this.loading]) {
+            for (const candidate of [...map.keys()].filter(matches)) {
+                map.delete(candidate);
+                removed++;
+            }
+        }
+
+        this.counters[type].invalidations++;
+        return removed;
+    }
+
+    // Called with every confirmed (or reorged-out) contract event and every transaction the verifier accepts
+    invalidateForEvent(chainId, eventName, args) {
+        const targets = EVENT_INVALIDATIONS[eventName];
+        if (!targets) {
+            return;
+        }
+
+        for (const [type, id] of targets(args)) {
+            this.invalidate(chainId, type, id === undefined ? undefined : id.toString());
+        }
+    }
+
+    // Hit/miss counters for the health endpoint
+    getStats() {
+        const totals = { hits: 0, misses: 0, invalidations: 0 };
+        const byType = {};
+
+        for (const type of TYPES) {
+            const counters = this.counters[type];
+            byType[type] = { ...counters, hitRate: this.hitRate(counters) };
+            Object.keys(totals).forEach(name => { totals[name] += counters[name]; });
+        }
+
+        return {
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            ...totals,
+            hitRate: this.hitRate(totals),
+            byType
+        };
+    }
+
+    hitRate({ hits, misses }) {
+        return hits + misses === 0 ? 0 : Number((hits / (hits + misses)).toFixed(3));
+    }
+}
+
+module.exports = new ContractCache();
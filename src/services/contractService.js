@@ -1,13 +1,23 @@
 // src/services/contractService.js - Smart contract interactions
 const { ethers } = require('ethers');
 const contractABI = require('../../contracts/abi/CryptoMembershipNFT.json');
+const web3Config = require('../config/web3');
+const contractCache = require('./contractCache');
+
+// One shared instance per network, see ContractService.forNetwork
+const instances = new Map();
+
+const ALL_PLAN_IDS = Array.from({ length: 16 }, (_, index) => index + 1);
 
 class ContractService {
-    constructor() {
-        this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-        this.contractAddress = process.env.CONTRACT_ADDRESS;
-        this.usdtAddress = process.env.USDT_CONTRACT_ADDRESS;
-        this.chainId = parseInt(process.env.CHAIN_ID) || 56;
+    constructor(chainId = web3Config.chainId) {
+        const network = web3Config.getNetwork(chainId);
+
+        // Shared failover provider (RPC_URLS)
+        this.provider = network.provider;
+        this.contractAddress = network.contractAddress;
+        this.usdtAddress = network.usdtAddress;
+        this.chainId = network.chainId;
         
         // Initialize contract instance
         this.contract = new ethers.Contract(
@@ -33,6 +43,14 @@ class ContractService {
             this.provider
         );
         
+        // Multicall3 batches many view calls into one eth_call (see batchRead)
+        this.multicall = new ethers.Contract(
+            network.multicallAddress,
+            ['function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'],
+            this.provider
+        );
+        this.multicallAvailable = true;
+        
         // Initialize admin signer if private key is available
         if (process.env.PRIVATE_KEY) {
             this.adminSigner = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
@@ -46,10 +64,29 @@ class ContractService {
         console.log('🔗 Contract Service initialized');
     }
 
+    static forNetwork(chainId = web3Config.chainId) {
+        const key = parseInt(chainId);
+        if (!instances.has(key)) {
+            instances.set(key, new ContractService(key));
+        }
+        return instances.get(key);
+    }
+
     // Member Information Methods
-    async getMemberInfo(walletAddress) {
+    // Cached until the member's next event; pass fresh to re-read from the chain
+    async getMemberInfo(walletAddress, { fresh = false } = {}) {
+        if (fresh) {
+            contractCache.invalidate(this.chainId, 'member', walletAddress);
+        }
+        return await contractCache.wrap(this.chainId, 'member', walletAddress, () => this.readMemberInfo(walletAddress));
+    }
+
+    async readMemberInfo(walletAddress) {
         try {
-            const member = await this.contract.members(walletAddress);
+            // Reconciliation and verification act on this, so require endpoints to agree
+            const member = await this.provider.quorum(provider =>
+                this.contract.connect(provider).members(walletAddress)
+            );
             const tokenBalance = await this.contract.balanceOf(walletAddress);
             
             if (tokenBalance.toString() === '0') {
@@ -63,7 +100,7 @@ class ContractService {
                 planId: member.planId.toString(),
                 cycleNumber: member.cycleNumber.toString(),
                 registeredAt: new Date(Number(member.registeredAt) * 1000),
-                isActive: tokenBalance.gt(0)
+                isActive: tokenBalance > 0n
             };
         } catch (error) {
             console.error('Error getting member info:', error);
@@ -74,7 +111,7 @@ class ContractService {
     async isMember(walletAddress) {
         try {
             const balance = await this.contract.balanceOf(walletAddress);
-            return balance.gt(0);
+            return balance > 0n;
         } catch (error) {
             console.error('Error checking membership:', error);
             return false;
@@ -92,16 +129,37 @@ class ContractService {
     }
 
     // Plan Information Methods
-    async getPlanInfo(planId) {
+    // Upgrades lock for AUTO_RESET_BLOCKS blocks after lastUpgradeBlock
+    async getUpgradeStatus(walletAddress) {
         try {
-            const plan = await this.contract.getPlanInfo(planId);
+            const [status, lastUpgradeBlock, autoResetBlocks, currentBlock] = await Promise.all([
+                this.contract.getUpgradeStatus(walletAddress),
+                this.contract.lastUpgradeBlock(walletAddress),
+                this.contract.AUTO_RESET_BLOCKS(),
+                this.provider.getBlockNumber()
+            ]);
+
             return {
-                price: plan.price.toString(),
-                name: plan.name,
-                membersPerCycle: plan.membersPerCycle.toString(),
-                isActive: plan.isActive,
-                imageURI: plan.imageURI
+                canUpgradeNow: status.canUpgradeNow,
+                blocksToWait: Number(status.blocksToWait),
+                needsManualReset: status.needsManualReset,
+                lastUpgradeBlock: Number(lastUpgradeBlock),
+                autoResetBlocks: Number(autoResetBlocks),
+                currentBlock
             };
+        } catch (error) {
+            console.error('Error getting upgrade status:', error);
+            throw new Error(`Failed to get upgrade status: ${error.message}`);
+        }
+    }
+
+    async getPlanInfo(planId) {
+        return await contractCache.wrap(this.chainId, 'plan', planId, () => this.readPlanInfo(planId));
+    }
+
+    async readPlanInfo(planId) {
+        try {
+            return this.formatPlanInfo(await this.contract.getPlanInfo(planId));
         } catch (error) {
             console.error(`Error getting plan ${planId} info:`, error);
             throw new Error(`Failed to get plan info: ${error.message}`);
@@ -109,38 +167,70 @@ class ContractService {
     }
 
     async getPlanCycleInfo(planId) {
+        return await contractCache.wrap(this.chainId, 'planCycle', planId, () => this.readPlanCycleInfo(planId));
+    }
+
+    async readPlanCycleInfo(planId) {
         try {
-            const cycleInfo = await this.contract.getPlanCycleInfo(planId);
-            return {
-                currentCycle: cycleInfo.currentCycle.toString(),
-                membersInCurrentCycle: cycleInfo.membersInCurrentCycle.toString(),
-                membersPerCycle: cycleInfo.membersPerCycle.toString()
-            };
+            return this.formatPlanCycleInfo(await this.contract.getPlanCycleInfo(planId));
         } catch (error) {
             console.error(`Error getting plan ${planId} cycle info:`, error);
             throw new Error(`Failed to get cycle info: ${error.message}`);
         }
     }
 
-    async getAllPlansInfo() {
+    formatPlanInfo(plan) {
+        return {
+            price: plan.price.toString(),
+            name: plan.name,
+            membersPerCycle: plan.membersPerCycle.toString(),
+            isActive: plan.isActive,
+            imageURI: plan.imageURI
+        };
+    }
+
+    formatPlanCycleInfo(cycleInfo) {
+        return {
+            currentCycle: cycleInfo.currentCycle.toString(),
+            membersInCurrentCycle: cycleInfo.membersInCurrentCycle.toString(),
+            membersPerCycle: cycleInfo.membersPerCycle.toString()
+        };
+    }
+
+    // Plan and cycle info for every plan (or the given ones); cache misses are fetched in one batched read
+    // and plans that fail to load are skipped
+    async getAllPlansInfo(planIds = ALL_PLAN_IDS) {
         try {
+            const reads = planIds.flatMap(planId => [
+                { type: 'plan', method: 'getPlanInfo', format: plan => this.formatPlanInfo(plan), planId },
+                { type: 'planCycle', method: 'getPlanCycleInfo', format: cycle => this.formatPlanCycleInfo(cycle), planId }
+            ]).map(read => ({ ...read, value: contractCache.get(this.chainId, read.type, read.planId) }));
+            
+            const misses = reads.filter(read => read.value === undefined);
+            const results = await this.batchRead(misses.map(({ method, planId }) => ({ method, args: [planId] })));
+            misses.forEach((read, index) => {
+                if (results[index].success) {
+                    read.value = contractCache.set(this.chainId, read.type, read.planId, read.format(results[index].value));
+                } else {
+                    read.error = results[index].error;
+                }
+            });
+            
             const plans = [];
-            for (let i = 1; i <= 16; i++) {
-                try {
-                    const planInfo = await this.getPlanInfo(i);
-                    const cycleInfo = await this.getPlanCycleInfo(i);
-                    
-                    plans.push({
-                        id: i,
-                        ...planInfo,
-                        ...cycleInfo,
-                        priceUSDT: (parseInt(planInfo.price) / 1000000).toFixed(0)
-                    });
-                } catch (error) {
-                    console.error(`Error fetching plan ${i}:`, error);
-                    // Continue with other plans
+            planIds.forEach((planId, index) => {
+                const [plan, cycle] = reads.slice(index * 2, index * 2 + 2);
+                if (plan.error || cycle.error) {
+                    console.error(`Error fetching plan ${planId}:`, (plan.error || cycle.error).message);
+                    return;
                 }
-            }
+                
+                plans.push({
+                    id: planId,
+                    ...plan.value,
+                    ...cycle.value,
+                    priceUSDT: (parseInt(plan.value.price) / 1000000).toFixed(0)
+                });
+            });
             return plans;
         } catch (error) {
             console.error('Error getting all plans info:', error);
@@ -148,8 +238,89 @@ class ContractService {
         }
     }
 
+    // Batched Reads
+    // calls: [{ method, args }] on the membership contract. Resolves to [{ success, value | error }] in call order,
+    // through Multicall3 when the network has it and bounded-concurrency parallel calls otherwise.
+    async batchRead(calls) {
+        if (calls.length === 0) {
+            return [];
+        }
+        
+        if (this.multicallAvailable) {
+            try {
+                return await this.aggregate(calls);
+            } catch (error) {
+                // No Multicall3 contract at the address: stop trying on this network
+                if (error.code === 'BAD_DATA') {
+                    this.multicallAvailable = false;
+                }
+                console.warn(`⚠️ Multicall failed on chain ${this.chainId}, falling back to parallel calls: ${error.shortMessage || error.message}`);
+            }
+        }
+        
+        return await this.parallelRead(calls);
+    }
+
+    // One aggregate3 eth_call per maxBatchSize calls; a reverted call fails alone
+    async aggregate(calls) {
+        const { maxBatchSize } = web3Config.getBatchConfig();
+        const contractInterface = this.contract.interface;
+        
+        const chunks = [];
+        for (let start = 0; start < calls.length; start += maxBatchSize) {
+            chunks.push(calls.slice(start, start + maxBatchSize));
+        }
+        
+        const responses = await Promise.all(chunks.map(chunk =>
+            this.multicall.aggregate3.staticCall(chunk.map(({ method, args = [] }) => ({
+                target: this.contractAddress,
+                allowFailure: true,
+                callData: contractInterface.encodeFunctionData(method, args)
+            })))
+        ));
+        
+        return responses.flat().map(({ success, returnData }, index) => {
+            const { method } = calls[index];
+            if (!success) {
+                return { success: false, error: new Error(`${method} reverted: ${web3Config.parseContractError({ data: returnData })}`) };
+            }
+            
+            // Same shape as calling the method on the contract: single outputs are unwrapped
+            const decoded = contractInterface.decodeFunctionResult(method, returnData);
+            return {
+                success: true,
+                value: contractInterface.getFunction(method).outputs.length === 1 ? decoded[0] : decoded
+            };
+        });
+    }
+
+    async parallelRead(calls) {
+        const { concurrentRequests } = web3Config.getBatchConfig();
+        const results = new Array(calls.length);
+        let next = 0;
+        
+        const worker = async () => {
+            while (next < calls.length) {
+                const index = next++;
+                const { method, args = [] } = calls[index];
+                try {
+                    results[index] = { success: true, value: await this.contract[method](...args) };
+                } catch (error) {
+                    results[index] = { success: false, error };
+                }
+            }
+        };
+        
+        await Promise.all(Array.from({ length: Math.min(concurrentRequests, calls.length) }, worker));
+        return results;
+    }
+
     // System Statistics
     async getSystemStats() {
+        return await contractCache.wrap(this.chainId, 'stats', undefined, () => this.readSystemStats());
+    }
+
+    async readSystemStats() {
         try {
             const stats = await this.contract.getSystemStats();
             return {
@@ -166,6 +337,32 @@ class ContractService {
         }
     }
 
+    async getContractStatus() {
+        try {
+            const status = await this.contract.getContractStatus();
+            return {
+                isPaused: status.isPaused,
+                totalBalance: status.totalBalance.toString(),
+                memberCount: status.memberCount.toString(),
+                currentPlanCount: status.currentPlanCount.toString(),
+                hasEmergencyRequest: status.hasEmergencyRequest,
+                emergencyTimeRemaining: status.emergencyTimeRemaining.toString()
+            };
+        } catch (error) {
+            console.error('Error getting contract status:', error);
+            throw new Error(`Failed to get contract status: ${error.message}`);
+        }
+    }
+
+    async getOwner() {
+        try {
+            return await this.contract.owner();
+        } catch (error) {
+            console.error('Error getting contract owner:', error);
+            throw new Error(`Failed to get contract owner: ${error.message}`);
+        }
+    }
+
     // NFT Methods
     async getNFTImage(tokenId) {
         try {
@@ -183,21 +380,69 @@ class ContractService {
         }
     }
 
-    async getUserNFTs(walletAddress) {
+    // Every token the wallet holds, via ERC721Enumerable
+    async getOwnedTokenIds(walletAddress) {
         try {
             const balance = await this.contract.balanceOf(walletAddress);
+            const tokenIds = await Promise.all(
+                Array.from({ length: Number(balance) }, (_, index) =>
+                    this.contract.tokenOfOwnerByIndex(walletAddress, index)
+                )
+            );
+            
+            return tokenIds.map(tokenId => tokenId.toString());
+        } catch (error) {
+            console.error('Error getting owned token IDs:', error);
+            throw new Error(`Failed to get owned token IDs: ${error.message}`);
+        }
+    }
+
+    // Transaction that minted the token (its Transfer from the zero address); null if not found.
+    // RPCs cap the block range of a log query, so the scan runs in EVENT_BATCH_SIZE chunks from fromBlock
+    async getMintTransaction(tokenId, fromBlock, toBlock) {
+        if (!Number.isInteger(fromBlock)) {
+            throw new Error('Mint transaction lookup needs a start block (the contract deployment block)');
+        }
+
+        const batchSize = parseInt(process.env.EVENT_BATCH_SIZE) || 2000;
+
+        try {
+            const filter = this.contract.filters.Transfer(ethers.ZeroAddress, null, tokenId);
+            const lastBlock = toBlock ?? await this.provider.getBlockNumber();
+
+            for (let start = fromBlock; start <= lastBlock; start += batchSize) {
+                const end = Math.min(start + batchSize - 1, lastBlock);
+                const logs = await this.contract.queryFilter(filter, start, end);
+
+                if (logs.length > 0) {
+                    return {
+                        transactionHash: logs[0].transactionHash,
+                        blockNumber: logs[0].blockNumber
+                    };
+                }
+            }
+
+            return null;
+        } catch (error) {
+            console.error(`Error getting NFT ${tokenId} mint transaction:`, error);
+            throw new Error(`Failed to get mint transaction: ${error.message}`);
+        }
+    }
+
+    async getUserNFTs(walletAddress) {
+        try {
+            const tokenIds = await this.getOwnedTokenIds(walletAddress);
             const nfts = [];
             
-            for (let i = 0; i < balance; i++) {
+            for (const tokenId of tokenIds) {
                 try {
-                    const tokenId = await this.contract.tokenOfOwnerByIndex(walletAddress, i);
                     const nftData = await this.getNFTImage(tokenId);
                     nfts.push({
-                        tokenId: tokenId.toString(),
+                        tokenId,
                         ...nftData
                     });
                 } catch (error) {
-                    console.error(`Error getting NFT at index ${i}:`, error);
+                    console.error(`Error getting NFT ${tokenId}:`, error);
                 }
             }
             
@@ -214,7 +459,7 @@ class ContractService {
             const balance = await this.usdtContract.balanceOf(walletAddress);
             return {
                 raw: balance.toString(),
-                formatted: ethers.utils.formatUnits(balance, 6)
+                formatted: ethers.formatUnits(balance, 6)
             };
         } catch (error) {
             console.error('Error getting USDT balance:', error);
@@ -227,7 +472,7 @@ class ContractService {
             const allowance = await this.usdtContract.allowance(owner, spender);
             return {
                 raw: allowance.toString(),
-                formatted: ethers.utils.formatUnits(allowance, 6)
+                formatted: ethers.formatUnits(allowance, 6)
             };
         } catch (error) {
             console.error('Error getting USDT allowance:', error);
@@ -252,9 +497,26 @@ class ContractService {
         }
     }
 
-    async waitForTransaction(txHash, confirmations = 3) {
+    // Re-run a mined transaction as a call against the state before its block to recover the revert data.
+    // Resolves to the call error, or null if the call no longer reverts.
+    async replayTransaction(transaction, blockNumber) {
         try {
-            const receipt = await this.provider.waitForTransaction(txHash, confirmations);
+            await this.provider.call({
+                to: transaction.to,
+                from: transaction.from,
+                data: transaction.data,
+                value: transaction.value,
+                blockTag: blockNumber - 1
+            });
+            return null;
+        } catch (error) {
+            return error;
+        }
+    }
+
+    async waitForTransaction(txHash, confirmations = 3, timeout) {
+        try {
+            const receipt = await this.provider.waitForTransaction(txHash, confirmations, timeout);
             return {
                 receipt: receipt,
                 status: receipt.status === 1 ? 'success' : 'failed',
@@ -283,7 +545,7 @@ class ContractService {
                                 args: parsed.args,
                                 blockNumber: log.blockNumber,
                                 transactionHash: log.transactionHash,
-                                logIndex: log.logIndex
+                                logIndex: log.index
                             });
                         }
                     }
@@ -300,13 +562,38 @@ class ContractService {
     }
 
     // Admin Methods (require admin signer)
+    // Encode an owner-only call and estimate its gas as sent from the admin signer (or the owner)
+    async estimateAdminTransaction(method, args = []) {
+        try {
+            const from = this.adminSigner ? this.adminSigner.address : await this.getOwner();
+            const data = this.contract.interface.encodeFunctionData(method, args);
+            const tx = { from, to: this.contractAddress, data };
+
+            const [gasLimit, { gasPrice }] = await Promise.all([
+                this.provider.estimateGas(tx),
+                this.provider.getFeeData()
+            ]);
+
+            return {
+                ...tx,
+                gasLimit: gasLimit.toString(),
+                gasPrice: gasPrice.toString(),
+                estimatedCost: ethers.formatEther(gasLimit * gasPrice)
+            };
+        } catch (error) {
+            console.error(`Error estimating ${method}:`, error);
+            const { code, message } = web3Config.describeContractError(error);
+            throw new Error(`Failed to estimate ${method}: ${code === 'Unknown' ? error.shortMessage || error.message : message}`);
+        }
+    }
+
     async updatePlanPrice(planId, newPrice) {
         if (!this.adminContract) {
             throw new Error('Admin signer not configured');
         }
         
         try {
-            const priceInWei = ethers.utils.parseUnits(newPrice.toString(), 6);
+            const priceInWei = ethers.parseUnits(newPrice.toString(), 6);
             const tx = await this.adminContract.updatePlanPrice(planId, priceInWei);
             return await tx.wait();
         } catch (error) {
@@ -363,7 +650,7 @@ class ContractService {
         }
         
         try {
-            const amountInWei = ethers.utils.parseUnits(amount.toString(), 6);
+            const amountInWei = ethers.parseUnits(amount.toString(), 6);
             const tx = await this.adminContract.withdrawOwnerBalance(amountInWei);
             return await tx.wait();
         } catch (error) {
@@ -375,7 +662,7 @@ class ContractService {
     // Utility Methods
     formatUSDT(amount, decimals = 2) {
         try {
-            const formatted = ethers.utils.formatUnits(amount, 6);
+            const formatted = ethers.formatUnits(amount, 6);
             return parseFloat(formatted).toFixed(decimals);
         } catch (error) {
             return '0.00';
@@ -384,14 +671,14 @@ class ContractService {
 
     parseUSDT(amount) {
         try {
-            return ethers.utils.parseUnits(amount.toString(), 6);
+            return ethers.parseUnits(amount.toString(), 6);
         } catch (error) {
             throw new Error('Invalid USDT amount');
         }
     }
 
     isValidAddress(address) {
-        return ethers.utils.isAddress(address);
+        return ethers.isAddress(address);
     }
 
     isValidTransactionHash(hash) {
@@ -403,13 +690,13 @@ class ContractService {
         try {
             const network = await this.provider.getNetwork();
             const blockNumber = await this.provider.getBlockNumber();
-            const gasPrice = await this.provider.getGasPrice();
+            const { gasPrice } = await this.provider.getFeeData();
             
             return {
-                chainId: network.chainId,
+                chainId: Number(network.chainId),
                 name: network.name,
                 blockNumber: blockNumber,
-                gasPrice: ethers.utils.formatUnits(gasPrice, 'gwei') + ' gwei'
+                gasPrice: ethers.formatUnits(gasPrice, 'gwei') + ' gwei'
             };
         } catch (error) {
             console.error('Error getting network info:', error);
@@ -429,7 +716,7 @@ class ContractService {
             return {
                 status: 'healthy',
                 network: network.name,
-                chainId: network.chainId,
+                chainId: Number(network.chainId),
                 blockNumber: blockNumber,
                 contractAddress: this.contractAddress,
                 totalMembers: stats.totalMembers,
@@ -0,0 +1,119 @@
+// src/services/cycleTracker.js - Fill level of each plan's current cycle and cycle alerts for bot subscribers
+const CycleSubscription = require('../models/CycleSubscription');
+const contractCache = require('./contractCache');
+const telegramBotService = require('./telegramBotService');
+const web3Config = require('../config/web3');
+const ContractService = require('./contractService');
+const { createError } = require('../utils/helpers');
+
+// A cycle counts as "almost full" from this share of its seats
+const ALMOST_FULL_PERCENT = parseInt(process.env.CYCLE_ALMOST_FULL_PERCENT) || 75;
+
+class CycleTracker {
+    constructor() {
+        this.almostFullPercent = ALMOST_FULL_PERCENT;
+    }
+
+    // Fill level of every plan; reads come from the contract cache, which cycle events flush
+    async getProgress(chainId = web3Config.chainId) {
+        const contractService = ContractService.forNetwork(chainId);
+        const plans = await contractService.getAllPlansInfo();
+
+        return {
+            chainId: contractService.chainId,
+            almostFullPercent: ALMOST_FULL_PERCENT,
+            plans: plans.map(plan => this.toProgress(plan.id, plan)),
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    async getPlanProgress(planId, chainId = web3Config.chainId) {
+        const contractService = ContractService.forNetwork(chainId);
+        const [plan, cycle] = await Promise.all([
+            contractService.getPlanInfo(planId),
+            contractService.getPlanCycleInfo(planId)
+        ]);
+
+        return this.toProgress(planId, { ...plan, ...cycle });
+    }
+
+    toProgress(planId, plan) {
+        const membersPerCycle = parseInt(plan.membersPerCycle) || 0;
+        const membersInCurrentCycle = parseInt(plan.membersInCurrentCycle) || 0;
+        const remaining = Math.max(0, membersPerCycle - membersInCurrentCycle);
+        const fillPercent = membersPerCycle > 0 ? Math.min(100, Math.round(membersInCurrentCycle / membersPerCycle * 100)) : 0;
+
+        return {
+            planId,
+            name: plan.name,
+            currentCycle: parseInt(plan.currentCycle) || 1,
+            membersInCurrentCycle,
+            membersPerCycle,
+            remaining,
+            fillPercent,
+            almostFull: remaining > 0 && fillPercent >= ALMOST_FULL_PERCENT
+        };
+    }
+
+    // A member-registered or plan-upgraded webhook took a seat in the plan's current cycle
+    async onMemberJoined(planId, chainId = web3Config.chainId) {
+        // The event listener may run in another process, so this process's cached count can be stale
+        contractCache.invalidate(chainId, 'planCycle', planId);
+
+        const progress = await this.getPlanProgress(parseInt(planId), chainId);
+        if (!progress.almostFull) {
+            return progress;
+        }
+
+        const subscriptions = await CycleSubscription.claimAlmostFull(parseInt(chainId), progress.planId, progress.currentCycle);
+        for (const subscription of subscriptions) {
+            await telegramBotService.notifyCycleAlmostFull(subscription.telegramId, progress);
+        }
+
+        if (subscriptions.length > 0) {
+            console.log(`⏳ Plan ${progress.planId} cycle #${progress.currentCycle} is ${progress.fillPercent}% full, ${subscriptions.length} subscriber(s) notified`);
+        }
+        return progress;
+    }
+
+    // NewCycleStarted: tell every subscriber of the plan that a fresh cycle is open
+    async onCycleStarted(planId, cycleNumber, chainId = web3Config.chainId) {
+        contractCache.invalidate(chainId, 'planCycle', planId);
+
+        const progress = await this.getPlanProgress(parseInt(planId), chainId);
+        const subscriptions = await CycleSubscription.find({ chainId: parseInt(chainId), planId: progress.planId });
+
+        for (const subscription of subscriptions) {
+            await telegramBotService.notifyCycleStarted(subscription.telegramId, progress.name, cycleNumber, progress.membersPerCycle);
+        }
+
+        return subscriptions.length;
+    }
+
+    async subscribe(telegramId, planId, chainId = web3Config.chainId) {
+        const id = this.validatePlanId(planId);
+        await CycleSubscription.subscribe(String(telegramId), parseInt(chainId), id);
+        return await this.getSubscriptions(telegramId, chainId);
+    }
+
+    async unsubscribe(telegramId, planId, chainId = web3Config.chainId) {
+        const id = this.validatePlanId(planId);
+        await CycleSubscription.unsubscribe(String(telegramId), parseInt(chainId), id);
+        return await this.getSubscriptions(telegramId, chainId);
+    }
+
+    // Plan IDs the Telegram user gets cycle alerts for
+    async getSubscriptions(telegramId, chainId = web3Config.chainId) {
+        return await CycleSubscription.planIdsFor(String(telegramId), parseInt(chainId));
+    }
+
+    validatePlanId(planId) {
+        const id = Number(planId);
+        if (!Number.isInteger(id) || id < 1 || id > 16) {
+            throw createError('Invalid plan ID');
+        }
+        return id;
+    }
+}
+
+module.exports = new CycleTracker();
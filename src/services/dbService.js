@@ -3,6 +3,8 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const Membership = require('../models/Membership');
 const Referral = require('../models/Referral');
+const ContractEvent = require('../models/ContractEvent');
+const ContractService = require('./contractService');
 
 class DatabaseService {
     constructor() {
@@ -234,6 +236,60 @@ class DatabaseService {
         }
     }
 
+    async markMembershipExited(walletAddress, { refundAmount, transactionHash, chainId }) {
+        try {
+            const membership = await Membership.findOneAndUpdate(
+                {
+                    walletAddress: walletAddress.toLowerCase(),
+                    isActive: true,
+                    ...Membership.chainFilter(chainId)
+                },
+                {
+                    isActive: false,
+                    exitedAt: new Date(),
+                    refundAmount,
+                    exitTransactionHash: transactionHash
+                },
+                { new: true }
+            ).populate('user');
+            
+            if (membership) {
+                console.log(`👋 Membership exited: ${membership.planName} for ${membership.walletAddress}`);
+            }
+            
+            return membership;
+        } catch (error) {
+            console.error('Error marking membership exited:', error);
+            throw error;
+        }
+    }
+
+    // Members of earlier cycles of a plan are done once a new cycle starts
+    async completePlanCycle(planId, cycleNumber, chainId) {
+        try {
+            const query = {
+                ...Membership.chainFilter(chainId),
+                planId: parseInt(planId),
+                cycleNumber: { $lt: parseInt(cycleNumber) },
+                isActive: true,
+                cycleCompletedAt: null
+            };
+            
+            const memberships = await Membership.find(query).populate('user');
+            
+            // Members of the completed cycle move on to the new one
+            await Membership.updateMany(
+                { _id: { $in: memberships.map(membership => membership._id) } },
+                { cycleCompletedAt: new Date(), cycleNumber: parseInt(cycleNumber) }
+            );
+            
+            return memberships;
+        } catch (error) {
+            console.error('Error completing plan cycle:', error);
+            throw error;
+        }
+    }
+
     // Referral Operations
     async createReferral(referralData) {
         try {
@@ -412,10 +468,12 @@ class DatabaseService {
     }
 
     // Data Synchronization
-    async syncMembershipData(walletAddress, blockchainData) {
+    async syncMembershipData(walletAddress, blockchainData, chainId) {
         try {
             const membership = await Membership.findOne({ 
-                walletAddress: walletAddress.toLowerCase() 
+                walletAddress: walletAddress.toLowerCase(),
+                isActive: true,
+                ...Membership.chainFilter(chainId)
             });
 
             if (!membership) {
@@ -424,6 +482,12 @@ class DatabaseService {
             }
 
             // Update with blockchain data
+            if (blockchainData.planId !== undefined) {
+                membership.planId = parseInt(blockchainData.planId);
+            }
+            if (blockchainData.planName) {
+                membership.planName = blockchainData.planName;
+            }
             membership.totalEarnings = blockchainData.totalEarnings;
             membership.totalReferrals = parseInt(blockchainData.totalReferrals);
             membership.cycleNumber = parseInt(blockchainData.cycleNumber);
@@ -438,6 +502,103 @@ class DatabaseService {
         }
     }
 
+    // Undo rows written for a contract event that was reorged out of the chain
+    async rollbackContractEvent(contractEvent) {
+        try {
+            const { eventName, transactionHash } = contractEvent;
+            let rolledBack = 0;
+
+            switch (eventName) {
+                case 'MemberRegistered': {
+                    const result = await Membership.deleteMany({ transactionHash });
+                    rolledBack += result.deletedCount;
+                    break;
+                }
+
+                case 'PlanUpgraded': {
+                    const memberships = await Membership.find({ transactionHash });
+                    for (const membership of memberships) {
+                        membership.set(await this.getMembershipStateBefore(contractEvent));
+                        await membership.save();
+                        rolledBack++;
+                    }
+                    break;
+                }
+
+                case 'MemberExited': {
+                    const result = await Membership.updateMany(
+                        { exitTransactionHash: transactionHash },
+                        { isActive: true, exitedAt: null, refundAmount: null, exitTransactionHash: null }
+                    );
+                    rolledBack += result.modifiedCount;
+                    break;
+                }
+
+                case 'ReferralPaid': {
+                    const result = await Referral.updateMany(
+                        { transactionHash, status: { $ne: 'failed' } },
+                        { status: 'failed', notes: 'Transaction reorged out of the chain' }
+                    );
+                    rolledBack += result.modifiedCount;
+                    break;
+                }
+            }
+
+            if (rolledBack > 0) {
+                console.log(`↩️ Rolled back ${rolledBack} row(s) for ${eventName} ${transactionHash}`);
+            }
+
+            return rolledBack;
+        } catch (error) {
+            console.error('Error rolling back contract event:', error);
+            throw error;
+        }
+    }
+
+    // Plan, cycle and transaction a membership had before a reorged upgrade, taken from the member's
+    // last confirmed registration or upgrade; the contract is the fallback when none was recorded
+    async getMembershipStateBefore(contractEvent) {
+        const { chainId, blockNumber, args } = contractEvent;
+        const contractService = ContractService.forNetwork(chainId);
+
+        const previous = await ContractEvent.findOne({
+            chainId,
+            eventName: { $in: ['MemberRegistered', 'PlanUpgraded'] },
+            'args.member': args.member,
+            status: 'confirmed',
+            blockNumber: { $lt: blockNumber }
+        }).sort({ blockNumber: -1, logIndex: -1 });
+
+        if (previous) {
+            const planId = parseInt(previous.args.planId ?? previous.args.newPlanId);
+            const plan = await contractService.getPlanInfo(planId);
+
+            return {
+                planId,
+                planName: plan.name,
+                cycleNumber: parseInt(previous.args.cycleNumber),
+                transactionHash: previous.transactionHash,
+                blockNumber: previous.blockNumber
+            };
+        }
+
+        console.warn(`⚠️ No earlier event recorded for ${args.member}, restoring the reorged upgrade from the contract`);
+
+        const planId = parseInt(args.oldPlanId);
+        const [plan, member] = await Promise.all([
+            contractService.getPlanInfo(planId),
+            contractService.getMemberInfo(args.member, { fresh: true })
+        ]);
+
+        return {
+            planId,
+            planName: plan.name,
+            cycleNumber: member ? parseInt(member.cycleNumber) : 1,
+            transactionHash: null,
+            blockNumber: null
+        };
+    }
+
     async syncUserReferrals(userId, referralData) {
         try {
             for (const ref of referralData) {
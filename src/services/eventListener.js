@@ -1,132 +1,261 @@
 // src/services/eventListener.js - Listen to smart contract events
 const { ethers } = require('ethers');
 const contractABI = require('../../contracts/abi/CryptoMembershipNFT.json');
+const BlockCheckpoint = require('../models/BlockCheckpoint');
+const ContractEvent = require('../models/ContractEvent');
+const web3Config = require('../config/web3');
+const dbService = require('./dbService');
+const webhookOutbox = require('./webhookOutbox');
+const nftMetadataService = require('./nftMetadataService');
+const contractCache = require('./contractCache');
 
+// One listener (and ingestion loop) per configured network
 class ContractEventListener {
-    constructor() {
-        this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+    constructor(chainId = web3Config.chainId) {
+        const network = web3Config.getNetwork(chainId);
+        
+        // Shared failover provider, so one bad RPC node does not stall ingestion
+        this.provider = network.provider;
+        this.contractAddress = network.contractAddress;
+        this.chainId = network.chainId;
+        this.networkName = network.name;
         this.contract = new ethers.Contract(
-            process.env.CONTRACT_ADDRESS,
+            this.contractAddress,
             contractABI,
             this.provider
         );
         
-        this.webhookUrl = process.env.WEBHOOK_URL || 'http://localhost:3000/webhook';
-        this.webhookSecret = process.env.WEBHOOK_SECRET || 'your-secret-token';
+        // Block ingestion settings
+        this.startBlock = process.env[`EVENT_LISTENER_FROM_BLOCK_${this.chainId}`] ||
+            (this.chainId === web3Config.chainId ? process.env.EVENT_LISTENER_FROM_BLOCK : undefined);
+        this.batchSize = parseInt(process.env.EVENT_BATCH_SIZE) || 2000;
+        this.pollInterval = parseInt(process.env.EVENT_POLL_INTERVAL) || 5000;
+        
+        // Events are only forwarded once they are this many blocks deep
+        const { confirmations } = web3Config.getTransactionConfig();
+        this.confirmations = confirmations[this.chainId] ?? confirmations[56];
+        
+        this.lastProcessedBlock = null;
+        this.isRunning = false;
+        this.pollTimer = null;
         
-        this.setupEventListeners();
-        console.log('🎧 Contract Event Listener initialized');
+        this.setupEventHandlers();
+        this.setupProviderHandlers();
+        console.log(`🎧 Contract Event Listener initialized for ${this.networkName}`);
     }
 
-    setupEventListeners() {
-        // Listen for MemberRegistered events
-        this.contract.on('MemberRegistered', async (member, upline, planId, cycleNumber, event) => {
-            console.log('📝 MemberRegistered event:', {
-                member,
-                upline,
-                planId: planId.toString(),
-                cycleNumber: cycleNumber.toString()
-            });
-            
-            await this.triggerWebhook('/member-registered', {
-                memberAddress: member,
-                uplineAddress: upline,
-                planId: planId.toString(),
-                cycleNumber: cycleNumber.toString(),
-                transactionHash: event.transactionHash,
-                blockNumber: event.blockNumber
-            });
-        });
+    // Each handler resolves to true once its webhook has been acknowledged
+    setupEventHandlers() {
+        this.eventHandlers = {
+            MemberRegistered: async (event) => {
+                const [member, upline, planId, cycleNumber] = event.args;
+                console.log('📝 MemberRegistered event:', {
+                    member,
+                    upline,
+                    planId: planId.toString(),
+                    cycleNumber: cycleNumber.toString()
+                });
+                
+                return await this.triggerWebhook('/member-registered', {
+                    memberAddress: member,
+                    uplineAddress: upline,
+                    planId: planId.toString(),
+                    cycleNumber: cycleNumber.toString(),
+                    transactionHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                }, event);
+            },
 
-        // Listen for ReferralPaid events
-        this.contract.on('ReferralPaid', async (from, to, amount, event) => {
-            console.log('💰 ReferralPaid event:', {
-                from,
-                to,
-                amount: amount.toString()
-            });
-            
-            // Get member info to determine plan
-            try {
+            ReferralPaid: async (event) => {
+                const [from, to, amount] = event.args;
+                console.log('💰 ReferralPaid event:', {
+                    from,
+                    to,
+                    amount: amount.toString()
+                });
+                
+                // Get member info to determine plan
                 const memberInfo = await this.contract.members(from);
-                await this.triggerWebhook('/commission-paid', {
+                return await this.triggerWebhook('/commission-paid', {
                     recipientAddress: to,
                     fromAddress: from,
                     amount: amount.toString(),
                     planId: memberInfo.planId.toString(),
                     transactionHash: event.transactionHash,
+                    logIndex: event.index,
                     blockNumber: event.blockNumber
+                }, event);
+            },
+
+            PlanUpgraded: async (event) => {
+                const [member, oldPlanId, newPlanId, cycleNumber] = event.args;
+                console.log('⬆️ PlanUpgraded event:', {
+                    member,
+                    oldPlanId: oldPlanId.toString(),
+                    newPlanId: newPlanId.toString(),
+                    cycleNumber: cycleNumber.toString()
                 });
-            } catch (error) {
-                console.error('Error processing ReferralPaid event:', error);
-            }
-        });
+                
+                // The card shows the member's current plan and cycle
+                nftMetadataService.invalidateOwner(member, this.chainId);
+                
+                return await this.triggerWebhook('/plan-upgraded', {
+                    memberAddress: member,
+                    oldPlanId: oldPlanId.toString(),
+                    newPlanId: newPlanId.toString(),
+                    cycleNumber: cycleNumber.toString(),
+                    transactionHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                }, event);
+            },
 
-        // Listen for PlanUpgraded events
-        this.contract.on('PlanUpgraded', async (member, oldPlanId, newPlanId, cycleNumber, event) => {
-            console.log('⬆️ PlanUpgraded event:', {
-                member,
-                oldPlanId: oldPlanId.toString(),
-                newPlanId: newPlanId.toString(),
-                cycleNumber: cycleNumber.toString()
-            });
-            
-            await this.triggerWebhook('/plan-upgraded', {
-                memberAddress: member,
-                oldPlanId: oldPlanId.toString(),
-                newPlanId: newPlanId.toString(),
-                cycleNumber: cycleNumber.toString(),
-                transactionHash: event.transactionHash,
-                blockNumber: event.blockNumber
-            });
-        });
+            // Only refreshes the served metadata, so there is no webhook to acknowledge
+            MetadataUpdated: async (event) => {
+                const [tokenId, newURI] = event.args;
+                console.log('🖼️ MetadataUpdated event:', {
+                    tokenId: tokenId.toString(),
+                    newURI
+                });
+                
+                nftMetadataService.invalidate(tokenId, this.chainId);
+                return true;
+            },
 
-        // Listen for MemberExited events
-        this.contract.on('MemberExited', async (member, refundAmount, event) => {
-            console.log('👋 MemberExited event:', {
-                member,
-                refundAmount: refundAmount.toString()
-            });
-            
-            await this.triggerWebhook('/member-exited', {
-                memberAddress: member,
-                refundAmount: refundAmount.toString(),
-                transactionHash: event.transactionHash,
-                blockNumber: event.blockNumber
-            });
-        });
+            MemberExited: async (event) => {
+                const [member, refundAmount] = event.args;
+                console.log('👋 MemberExited event:', {
+                    member,
+                    refundAmount: refundAmount.toString()
+                });
+                
+                return await this.triggerWebhook('/member-exited', {
+                    memberAddress: member,
+                    refundAmount: refundAmount.toString(),
+                    transactionHash: event.transactionHash,
+                    logIndex: event.index,
+                    blockNumber: event.blockNumber
+                }, event);
+            },
 
-        // Listen for NewCycleStarted events
-        this.contract.on('NewCycleStarted', async (planId, cycleNumber, event) => {
-            console.log('🔄 NewCycleStarted event:', {
-                planId: planId.toString(),
-                cycleNumber: cycleNumber.toString()
-            });
-            
-            await this.triggerWebhook('/cycle-started', {
-                planId: planId.toString(),
-                cycleNumber: cycleNumber.toString(),
-                transactionHash: event.transactionHash,
-                blockNumber: event.blockNumber
-            });
-        });
+            NewCycleStarted: async (event) => {
+                const [planId, cycleNumber] = event.args;
+                console.log('🔄 NewCycleStarted event:', {
+                    planId: planId.toString(),
+                    cycleNumber: cycleNumber.toString()
+                });
+                
+                return await this.triggerWebhook('/cycle-started', {
+                    planId: planId.toString(),
+                    cycleNumber: cycleNumber.toString(),
+                    transactionHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                }, event);
+            },
 
-        // Listen for EmergencyWithdraw events (system alerts)
-        this.contract.on('EmergencyWithdraw', async (to, amount, event) => {
-            console.log('🚨 EmergencyWithdraw event:', {
-                to,
-                amount: amount.toString()
-            });
-            
-            await this.triggerWebhook('/system-alert', {
-                type: 'emergency_withdraw',
-                message: `Emergency withdrawal of ${ethers.utils.formatUnits(amount, 6)} USDT to ${to}`,
-                severity: 'critical',
-                transactionHash: event.transactionHash,
-                blockNumber: event.blockNumber
-            });
-        });
+            MembershipMinted: async (event) => {
+                const [to, tokenId] = event.args;
+                console.log('🎫 MembershipMinted event:', {
+                    to,
+                    tokenId: tokenId.toString()
+                });
+                
+                return await this.triggerWebhook('/membership-minted', {
+                    memberAddress: to,
+                    tokenId: tokenId.toString(),
+                    transactionHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                }, event);
+            },
 
+            UplineNotified: async (event) => {
+                const [upline, downline, downlineCurrentPlan, downlineTargetPlan] = event.args;
+                console.log('📣 UplineNotified event:', {
+                    upline,
+                    downline,
+                    downlineCurrentPlan: downlineCurrentPlan.toString(),
+                    downlineTargetPlan: downlineTargetPlan.toString()
+                });
+                
+                return await this.triggerWebhook('/upline-notified', {
+                    uplineAddress: upline,
+                    downlineAddress: downline,
+                    downlineCurrentPlan: downlineCurrentPlan.toString(),
+                    downlineTargetPlan: downlineTargetPlan.toString(),
+                    transactionHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                }, event);
+            },
+
+            // EmergencyWithdraw events are forwarded as system alerts
+            EmergencyWithdraw: async (event) => {
+                const [to, amount] = event.args;
+                console.log('🚨 EmergencyWithdraw event:', {
+                    to,
+                    amount: amount.toString()
+                });
+                
+                return await this.triggerWebhook('/system-alert', {
+                    type: 'emergency_withdraw',
+                    message: `Emergency withdrawal of ${ethers.formatUnits(amount, 6)} USDT to ${to}`,
+                    severity: 'critical',
+                    transactionHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                }, event);
+            },
+
+            EmergencyWithdrawRequested: async (event) => {
+                const [timestamp] = event.args;
+                console.log('🚨 EmergencyWithdrawRequested event:', {
+                    timestamp: timestamp.toString()
+                });
+                
+                return await this.triggerWebhook('/system-alert', {
+                    type: 'emergency_withdraw_requested',
+                    message: `Emergency withdrawal requested at ${new Date(Number(timestamp) * 1000).toISOString()}`,
+                    severity: 'critical',
+                    transactionHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                }, event);
+            },
+
+            ContractBalanceAlert: async (event) => {
+                const [expected, actual, difference] = event.args;
+                console.log('⚠️ ContractBalanceAlert event:', {
+                    expected: expected.toString(),
+                    actual: actual.toString(),
+                    difference: difference.toString()
+                });
+                
+                return await this.triggerWebhook('/system-alert', {
+                    type: 'contract_balance_alert',
+                    message: `Contract balance mismatch: expected ${ethers.formatUnits(expected, 6)} USDT, ` +
+                             `actual ${ethers.formatUnits(actual, 6)} USDT (difference ${ethers.formatUnits(difference, 6)} USDT)`,
+                    severity: 'high',
+                    transactionHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                }, event);
+            },
+
+            PlanPriceUpdated: async (event) => {
+                const [planId, oldPrice, newPrice] = event.args;
+                console.log('🏷️ PlanPriceUpdated event:', {
+                    planId: planId.toString(),
+                    oldPrice: oldPrice.toString(),
+                    newPrice: newPrice.toString()
+                });
+                
+                return await this.triggerWebhook('/system-alert', {
+                    type: 'plan_price_updated',
+                    message: `Plan ${planId} price changed from ${ethers.formatUnits(oldPrice, 6)} USDT to ${ethers.formatUnits(newPrice, 6)} USDT`,
+                    severity: 'info',
+                    transactionHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                }, event);
+            }
+        };
+    }
+
+    setupProviderHandlers() {
         // Handle connection errors
         this.provider.on('error', (error) => {
             console.error('❌ Provider error:', error);
@@ -134,48 +263,268 @@ class ContractEventListener {
         });
     }
 
-    async triggerWebhook(endpoint, data) {
+    // Start the ingestion loop, resuming from the stored checkpoint
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.poll();
+        webhookOutbox.start();
+        console.log(`▶️ Event ingestion loop started for ${this.networkName}`);
+    }
+
+    async loadCheckpoint() {
+        const checkpoint = await BlockCheckpoint.getCursor(this.chainId, this.contractAddress);
+        
+        if (checkpoint) {
+            console.log(`📍 Resuming from checkpoint at block ${checkpoint.lastProcessedBlock}`);
+            return checkpoint.lastProcessedBlock;
+        }
+        
+        // EVENT_LISTENER_FROM_BLOCK=latest behaves like an unset value
+        const fromBlock = parseInt(this.startBlock);
+        if (!isNaN(fromBlock)) {
+            console.log(`📍 No checkpoint found, starting from configured block ${fromBlock}`);
+            return fromBlock - 1;
+        }
+        
+        // Fresh install: start at the last final block and persist it right away,
+        // so a restart before the first event does not skip anything
+        const safeBlock = await this.provider.getBlockNumber() - this.confirmations;
+        await BlockCheckpoint.advance(this.chainId, this.contractAddress, safeBlock);
+        console.log(`📍 No checkpoint found, starting from block ${safeBlock}`);
+        return safeBlock;
+    }
+
+    async poll() {
+        if (!this.isRunning) return;
+        
         try {
-            const fetch = (await import('node-fetch')).default;
+            if (this.lastProcessedBlock === null) {
+                this.lastProcessedBlock = await this.loadCheckpoint();
+            }
+            
+            const latestBlock = await this.provider.getBlockNumber();
+            const safeBlock = latestBlock - this.confirmations;
             
-            const response = await fetch(`${this.webhookUrl}${endpoint}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.webhookSecret}`
-                },
-                body: JSON.stringify({
-                    ...data,
-                    timestamp: new Date().toISOString(),
-                    network: 'bsc-testnet'
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`Webhook failed: ${response.status} ${response.statusText}`);
+            // Deliver final blocks first, then stage whatever is still unconfirmed
+            const caughtUp = await this.syncToBlock(safeBlock);
+            if (caughtUp) {
+                await this.stagePendingEvents(safeBlock + 1, latestBlock);
             }
-
-            console.log(`✅ Webhook triggered: ${endpoint}`);
         } catch (error) {
-            console.error(`❌ Webhook error for ${endpoint}:`, error);
+            console.error('❌ Event polling error:', error);
+        } finally {
+            if (this.isRunning) {
+                this.pollTimer = setTimeout(() => this.poll(), this.pollInterval);
+            }
+        }
+    }
+
+    // Backfill from the cursor to targetBlock in batchSize chunks
+    async syncToBlock(targetBlock) {
+        let fromBlock = this.lastProcessedBlock + 1;
+        
+        while (this.isRunning && fromBlock <= targetBlock) {
+            const toBlock = Math.min(fromBlock + this.batchSize - 1, targetBlock);
+            const completed = await this.processRange(fromBlock, toBlock);
+            
+            if (!completed) {
+                // Retry from the cursor on the next poll
+                return false;
+            }
+            
+            fromBlock = toBlock + 1;
+        }
+        
+        return true;
+    }
+
+    async processRange(fromBlock, toBlock) {
+        if (toBlock > fromBlock) {
+            console.log(`🔍 Fetching events from block ${fromBlock} to ${toBlock}`);
+        }
+        
+        const events = await this.contract.queryFilter('*', fromBlock, toBlock);
+        
+        for (const [blockNumber, blockEvents] of this.groupEventsByBlock(events)) {
+            const acknowledged = await this.processBlock(blockEvents);
             
-            // Store failed webhook for retry
-            await this.storeFailedWebhook(endpoint, data, error.message);
+            if (!acknowledged) {
+                console.warn(`⏸️ Block ${blockNumber} not fully acknowledged, will retry`);
+                return false;
+            }
+            
+            await this.confirmEvents(blockEvents);
+            await this.saveCheckpoint(blockNumber, blockEvents.length);
+        }
+        
+        // Staged events the final chain does not contain never made it
+        await this.retractOrphanedEvents(fromBlock, toBlock, events);
+        
+        // Blocks without events are done as well
+        await this.saveCheckpoint(toBlock);
+        return true;
+    }
+
+    // Record events that are not yet final, so reorgs can be detected and undone
+    async stagePendingEvents(fromBlock, toBlock) {
+        if (fromBlock > toBlock) return;
+        
+        const events = await this.contract.queryFilter('*', fromBlock, toBlock);
+        
+        for (const event of events) {
+            if (this.isTrackedEvent(event)) {
+                await ContractEvent.stage(this.serializeEvent(event));
+            }
+        }
+        
+        await this.retractOrphanedEvents(fromBlock, toBlock, events);
+    }
+
+    async confirmEvents(blockEvents) {
+        for (const event of blockEvents) {
+            if (this.isTrackedEvent(event)) {
+                await ContractEvent.confirm(this.serializeEvent(event));
+            }
         }
     }
 
-    async storeFailedWebhook(endpoint, data, error) {
-        // Store in database or file for retry mechanism
-        const failedWebhook = {
-            endpoint,
-            data,
-            error,
-            timestamp: new Date().toISOString(),
-            retryCount: 0
+    async retractOrphanedEvents(fromBlock, toBlock, canonicalEvents) {
+        const canonical = new Set(
+            canonicalEvents.map(event => `${event.transactionHash}:${event.index}`)
+        );
+        
+        const staged = await ContractEvent.findPendingInRange(
+            this.chainId,
+            this.contractAddress,
+            fromBlock,
+            toBlock
+        );
+        
+        for (const contractEvent of staged) {
+            if (!canonical.has(`${contractEvent.transactionHash}:${contractEvent.logIndex}`)) {
+                await this.retractEvent(contractEvent);
+            }
+        }
+    }
+
+    async retractEvent(contractEvent) {
+        console.warn(`♻️ ${contractEvent.eventName} in block ${contractEvent.blockNumber} was reorged out: ${contractEvent.transactionHash}`);
+        
+        // The transaction may have been mined again in another block,
+        // in which case its new logs are staged and nothing is rolled back
+        const receipt = await this.provider.getTransactionReceipt(contractEvent.transactionHash);
+        if (!receipt) {
+            await dbService.rollbackContractEvent(contractEvent);
+        }
+        
+        await contractEvent.retract();
+        contractCache.invalidateForEvent(this.chainId, contractEvent.eventName, contractEvent.args);
+    }
+
+    groupEventsByBlock(events) {
+        const blocks = new Map();
+        
+        const sorted = [...events].sort((a, b) => 
+            a.blockNumber - b.blockNumber || a.index - b.index
+        );
+        
+        for (const event of sorted) {
+            if (!blocks.has(event.blockNumber)) {
+                blocks.set(event.blockNumber, []);
+            }
+            blocks.get(event.blockNumber).push(event);
+        }
+        
+        return blocks;
+    }
+
+    // Stops at the first unacknowledged event so the block is replayed as a whole
+    async processBlock(blockEvents) {
+        for (const event of blockEvents) {
+            const acknowledged = await this.processEvent(event);
+            if (!acknowledged) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    getEventName(event) {
+        return event.eventName || event.fragment?.name;
+    }
+
+    isTrackedEvent(event) {
+        return !!this.eventHandlers[this.getEventName(event)];
+    }
+
+    serializeEvent(event) {
+        const args = {};
+        event.fragment.inputs.forEach((input, index) => {
+            const value = event.args[index];
+            args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+        });
+        
+        return {
+            chainId: this.chainId,
+            contractAddress: this.contractAddress.toLowerCase(),
+            eventName: this.getEventName(event),
+            args,
+            transactionHash: event.transactionHash,
+            logIndex: event.index,
+            blockNumber: event.blockNumber,
+            blockHash: event.blockHash
         };
+    }
+
+    async processEvent(event) {
+        const eventName = this.getEventName(event);
+        const handler = this.eventHandlers[eventName];
         
-        // Could implement MongoDB storage here
-        console.log('📝 Storing failed webhook for retry:', failedWebhook);
+        // Cached reads this event changed, before any handler re-reads them
+        contractCache.invalidateForEvent(this.chainId, eventName, event.args);
+        
+        // Events we do not forward count as processed
+        if (!handler) {
+            return true;
+        }
+        
+        try {
+            return await handler(event);
+        } catch (error) {
+            console.error(`Error processing ${eventName} event:`, error);
+            return false;
+        }
+    }
+
+    async saveCheckpoint(blockNumber, eventCount = 0) {
+        if (this.lastProcessedBlock !== null && blockNumber <= this.lastProcessedBlock) {
+            return;
+        }
+        
+        await BlockCheckpoint.advance(this.chainId, this.contractAddress, blockNumber, eventCount);
+        this.lastProcessedBlock = blockNumber;
+    }
+
+    // A webhook counts as acknowledged once it is durably queued in the outbox;
+    // delivery and retries are handled by the outbox worker
+    async triggerWebhook(endpoint, data, event = null) {
+        try {
+            const eventKey = event
+                ? `${this.chainId}:${event.transactionHash}:${event.index}`
+                : null;
+            
+            // Receivers scope their database writes to the network the event came from
+            const delivery = await webhookOutbox.enqueue(endpoint, { ...data, chainId: this.chainId }, eventKey);
+            
+            // First attempt right away, without holding up ingestion
+            webhookOutbox.deliverNow(delivery._id);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to queue webhook for ${endpoint}:`, error);
+            return false;
+        }
     }
 
     handleConnectionError(error) {
@@ -188,76 +537,60 @@ class ContractEventListener {
     }
 
     reconnect() {
-        try {
-            this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-            this.contract = new ethers.Contract(
-                process.env.CONTRACT_ADDRESS,
-                contractABI,
-                this.provider
-            );
-            
-            this.setupEventListeners();
-            console.log('🔌 Reconnected to contract events');
-        } catch (error) {
-            console.error('❌ Reconnection failed:', error);
-            setTimeout(() => this.reconnect(), 10000);
-        }
+        // Failover between endpoints happens inside the provider; give cooled-down endpoints another chance
+        this.provider.resetHealth();
+        
+        // The polling loop resumes from lastProcessedBlock on its own
+        console.log(`🔌 Retrying RPC endpoints, active: ${this.provider.activeEndpoint.label}`);
     }
 
-    // Manual event fetching for missed events
-    async fetchMissedEvents(fromBlock = 'latest', toBlock = 'latest') {
+    // Manual replay of a block range; does not move the checkpoint
+    async fetchMissedEvents(fromBlock, toBlock = 'latest') {
         try {
-            console.log(`🔍 Fetching missed events from block ${fromBlock} to ${toBlock}`);
+            if (toBlock === 'latest') {
+                toBlock = await this.provider.getBlockNumber();
+            }
             
-            const events = await this.contract.queryFilter('*', fromBlock, toBlock);
+            console.log(`🔍 Fetching missed events from block ${fromBlock} to ${toBlock}`);
             
-            for (const event of events) {
-                await this.processEvent(event);
+            let processed = 0;
+            for (let start = fromBlock; start <= toBlock; start += this.batchSize) {
+                const end = Math.min(start + this.batchSize - 1, toBlock);
+                const events = await this.contract.queryFilter('*', start, end);
+                
+                for (const event of events) {
+                    await this.processEvent(event);
+                }
+                processed += events.length;
             }
             
-            console.log(`✅ Processed ${events.length} missed events`);
+            console.log(`✅ Processed ${processed} missed events`);
         } catch (error) {
             console.error('❌ Error fetching missed events:', error);
         }
     }
 
-    async processEvent(event) {
-        // Process individual events manually
-        switch (event.event) {
-            case 'MemberRegistered':
-                await this.triggerWebhook('/member-registered', {
-                    memberAddress: event.args[0],
-                    uplineAddress: event.args[1],
-                    planId: event.args[2].toString(),
-                    cycleNumber: event.args[3].toString(),
-                    transactionHash: event.transactionHash,
-                    blockNumber: event.blockNumber
-                });
-                break;
-            
-            case 'ReferralPaid':
-                try {
-                    const memberInfo = await this.contract.members(event.args[0]);
-                    await this.triggerWebhook('/commission-paid', {
-                        recipientAddress: event.args[1],
-                        fromAddress: event.args[0],
-                        amount: event.args[2].toString(),
-                        planId: memberInfo.planId.toString(),
-                        transactionHash: event.transactionHash,
-                        blockNumber: event.blockNumber
-                    });
-                } catch (error) {
-                    console.error('Error processing ReferralPaid event:', error);
-                }
-                break;
-            
-            // Add other event types as needed
-        }
+    getStatus() {
+        return {
+            running: this.isRunning,
+            chainId: this.chainId,
+            network: this.networkName,
+            contractAddress: this.contractAddress,
+            confirmations: this.confirmations,
+            lastProcessedBlock: this.lastProcessedBlock,
+            rpcEndpoint: this.provider.activeEndpoint.label
+        };
     }
 
     // Graceful shutdown
     stop() {
         try {
+            this.isRunning = false;
+            if (this.pollTimer) {
+                clearTimeout(this.pollTimer);
+                this.pollTimer = null;
+            }
+            webhookOutbox.stop();
             this.contract.removeAllListeners();
             console.log('🛑 Event listener stopped');
         } catch (error) {
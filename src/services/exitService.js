@@ -0,0 +1,104 @@
+// src/services/exitService.js - Exit preview (refund, 30-day lock), verified exits and exit notifications
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const transactionVerifier = require('./transactionVerifier');
+const telegramBotService = require('./telegramBotService');
+const web3Config = require('../config/web3');
+const ContractService = require('./contractService');
+const { createError } = require('../utils/helpers');
+
+// exitMembership refunds this share of the current plan's price from the fund balance
+const REFUND_PERCENT = 30;
+
+// exitMembership reverts with ThirtyDayLock until this long after registration
+const EXIT_LOCK_SECONDS = 30 * 24 * 60 * 60;
+
+class ExitService {
+    // What leaving now would pay out, and whether the contract still refuses it
+    async getPreview(walletAddress, chainId = web3Config.chainId) {
+        if (!walletAddress || !ethers.isAddress(walletAddress)) {
+            throw createError('Invalid wallet address');
+        }
+
+        const contractService = ContractService.forNetwork(chainId);
+        const member = await contractService.getMemberInfo(walletAddress);
+        if (!member) {
+            throw createError('Wallet is not a member', 404);
+        }
+
+        const planId = Number(member.planId);
+        const [plan, stats] = await Promise.all([
+            contractService.getPlanInfo(planId),
+            contractService.getSystemStats()
+        ]);
+
+        const refundAmount = BigInt(plan.price) * BigInt(REFUND_PERCENT) / 100n;
+        const lockedUntil = new Date(member.registeredAt.getTime() + EXIT_LOCK_SECONDS * 1000);
+        const secondsToWait = Math.max(0, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+        const fundSufficient = BigInt(stats.fundFunds) >= refundAmount;
+
+        return {
+            chainId: contractService.chainId,
+            walletAddress: ethers.getAddress(walletAddress),
+            plan: {
+                id: planId,
+                name: plan.name,
+                price: plan.price,
+                priceUSDT: ethers.formatUnits(plan.price, 6)
+            },
+            refundPercent: REFUND_PERCENT,
+            refundAmount: refundAmount.toString(),
+            refundUSDT: ethers.formatUnits(refundAmount, 6),
+            registeredAt: member.registeredAt.toISOString(),
+            isLocked: secondsToWait > 0,
+            lockedUntil: lockedUntil.toISOString(),
+            secondsToWait,
+            fundSufficient,
+            canExit: secondsToWait === 0 && fundSufficient,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    // The wallet returned the exitMembership hash; the membership is deactivated in the background once
+    // MemberExited is confirmed. Resolves to { status: 'pending' } or { status: 'confirmed', membership, refundAmount }.
+    async recordExit(user, transactionHash, chainId = web3Config.chainId) {
+        return await transactionVerifier.submit('exit', user, transactionHash, chainId, this.onExitVerified(user));
+    }
+
+    // A poll may resume the check in another process, so it brings the same follow-up
+    async getExitStatus(user, transactionHash, chainId = web3Config.chainId) {
+        return await transactionVerifier.getStatus('exit', user, transactionHash, chainId, this.onExitVerified(user));
+    }
+
+    onExitVerified(user) {
+        return async ({ membership, refundAmount }) => {
+            membership.user = user;
+            await this.notifyExited(membership, refundAmount);
+        };
+    }
+
+    // Tell the member their refund was sent and their upline that a referral left.
+    // Called once per exit, by whichever of the API and the member-exited webhook recorded it first.
+    async notifyExited(membership, refundAmount) {
+        const refundUSDT = ethers.formatUnits(refundAmount || '0', 6);
+
+        if (membership.user?.telegramId) {
+            await telegramBotService.notifyMemberExited(membership.user.telegramId, refundUSDT, membership.planName);
+        }
+
+        if (!membership.uplineAddress) {
+            return;
+        }
+
+        const upline = await User.findOne({ walletAddress: membership.uplineAddress });
+        if (upline?.telegramId) {
+            await telegramBotService.notifyDownlineExited(
+                upline.telegramId,
+                membership.user?.firstName || `${membership.walletAddress.substring(0, 6)}...${membership.walletAddress.substring(38)}`,
+                membership.planName
+            );
+        }
+    }
+}
+
+module.exports = new ExitService();
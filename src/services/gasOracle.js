@@ -0,0 +1,227 @@
+// src/services/gasOracle.js - Live gas prices, per-user gas estimates and USD fee quotes
+const { ethers } = require('ethers');
+const web3Config = require('../config/web3');
+const ContractService = require('./contractService');
+const { createError } = require('../utils/helpers');
+
+// Operations the plan purchase flow may send, in the order they are signed
+const OPERATIONS = ['approve', 'registerMember', 'upgradePlan', 'exitMembership'];
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+class GasOracle {
+    constructor() {
+        this.config = web3Config.getGasConfig();
+        this.gasPrices = new Map();  // chainId -> { value, expiresAt }
+        this.bnbPrices = new Map();  // chainId -> { value, expiresAt }
+    }
+
+    // slow / standard / fast gas prices (wei) sampled from recent blocks
+    async getGasPrices(chainId = web3Config.chainId) {
+        const cached = this.gasPrices.get(chainId);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.value;
+        }
+
+        const { provider } = web3Config.getNetwork(chainId);
+        const { blocks, percentiles, cacheTTL } = this.config.oracle;
+        const tiers = Object.keys(percentiles);
+
+        let prices;
+        let source = 'feeHistory';
+        try {
+            prices = await this.sampleFeeHistory(provider, blocks, tiers.map(tier => percentiles[tier]));
+        } catch (error) {
+            console.warn(`⚠️ Fee history unavailable on chain ${chainId}, using eth_gasPrice:`, error.message);
+            prices = null;
+        }
+
+        if (!prices) {
+            // Node without eth_feeHistory or only empty blocks in the window
+            const { gasPrice } = await provider.getFeeData();
+            prices = tiers.map(() => gasPrice);
+            source = 'gasPrice';
+        }
+
+        const floor = this.config.minGasPrice[chainId] ?? 0n;
+        const multiplier = BigInt(Math.round((this.config.multipliers[chainId] || 1) * 100));
+
+        const value = { source };
+        tiers.forEach((tier, index) => {
+            const price = prices[index] * multiplier / 100n;
+            value[tier] = price > floor ? price : floor;
+        });
+
+        this.gasPrices.set(chainId, { value, expiresAt: Date.now() + cacheTTL });
+        return value;
+    }
+
+    // Median across blocks of base fee + priority fee at each percentile; empty blocks are ignored
+    async sampleFeeHistory(provider, blocks, percentiles) {
+        const history = await provider.send('eth_feeHistory', [ethers.toQuantity(blocks), 'latest', percentiles]);
+
+        const samples = percentiles.map(() => []);
+        (history.reward || []).forEach((rewards, index) => {
+            if (!history.gasUsedRatio[index]) return;
+
+            const baseFee = BigInt(history.baseFeePerGas[index] || 0);
+            rewards.forEach((reward, percentile) => samples[percentile].push(baseFee + BigInt(reward)));
+        });
+
+        if (samples[0].length === 0) {
+            return null;
+        }
+        return samples.map(median);
+    }
+
+    // BNB/USD from the contract's price feed, cached briefly
+    async getBNBPrice(chainId = web3Config.chainId) {
+        const cached = this.bnbPrices.get(chainId);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.value;
+        }
+
+        const data = await web3Config.getPriceFeedData(chainId);
+        const value = {
+            ...data,
+            stale: Date.now() - data.updatedAt.getTime() > this.config.oracle.maxPriceAge * 1000
+        };
+
+        if (value.stale) {
+            console.warn(`⚠️ BNB/USD price feed on chain ${chainId} last updated ${data.updatedAt.toISOString()}`);
+        }
+
+        this.bnbPrices.set(chainId, { value, expiresAt: Date.now() + this.config.oracle.priceCacheTTL });
+        return value;
+    }
+
+    // Estimate each operation from the user's wallet; calls that would revert fall back to configured limits
+    async estimateOperations(chainId, { walletAddress, planId, upline, language }) {
+        const network = web3Config.getNetwork(chainId);
+        const membership = ContractService.forNetwork(chainId).contract;
+        const usdt = web3Config.getUSDTContract(null, chainId);
+
+        const [member, newPlan] = await Promise.all([
+            walletAddress ? membership.members(walletAddress) : null,
+            membership.getPlanInfo(planId)
+        ]);
+        const isMember = !!member && member.planId > 0n;
+
+        // Upgrades only charge the difference to the current plan
+        let amount = newPlan.price;
+        if (isMember) {
+            const currentPlan = await membership.getPlanInfo(member.planId);
+            amount = newPlan.price - currentPlan.price;
+        }
+
+        const allowance = walletAddress ? await usdt.allowance(walletAddress, network.contractAddress) : 0n;
+        const from = walletAddress ? { from: walletAddress } : {};
+
+        const calls = {
+            approve: () => usdt.approve.estimateGas(network.contractAddress, amount, from),
+            registerMember: () => membership.registerMember.estimateGas(planId, upline, from),
+            upgradePlan: () => membership.upgradePlan.estimateGas(planId, from),
+            exitMembership: () => membership.exitMembership.estimateGas(from)
+        };
+
+        const estimates = {};
+        await Promise.all(OPERATIONS.map(async operation => {
+            if (!walletAddress) {
+                estimates[operation] = { gasLimit: BigInt(this.config.limits[operation]), estimated: false };
+                return;
+            }
+
+            try {
+                estimates[operation] = { gasLimit: await calls[operation](), estimated: true };
+            } catch (error) {
+                estimates[operation] = {
+                    gasLimit: BigInt(this.config.limits[operation]),
+                    estimated: false,
+                    reason: web3Config.parseContractError(error, language)
+                };
+            }
+        }));
+
+        const purchase = [
+            ...(allowance < amount ? ['approve'] : []),
+            isMember ? 'upgradePlan' : 'registerMember'
+        ];
+
+        return { estimates, purchase, isMember, amount };
+    }
+
+    // Fee quote for the plan purchase screen
+    async getQuote({ chainId = web3Config.chainId, walletAddress, planId, upline, language }) {
+        planId = parseInt(planId);
+        if (isNaN(planId) || planId < 1 || planId > 16) {
+            throw createError('Plan ID must be between 1 and 16');
+        }
+
+        if (walletAddress && !ethers.isAddress(walletAddress)) {
+            throw createError('Invalid wallet address');
+        }
+
+        if (upline && !ethers.isAddress(upline)) {
+            throw createError('Invalid upline address');
+        }
+
+        upline = upline || await ContractService.forNetwork(chainId).getOwner();
+
+        const [gasPrices, bnbPrice, operations] = await Promise.all([
+            this.getGasPrices(chainId),
+            this.getBNBPrice(chainId).catch(error => {
+                // Fees are still useful in BNB when the price feed is down
+                console.error(`❌ BNB/USD price feed error on chain ${chainId}:`, error.message);
+                return null;
+            }),
+            this.estimateOperations(chainId, { walletAddress, planId, upline, language })
+        ]);
+
+        const tiers = Object.keys(this.config.oracle.percentiles);
+        const priceCost = (gasLimit) => Object.fromEntries(tiers.map(tier => {
+            const wei = gasLimit * gasPrices[tier];
+            const bnb = ethers.formatEther(wei);
+            return [tier, {
+                bnb,
+                usd: bnbPrice ? Number((Number(bnb) * bnbPrice.price).toFixed(4)) : null
+            }];
+        }));
+
+        const formatOperation = ({ gasLimit, estimated, reason }) => ({
+            gasLimit: gasLimit.toString(),
+            estimated,
+            ...(reason && { reason }),
+            cost: priceCost(gasLimit)
+        });
+
+        const purchaseGas = operations.purchase.reduce((total, operation) => total + operations.estimates[operation].gasLimit, 0n);
+
+        return {
+            chainId,
+            walletAddress: walletAddress || null,
+            planId,
+            gasPrices: Object.fromEntries(tiers.map(tier => [tier, ethers.formatUnits(gasPrices[tier], 'gwei')])),
+            gasPriceSource: gasPrices.source,
+            bnbPrice: bnbPrice && {
+                usd: bnbPrice.price,
+                updatedAt: bnbPrice.updatedAt,
+                stale: bnbPrice.stale,
+                feed: bnbPrice.feedAddress
+            },
+            operations: Object.fromEntries(
+                OPERATIONS.map(operation => [operation, formatOperation(operations.estimates[operation])])
+            ),
+            purchase: {
+                steps: operations.purchase,
+                gasLimit: purchaseGas.toString(),
+                cost: priceCost(purchaseGas)
+            },
+            updatedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = new GasOracle();
@@ -0,0 +1,273 @@
+// src/services/ledgerService.js - Earnings ledger: commissions and refunds with running balances, filters and CSV export
+const { ethers } = require('ethers');
+const LedgerEntry = require('../models/LedgerEntry');
+const Membership = require('../models/Membership');
+const User = require('../models/User');
+const web3Config = require('../config/web3');
+const ContractService = require('./contractService');
+const { createError } = require('../utils/helpers');
+
+const LEDGER_TYPES = ['commission', 'refund'];
+const PAGE_SIZE = 20;
+
+// Concurrent appends for one wallet race for the next sequence number; the loser rebuilds on the winner
+const MAX_APPEND_ATTEMPTS = 5;
+
+const CSV_COLUMNS = ['date', 'type', 'amount_usdt', 'balance_usdt', 'plan_id', 'plan_name', 'source_address', 'transaction_hash', 'block_number', 'chain_id'];
+
+// Quote for CSV, and keep spreadsheet apps from evaluating text as a formula
+function csvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class LedgerService {
+    // ReferralPaid: credit the upline that received the commission
+    async recordCommission({ recipientAddress, fromAddress, amount, planId, transactionHash, logIndex, blockNumber, chainId }) {
+        const contractService = ContractService.forNetwork(chainId);
+        const plan = planId ? await contractService.getPlanInfo(planId).catch(() => null) : null;
+
+        return await this.append({
+            chainId: contractService.chainId,
+            walletAddress: recipientAddress,
+            type: 'commission',
+            amount,
+            sourceAddress: fromAddress,
+            planId: planId ? parseInt(planId) : undefined,
+            planName: plan?.name,
+            transactionHash,
+            logIndex,
+            blockNumber
+        });
+    }
+
+    // MemberExited: credit the refund to the member who left; the plan is the one recorded at exit
+    async recordRefund({ memberAddress, refundAmount, transactionHash, logIndex, blockNumber, chainId }) {
+        const contractService = ContractService.forNetwork(chainId);
+        const membership = await Membership.findOne({
+            exitTransactionHash: transactionHash,
+            walletAddress: memberAddress.toLowerCase()
+        });
+
+        return await this.append({
+            chainId: contractService.chainId,
+            walletAddress: memberAddress,
+            type: 'refund',
+            amount: refundAmount,
+            sourceAddress: memberAddress,
+            planId: membership?.planId,
+            planName: membership?.planName,
+            transactionHash,
+            logIndex,
+            blockNumber
+        });
+    }
+
+    // Resolves to { entry, created }; an event that is already in the ledger is returned as is
+    async append(fields) {
+        const chainId = parseInt(fields.chainId);
+        const walletAddress = fields.walletAddress.toLowerCase();
+        const identity = {
+            chainId,
+            transactionHash: fields.transactionHash,
+            logIndex: fields.logIndex ?? null,
+            walletAddress,
+            type: fields.type
+        };
+
+        const recorded = await LedgerEntry.findOne(identity);
+        if (recorded) {
+            return { entry: recorded, created: false };
+        }
+
+        const [user, occurredAt] = await Promise.all([
+            User.findOne({ walletAddress }).select('_id'),
+            fields.occurredAt || this.getBlockTime(chainId, fields.blockNumber)
+        ]);
+
+        for (let attempt = 1; ; attempt++) {
+            const last = await LedgerEntry.lastEntry(chainId, walletAddress);
+
+            try {
+                const entry = await LedgerEntry.create({
+                    ...fields,
+                    ...identity,
+                    user: user?._id,
+                    sequence: (last?.sequence || 0) + 1,
+                    balance: (BigInt(last?.balance || '0') + BigInt(fields.amount)).toString(),
+                    occurredAt
+                });
+
+                return { entry, created: true };
+            } catch (error) {
+                if (error.code !== 11000) {
+                    throw error;
+                }
+
+                // A retry of the same webhook got there first
+                const duplicate = await LedgerEntry.findOne(identity);
+                if (duplicate) {
+                    return { entry: duplicate, created: false };
+                }
+
+                if (attempt >= MAX_APPEND_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    // Entries are dated by their block; the webhook arrival time is only a fallback
+    async getBlockTime(chainId, blockNumber) {
+        if (!blockNumber) {
+            return new Date();
+        }
+
+        try {
+            const block = await ContractService.forNetwork(chainId).provider.getBlock(blockNumber);
+            return block ? new Date(block.timestamp * 1000) : new Date();
+        } catch (error) {
+            console.warn(`⚠️ Could not read block ${blockNumber} time on chain ${chainId}: ${error.message}`);
+            return new Date();
+        }
+    }
+
+    // Query filter from the page's type, plan and date (YYYY-MM-DD, inclusive) filters
+    buildFilter(walletAddress, chainId, { type, planId, from, to } = {}) {
+        if (!walletAddress || !ethers.isAddress(walletAddress)) {
+            throw createError('Invalid wallet address');
+        }
+
+        const filter = {
+            chainId: parseInt(chainId),
+            walletAddress: walletAddress.toLowerCase()
+        };
+
+        if (type) {
+            if (!LEDGER_TYPES.includes(type)) {
+                throw createError('Invalid entry type');
+            }
+            filter.type = type;
+        }
+
+        if (planId) {
+            const id = Number(planId);
+            if (!Number.isInteger(id) || id < 1 || id > 16) {
+                throw createError('Invalid plan ID');
+            }
+            filter.planId = id;
+        }
+
+        const range = {};
+        if (from) {
+            range.$gte = this.parseDate(from);
+        }
+        if (to) {
+            range.$lt = new Date(this.parseDate(to).getTime() + 24 * 60 * 60 * 1000);
+        }
+        if (Object.keys(range).length > 0) {
+            filter.occurredAt = range;
+        }
+
+        return filter;
+    }
+
+    parseDate(value) {
+        const date = new Date(`${value}T00:00:00Z`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || isNaN(date.getTime())) {
+            throw createError('Dates must be YYYY-MM-DD');
+        }
+        return date;
+    }
+
+    // One page of entries, newest first
+    async getEntries(walletAddress, chainId = web3Config.chainId, filters = {}, page = 1) {
+        const filter = this.buildFilter(walletAddress, chainId, filters);
+        const total = await LedgerEntry.countDocuments(filter);
+        const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+        const current = Math.min(Math.max(1, parseInt(page) || 1), pages);
+
+        const entries = await LedgerEntry.find(filter)
+            .sort({ sequence: -1 })
+            .skip((current - 1) * PAGE_SIZE)
+            .limit(PAGE_SIZE)
+            .lean();
+
+        return {
+            entries: entries.map(entry => this.formatEntry(entry)),
+            page: current,
+            pages,
+            total,
+            pageSize: PAGE_SIZE
+        };
+    }
+
+    // Current balance and totals per type; amounts are added as BigInt, never as numbers or strings
+    async getSummary(walletAddress, chainId = web3Config.chainId) {
+        const filter = this.buildFilter(walletAddress, chainId);
+        const entries = await LedgerEntry.find(filter).select('type amount').lean();
+        const last = await LedgerEntry.lastEntry(filter.chainId, filter.walletAddress);
+
+        const totals = Object.fromEntries(LEDGER_TYPES.map(type => [type, 0n]));
+        entries.forEach(entry => { totals[entry.type] += BigInt(entry.amount); });
+
+        return {
+            balance: last?.balance || '0',
+            balanceUSDT: ethers.formatUnits(last?.balance || '0', 6),
+            commissionsUSDT: ethers.formatUnits(totals.commission, 6),
+            refundsUSDT: ethers.formatUnits(totals.refund, 6),
+            entryCount: entries.length
+        };
+    }
+
+    // Every entry matching the filters, oldest first, so the balance column reads top to bottom
+    async exportCsv(walletAddress, chainId = web3Config.chainId, filters = {}) {
+        const filter = this.buildFilter(walletAddress, chainId, filters);
+        const entries = await LedgerEntry.find(filter).sort({ sequence: 1 }).lean();
+
+        const rows = entries.map(entry => {
+            const formatted = this.formatEntry(entry);
+            return [
+                formatted.occurredAt,
+                formatted.type,
+                formatted.amountUSDT,
+                formatted.balanceUSDT,
+                formatted.planId,
+                formatted.planName,
+                formatted.sourceAddress,
+                formatted.transactionHash,
+                formatted.blockNumber,
+                formatted.chainId
+            ].map(csvField).join(',');
+        });
+
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+
+    formatEntry(entry) {
+        const { blockExplorer } = web3Config.getClientNetwork(entry.chainId);
+
+        return {
+            id: entry._id.toString(),
+            sequence: entry.sequence,
+            type: entry.type,
+            amount: entry.amount,
+            amountUSDT: ethers.formatUnits(entry.amount, 6),
+            balance: entry.balance,
+            balanceUSDT: ethers.formatUnits(entry.balance, 6),
+            sourceAddress: entry.sourceAddress || null,
+            planId: entry.planId || null,
+            planName: entry.planName || null,
+            transactionHash: entry.transactionHash,
+            transactionUrl: blockExplorer ? `${blockExplorer}/tx/${entry.transactionHash}` : null,
+            blockNumber: entry.blockNumber || null,
+            chainId: entry.chainId,
+            occurredAt: new Date(entry.occurredAt).toISOString()
+        };
+    }
+}
+
+module.exports = new LedgerService();
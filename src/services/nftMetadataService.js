@@ -0,0 +1,268 @@
+// src/services/nftMetadataService.js - ERC-721 metadata and dynamic SVG cards for membership NFTs
+const { ethers } = require('ethers');
+const Membership = require('../models/Membership');
+const web3Config = require('../config/web3');
+const { decodeContractError } = require('../utils/contractErrors');
+const ContractService = require('./contractService');
+const { createError } = require('../utils/helpers');
+
+// Reverts meaning the token was never minted (or was burned on exit)
+const MISSING_TOKEN_ERRORS = ['ERC721NonexistentToken', 'NonexistentToken'];
+
+// Marketplaces fetch without a session, so non-default networks are named in the URL
+function chainQuery(chainId) {
+    return chainId === web3Config.chainId ? '' : `?chainId=${chainId}`;
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&'"]/g, char => ({
+        '<': '&lt;',
+        '>': '&gt;',
+        '&': '&amp;',
+        '\'': '&apos;',
+        '"': '&quot;'
+    })[char]);
+}
+
+class NFTMetadataService {
+    constructor() {
+        this.appUrl = process.env.APP_URL || 'https://localhost:3000';
+
+        // Cards only change on MetadataUpdated/PlanUpgraded; the TTL is a safety net for missed events
+        this.cacheTTL = parseInt(process.env.NFT_CACHE_TTL) || 60 * 60 * 1000; // 1 hour
+        this.maxEntries = parseInt(process.env.NFT_CACHE_MAX_ENTRIES) || 1000;
+
+        this.cache = new Map();    // `${chainId}:${tokenId}` -> { token, metadata, svg, expiresAt }
+        this.loading = new Map();  // same key -> in-flight load, so concurrent requests share one set of RPC calls
+        this.mintTransactions = new Map();  // same key -> { transactionHash, blockNumber }; never changes once found
+    }
+
+    async getMetadata(tokenId, chainId = web3Config.chainId) {
+        return (await this.getEntry(tokenId, chainId)).metadata;
+    }
+
+    async getImage(tokenId, chainId = web3Config.chainId) {
+        return (await this.getEntry(tokenId, chainId)).svg;
+    }
+
+    // Gallery: every token the wallet holds with its card, plan, cycle and mint transaction
+    async getWalletTokens(walletAddress, chainId = web3Config.chainId) {
+        if (!walletAddress || !ethers.isAddress(walletAddress)) {
+            throw createError('Invalid wallet address');
+        }
+
+        const contractService = ContractService.forNetwork(chainId);
+        const tokenIds = await contractService.getOwnedTokenIds(walletAddress);
+        const { blockExplorer } = web3Config.getClientNetwork(contractService.chainId);
+
+        return await Promise.all(tokenIds.map(async tokenId => {
+            const [{ token, metadata }, mint] = await Promise.all([
+                this.getEntry(tokenId, contractService.chainId),
+                this.getMintTransaction(contractService, tokenId)
+            ]);
+
+            return {
+                tokenId,
+                name: metadata.name,
+                image: metadata.image,
+                metadataUrl: `${this.appUrl}/nft/metadata/${tokenId}${chainQuery(token.chainId)}`,
+                planId: token.planId,
+                planName: token.planName,
+                cycleNumber: token.cycleNumber,
+                mintedAt: token.mintedAt.toISOString(),
+                mintTransaction: mint && {
+                    ...mint,
+                    url: blockExplorer ? `${blockExplorer}/tx/${mint.transactionHash}` : null
+                }
+            };
+        }));
+    }
+
+    // A missing mint transaction (RPC log limits) leaves the rest of the gallery intact
+    async getMintTransaction(contractService, tokenId) {
+        const key = `${contractService.chainId}:${tokenId}`;
+        if (this.mintTransactions.has(key)) {
+            return this.mintTransactions.get(key);
+        }
+
+        try {
+            // Recorded by the MembershipMinted webhook; the log scan only covers tokens minted before that
+            const membership = await Membership.findOne({
+                tokenId: Number(tokenId),
+                mintTransactionHash: { $ne: null },
+                ...Membership.chainFilter(contractService.chainId)
+            }).select('mintTransactionHash mintBlockNumber').lean();
+
+            let mint = membership && {
+                transactionHash: membership.mintTransactionHash,
+                blockNumber: membership.mintBlockNumber
+            };
+
+            if (!mint) {
+                const { deploymentBlock } = web3Config.getNetwork(contractService.chainId);
+                if (!deploymentBlock) {
+                    console.warn(`⚠️ Set CONTRACT_DEPLOYMENT_BLOCK for chain ${contractService.chainId} to look up the mint transaction of NFT #${tokenId}`);
+                    return null;
+                }
+                mint = await contractService.getMintTransaction(tokenId, deploymentBlock);
+            }
+
+            if (mint) {
+                this.mintTransactions.set(key, mint);
+            }
+            return mint;
+        } catch (error) {
+            console.warn(`⚠️ Mint transaction lookup failed for NFT #${tokenId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async getEntry(tokenId, chainId) {
+        if (!/^\d{1,78}$/.test(String(tokenId))) {
+            throw createError('Invalid token ID');
+        }
+
+        const contractService = ContractService.forNetwork(chainId);
+        const key = `${contractService.chainId}:${BigInt(tokenId)}`;
+
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached;
+        }
+
+        if (!this.loading.has(key)) {
+            this.loading.set(key, this.load(contractService, BigInt(tokenId).toString())
+                .then(entry => this.store(key, entry))
+                .finally(() => this.loading.delete(key)));
+        }
+        return await this.loading.get(key);
+    }
+
+    store(key, entry) {
+        this.cache.delete(key);
+        if (this.cache.size >= this.maxEntries) {
+            // Maps iterate in insertion order, so the first key is the oldest
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        this.cache.set(key, entry);
+        return entry;
+    }
+
+    // Read the token from the chain; the card follows the owner's current plan and cycle
+    async load(contractService, tokenId) {
+        let owner;
+        try {
+            owner = await contractService.contract.ownerOf(tokenId);
+        } catch (error) {
+            const decoded = decodeContractError(error, web3Config.getContractInterface());
+            if (MISSING_TOKEN_ERRORS.includes(decoded?.name)) {
+                throw createError('Token not found', 404);
+            }
+            throw error;
+        }
+
+        const [image, member] = await Promise.all([
+            contractService.getNFTImage(tokenId),
+            contractService.getMemberInfo(owner)
+        ]);
+
+        const planId = member ? Number(member.planId) : Number(image.planId);
+        const plan = await contractService.getPlanInfo(planId);
+
+        const token = {
+            chainId: contractService.chainId,
+            tokenId,
+            owner: owner.toLowerCase(),
+            planId,
+            planName: plan.name,
+            cycleNumber: member ? Number(member.cycleNumber) : 1,
+            mintedAt: image.createdAt
+        };
+
+        return {
+            token,
+            metadata: this.buildMetadata(token),
+            svg: this.renderSvg(token),
+            expiresAt: Date.now() + this.cacheTTL
+        };
+    }
+
+    // OpenSea-style ERC-721 metadata JSON
+    buildMetadata(token) {
+        return {
+            name: `${token.planName} Membership #${token.tokenId}`,
+            description: `Crypto Membership NFT for the ${token.planName} plan (level ${token.planId}). ` +
+                'This membership card is soulbound and cannot be transferred.',
+            image: `${this.appUrl}/nft/image/${token.tokenId}.svg${chainQuery(token.chainId)}`,
+            external_url: `${this.appUrl}/membership/dashboard`,
+            attributes: [
+                { trait_type: 'Plan', value: token.planName },
+                { trait_type: 'Plan Level', value: token.planId, display_type: 'number', max_value: 16 },
+                { trait_type: 'Cycle', value: token.cycleNumber, display_type: 'number' },
+                { trait_type: 'Minted', value: Math.floor(token.mintedAt.getTime() / 1000), display_type: 'date' },
+                { trait_type: 'Soulbound', value: 'Yes' }
+            ]
+        };
+    }
+
+    // Membership card; each of the 16 plans gets its own colour pair
+    renderSvg(token) {
+        const hue = ((token.planId - 1) * 22) % 360;
+        const from = `hsl(${hue}, 70%, 45%)`;
+        const to = `hsl(${(hue + 40) % 360}, 75%, 25%)`;
+        const minted = token.mintedAt.toISOString().slice(0, 10);
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="560" viewBox="0 0 400 560">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${from}"/>
+      <stop offset="100%" stop-color="${to}"/>
+    </linearGradient>
+  </defs>
+  <rect width="400" height="560" rx="24" fill="url(#bg)"/>
+  <rect x="16" y="16" width="368" height="528" rx="16" fill="none" stroke="#ffffff" stroke-opacity="0.35" stroke-width="2"/>
+  <g font-family="Helvetica, Arial, sans-serif" fill="#ffffff">
+    <text x="40" y="72" font-size="18" font-weight="600" letter-spacing="2">CRYPTO MEMBERSHIP</text>
+    <text x="40" y="100" font-size="14" fill-opacity="0.75">Token #${escapeXml(token.tokenId)}</text>
+    <text x="200" y="260" font-size="96" font-weight="700" text-anchor="middle">${token.planId}</text>
+    <text x="200" y="300" font-size="16" text-anchor="middle" fill-opacity="0.75" letter-spacing="4">LEVEL</text>
+    <text x="200" y="352" font-size="30" font-weight="700" text-anchor="middle">${escapeXml(token.planName)}</text>
+    <text x="40" y="448" font-size="14" fill-opacity="0.75">CYCLE</text>
+    <text x="40" y="472" font-size="20" font-weight="600">#${token.cycleNumber}</text>
+    <text x="360" y="448" font-size="14" fill-opacity="0.75" text-anchor="end">MINTED</text>
+    <text x="360" y="472" font-size="20" font-weight="600" text-anchor="end">${minted}</text>
+    <text x="200" y="520" font-size="12" text-anchor="middle" fill-opacity="0.6" letter-spacing="3">SOULBOUND · ${escapeXml(token.owner.slice(0, 6))}…${escapeXml(token.owner.slice(-4))}</text>
+  </g>
+</svg>`;
+    }
+
+    // MetadataUpdated: rebuild the card for one token
+    invalidate(tokenId, chainId = web3Config.chainId) {
+        const key = `${parseInt(chainId)}:${BigInt(tokenId)}`;
+        if (this.cache.delete(key)) {
+            this.regenerate(tokenId, chainId);
+        }
+    }
+
+    // PlanUpgraded: rebuild every cached card held by the member
+    invalidateOwner(walletAddress, chainId = web3Config.chainId) {
+        const owner = walletAddress.toLowerCase();
+
+        for (const [key, entry] of this.cache) {
+            if (entry.token.chainId === parseInt(chainId) && entry.token.owner === owner) {
+                this.cache.delete(key);
+                this.regenerate(entry.token.tokenId, chainId);
+            }
+        }
+    }
+
+    // Only cards someone has already requested are rebuilt ahead of the next request
+    regenerate(tokenId, chainId) {
+        this.getEntry(tokenId.toString(), chainId)
+            .then(() => console.log(`🖼️ Regenerated NFT #${tokenId} on chain ${chainId}`))
+            .catch(error => console.error(`❌ Failed to regenerate NFT #${tokenId}:`, error.message));
+    }
+}
+
+module.exports = new NFTMetadataService();
@@ -0,0 +1,251 @@
+// src/services/preflightService.js - Simulate register/upgrade/exit before the user signs
+const { ethers } = require('ethers');
+const web3Config = require('../config/web3');
+const ContractService = require('./contractService');
+const gasOracle = require('./gasOracle');
+const referralService = require('./referralService');
+const { resolveLanguage } = require('../utils/contractErrors');
+const { createError } = require('../utils/helpers');
+
+const ACTIONS = ['register', 'upgrade', 'exit'];
+
+// Contract/token errors that only mean the USDT approval has not been sent yet
+const APPROVAL_ERRORS = ['InsufficientAllowance', 'SafeERC20FailedOperation'];
+
+const LABELS = {
+    membership: { en: 'Membership status', th: 'สถานะสมาชิก' },
+    plan: { en: 'Plan available', th: 'แผนเปิดใช้งาน' },
+    upline: { en: 'Referrer', th: 'ผู้แนะนำ' },
+    usdtBalance: { en: 'USDT balance', th: 'ยอด USDT' },
+    allowance: { en: 'USDT approval', th: 'การอนุมัติ USDT' },
+    gas: { en: 'BNB for network fee', th: 'BNB สำหรับค่าธรรมเนียม' },
+    simulation: { en: 'Transaction simulation', th: 'จำลองธุรกรรม' }
+};
+
+const TEXT = {
+    isMember: { en: 'Member on plan {plan}.', th: 'เป็นสมาชิกแผน {plan}' },
+    newMember: { en: 'Ready to register.', th: 'พร้อมสมัครสมาชิก' },
+    planActive: { en: '{name} is open.', th: 'แผน {name} เปิดอยู่' },
+    uplineOk: { en: 'Referrer is a member on plan {plan}.', th: 'ผู้แนะนำเป็นสมาชิกแผน {plan}' },
+    uplineOwner: { en: 'Registering without a referrer.', th: 'สมัครโดยไม่มีผู้แนะนำ' },
+    balanceOk: { en: '{balance} USDT available, {amount} USDT needed.', th: 'มี {balance} USDT ต้องใช้ {amount} USDT' },
+    balanceLow: { en: '{balance} USDT available, {amount} USDT needed.', th: 'มี {balance} USDT แต่ต้องใช้ {amount} USDT' },
+    allowanceOk: { en: 'Already approved.', th: 'อนุมัติแล้ว' },
+    allowanceNeeded: {
+        en: 'Your wallet will ask you to approve {amount} USDT first.',
+        th: 'กระเป๋าจะขอให้อนุมัติ {amount} USDT ก่อน'
+    },
+    gasOk: { en: '{balance} BNB available, about {cost} BNB needed.', th: 'มี {balance} BNB ใช้ประมาณ {cost} BNB' },
+    gasLow: { en: '{balance} BNB available, about {cost} BNB needed.', th: 'มี {balance} BNB แต่ต้องใช้ประมาณ {cost} BNB' },
+    simulationOk: { en: 'The contract accepts this transaction.', th: 'contract ยอมรับธุรกรรมนี้' },
+    simulationAfterApproval: {
+        en: 'Will be checked again after the USDT approval.',
+        th: 'จะตรวจสอบอีกครั้งหลังอนุมัติ USDT'
+    }
+};
+
+function translate(entry, language, values = {}) {
+    return entry[language].replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+class PreflightService {
+    // Checklist for one action; `ready` is true only when nothing fails
+    async check({ chainId = web3Config.chainId, walletAddress, action, planId, upline, language }) {
+        if (!walletAddress || !ethers.isAddress(walletAddress)) {
+            throw createError('Connect a wallet first');
+        }
+
+        if (action && !ACTIONS.includes(action)) {
+            throw createError(`Action must be one of: ${ACTIONS.join(', ')}`);
+        }
+
+        if (upline && !ethers.isAddress(upline)) {
+            throw createError('Invalid upline address');
+        }
+
+        language = resolveLanguage(language);
+        walletAddress = ethers.getAddress(walletAddress);
+
+        const contractService = ContractService.forNetwork(chainId);
+        const member = await contractService.getMemberInfo(walletAddress);
+
+        // Without an explicit action, buying a plan means register for new wallets and upgrade for members
+        action = action || (member ? 'upgrade' : 'register');
+        planId = action === 'exit'
+            ? Number(member?.planId || 1)
+            : parseInt(planId) || (member ? Number(member.planId) + 1 : 1);
+
+        if (planId < 1 || planId > 16) {
+            throw createError('Plan ID must be between 1 and 16');
+        }
+
+        upline = upline || await contractService.getOwner();
+
+        const context = { chainId, contractService, walletAddress, action, planId, upline, language, member };
+        const checks = [this.checkMembership(context)];
+
+        if (action === 'exit') {
+            checks.push(...await this.checkExit(context));
+        } else {
+            checks.push(...await this.checkPurchase(context));
+        }
+
+        return {
+            chainId: contractService.chainId,
+            walletAddress,
+            action,
+            planId,
+            ready: checks.every(check => check.status !== 'fail'),
+            checks,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    checkMembership({ action, planId, member, language }) {
+        if (action === 'register') {
+            return member
+                ? this.fail('membership', language, { name: 'AlreadyMember' })
+                : this.pass('membership', language, translate(TEXT.newMember, language));
+        }
+
+        if (!member) {
+            return this.fail('membership', language, { name: 'NotMember' });
+        }
+
+        // Upgrades go one plan at a time
+        if (action === 'upgrade' && planId !== Number(member.planId) + 1) {
+            return this.fail('membership', language, { name: 'NextPlanOnly' });
+        }
+
+        return this.pass('membership', language, translate(TEXT.isMember, language, { plan: member.planId }));
+    }
+
+    async checkPurchase(context) {
+        const { chainId, contractService, walletAddress, action, planId, upline, language, member } = context;
+
+        const [plan, currentPlan, balance, allowance, bnbBalance, quote] = await Promise.all([
+            contractService.getPlanInfo(planId),
+            member ? contractService.getPlanInfo(Number(member.planId)) : null,
+            contractService.getUSDTBalance(walletAddress),
+            contractService.getUSDTAllowance(walletAddress, contractService.contractAddress),
+            contractService.provider.getBalance(walletAddress),
+            gasOracle.getQuote({ chainId, walletAddress, planId, upline, language })
+        ]);
+
+        // Upgrades only charge the difference to the current plan
+        const amount = BigInt(plan.price) - (currentPlan ? BigInt(currentPlan.price) : 0n);
+        const formattedAmount = ethers.formatUnits(amount, 6);
+        const hasAllowance = BigInt(allowance.raw) >= amount;
+
+        const checks = [
+            plan.isActive
+                ? this.pass('plan', language, translate(TEXT.planActive, language, { name: plan.name }))
+                : this.fail('plan', language, { name: 'InactivePlan' }),
+
+            BigInt(balance.raw) >= amount
+                ? this.pass('usdtBalance', language, translate(TEXT.balanceOk, language, { balance: balance.formatted, amount: formattedAmount }))
+                : this.fail('usdtBalance', language, { name: 'InsufficientUSDT' },
+                    translate(TEXT.balanceLow, language, { balance: balance.formatted, amount: formattedAmount })),
+
+            // Web3Manager sends the approval itself, so a missing one is an extra step rather than a blocker
+            hasAllowance
+                ? this.pass('allowance', language, translate(TEXT.allowanceOk, language))
+                : this.warn('allowance', language, translate(TEXT.allowanceNeeded, language, { amount: formattedAmount })),
+
+            this.checkGas(bnbBalance, quote.purchase.cost.standard.bnb, language)
+        ];
+
+        if (action === 'register') {
+            checks.splice(1, 0, await this.checkUpline(context));
+        }
+
+        const simulate = action === 'register'
+            ? () => contractService.contract.registerMember.staticCall(planId, upline, { from: walletAddress })
+            : () => contractService.contract.upgradePlan.staticCall(planId, { from: walletAddress });
+
+        checks.push(await this.simulate(simulate, language, !hasAllowance));
+        return checks;
+    }
+
+    // The contract rejects uplines that are not members or sit on a lower plan
+    async checkUpline({ chainId, planId, upline, language }) {
+        const validation = await referralService.validateUpline(upline, planId, chainId);
+
+        if (!validation.valid) {
+            return this.fail('upline', language, { name: validation.code });
+        }
+
+        return validation.planId
+            ? this.pass('upline', language, translate(TEXT.uplineOk, language, { plan: validation.planId }))
+            : this.pass('upline', language, translate(TEXT.uplineOwner, language));
+    }
+
+    async checkExit({ chainId, contractService, walletAddress, planId, language, member }) {
+        if (!member) {
+            return [];
+        }
+
+        const [bnbBalance, quote] = await Promise.all([
+            contractService.provider.getBalance(walletAddress),
+            gasOracle.getQuote({ chainId, walletAddress, planId, language })
+        ]);
+
+        return [
+            this.checkGas(bnbBalance, quote.operations.exitMembership.cost.standard.bnb, language),
+            await this.simulate(
+                () => contractService.contract.exitMembership.staticCall({ from: walletAddress }),
+                language,
+                false
+            )
+        ];
+    }
+
+    checkGas(bnbBalance, cost, language) {
+        const values = { balance: Number(ethers.formatEther(bnbBalance)).toFixed(6), cost: Number(cost).toFixed(6) };
+
+        return bnbBalance >= ethers.parseEther(cost)
+            ? this.pass('gas', language, translate(TEXT.gasOk, language, values))
+            : this.fail('gas', language, { name: 'InsufficientGas' }, translate(TEXT.gasLow, language, values));
+    }
+
+    // staticCall runs the real contract checks (paused, upline plan, 30-day lock, ...) without sending anything
+    async simulate(call, language, awaitingApproval) {
+        try {
+            await call();
+            return this.pass('simulation', language, translate(TEXT.simulationOk, language));
+        } catch (error) {
+            const described = web3Config.describeContractError(error, language);
+
+            // Before the approval the token transfer is expected to fail; the other checks still apply
+            if (awaitingApproval && (APPROVAL_ERRORS.includes(described.code) || described.code === 'Unknown')) {
+                return this.warn('simulation', language, translate(TEXT.simulationAfterApproval, language));
+            }
+
+            return this.fail('simulation', language, error);
+        }
+    }
+
+    pass(id, language, message) {
+        return { id, label: LABELS[id][language], status: 'pass', message };
+    }
+
+    warn(id, language, message) {
+        return { id, label: LABELS[id][language], status: 'warn', message };
+    }
+
+    // Failures carry the decoded contract error so the UI can show the suggested next step
+    fail(id, language, error, message) {
+        const described = web3Config.describeContractError(error, language);
+
+        return {
+            id,
+            label: LABELS[id][language],
+            status: 'fail',
+            code: described.code,
+            message: message || described.message,
+            action: described.action
+        };
+    }
+}
+
+module.exports = new PreflightService();
@@ -0,0 +1,299 @@
+// src/services/purchaseService.js - Resumable plan purchase sessions: approve → register/upgrade → confirmed
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const PurchaseSession = require('../models/PurchaseSession');
+const preflightService = require('./preflightService');
+const referralService = require('./referralService');
+const transactionVerifier = require('./transactionVerifier');
+const telegramBotService = require('./telegramBotService');
+const web3Config = require('../config/web3');
+const ContractService = require('./contractService');
+const { createError } = require('../utils/helpers');
+
+class PurchaseService {
+    constructor() {
+        // Unsigned steps are abandoned after this long; signed ones are watched until they confirm or revert
+        this.sessionTTL = parseInt(process.env.PURCHASE_SESSION_TTL) || 30 * 60 * 1000; // 30 minutes
+        this.watching = new Set();  // session ids with a confirmation watcher in this process
+    }
+
+    // Open a session for buying a plan; an unsigned session for another plan is replaced
+    async start(user, { chainId = web3Config.chainId, planId } = {}) {
+        if (!user || !user.walletAddress) {
+            throw createError('Connect and verify a wallet first', 403);
+        }
+
+        const current = await this.getCurrent(user, chainId);
+        if (current?.isPending()) {
+            throw createError('Finish the purchase that is already in progress', 409);
+        }
+
+        const contractService = ContractService.forNetwork(chainId);
+        const walletAddress = user.walletAddress.toLowerCase();
+        // Registrations go under the referrer attributed server-side; preflight checks it on-chain
+        const upline = await referralService.getUplineAddress(user) || await contractService.getOwner();
+
+        // Same checks the plans page shows; nothing is signed while one of them fails
+        const preflight = await preflightService.check({
+            chainId,
+            walletAddress,
+            planId,
+            upline,
+            language: user.languageCode
+        });
+
+        if (!preflight.ready) {
+            const failed = preflight.checks.find(check => check.status === 'fail');
+            const error = createError(failed.message);
+            error.checks = preflight.checks;
+            throw error;
+        }
+
+        if (current?.isAwaiting() && current.planId === preflight.planId && current.action === preflight.action) {
+            return current;
+        }
+
+        if (current) {
+            if (current.isAwaiting()) {
+                current.status = 'cancelled';
+            }
+            current.closedAt = new Date();
+            await current.save();
+        }
+
+        // Upgrades go one plan at a time and only charge the difference
+        const [plan, previousPlan, allowance] = await Promise.all([
+            contractService.getPlanInfo(preflight.planId),
+            preflight.action === 'upgrade' ? contractService.getPlanInfo(preflight.planId - 1) : null,
+            contractService.getUSDTAllowance(walletAddress, contractService.contractAddress)
+        ]);
+        const amount = BigInt(plan.price) - (previousPlan ? BigInt(previousPlan.price) : 0n);
+        const needsApproval = BigInt(allowance.raw) < amount;
+
+        const session = await PurchaseSession.create({
+            chainId: contractService.chainId,
+            user: user._id,
+            telegramId: user.telegramId,
+            walletAddress,
+            action: preflight.action,
+            planId: preflight.planId,
+            planName: plan.name,
+            uplineAddress: preflight.action === 'register' ? upline : undefined,
+            amount: amount.toString(),
+            needsApproval,
+            status: needsApproval ? 'awaiting_approval' : 'awaiting_purchase',
+            expiresAt: new Date(Date.now() + this.sessionTTL)
+        });
+
+        console.log(`🛒 Purchase session ${session._id}: ${session.action} plan ${session.planId} for ${walletAddress} on chain ${session.chainId}`);
+
+        return session;
+    }
+
+    // Session the Mini App should resume on reopen; restarts the watcher if this process lost it
+    async getCurrent(user, chainId = web3Config.chainId) {
+        const session = await PurchaseSession.findCurrent(user._id, chainId);
+        if (!session) {
+            return null;
+        }
+
+        if (session.isExpired()) {
+            session.status = 'expired';
+            await session.save();
+        }
+
+        if (session.isPending()) {
+            this.watch(session, user);
+        }
+
+        return session;
+    }
+
+    // The wallet returned a hash for the current step
+    async recordTransaction(user, sessionId, transactionHash) {
+        if (!/^0x[a-fA-F0-9]{64}$/.test(String(transactionHash))) {
+            throw createError('Invalid transaction hash');
+        }
+
+        const session = await this.findOwned(user, sessionId);
+
+        // Retried request for a step already recorded
+        if ([session.approveTxHash, session.purchaseTxHash].includes(transactionHash)) {
+            return session;
+        }
+
+        if (session.status === 'awaiting_approval') {
+            session.approveTxHash = transactionHash;
+            session.status = 'approval_pending';
+        } else if (session.status === 'awaiting_purchase') {
+            session.purchaseTxHash = transactionHash;
+            session.status = 'purchase_pending';
+        } else {
+            throw createError(`Purchase is ${session.status.replace('_', ' ')}`, 409);
+        }
+
+        await session.save();
+        this.watch(session, user);
+
+        return session;
+    }
+
+    // Cancel an unsigned session, or hide a finished one once its result has been shown
+    async close(user, sessionId) {
+        const session = await this.findOwned(user, sessionId);
+
+        if (session.isPending()) {
+            throw createError('A transaction for this purchase is still confirming', 409);
+        }
+
+        if (session.isAwaiting()) {
+            session.status = 'cancelled';
+        }
+        session.closedAt = new Date();
+
+        return await session.save();
+    }
+
+    async findOwned(user, sessionId) {
+        if (!user) {
+            throw createError('User not authenticated', 401);
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+            throw createError('Purchase not found', 404);
+        }
+
+        const session = await PurchaseSession.findOne({ _id: sessionId, user: user._id });
+        if (!session) {
+            throw createError('Purchase not found', 404);
+        }
+        return session;
+    }
+
+    // Watch every signed transaction left over from before a restart
+    async resumePending() {
+        const sessions = await PurchaseSession.findPending().populate('user');
+
+        sessions
+            .filter(session => session.user)
+            .forEach(session => this.watch(session, session.user));
+
+        if (sessions.length > 0) {
+            console.log(`🛒 Resumed ${sessions.length} pending purchase session(s)`);
+        }
+    }
+
+    watch(session, user) {
+        const id = session._id.toString();
+        if (this.watching.has(id)) return;
+
+        this.watching.add(id);
+        this.waitForStep(session, user)
+            .catch(error => console.error(`❌ Purchase session ${id} watcher error:`, error.message))
+            .finally(() => this.watching.delete(id));
+    }
+
+    // Wait for the pending step, then move the session on. After the retries run out the session stays
+    // pending and is watched again on the next resume, unless the network has never seen the transaction.
+    async waitForStep(session, user) {
+        const contractService = ContractService.forNetwork(session.chainId);
+        const { confirmations, timeout, retry } = web3Config.getTransactionConfig();
+        const required = confirmations[session.chainId] ?? confirmations[56];
+        const transactionHash = session.getPendingHash();
+
+        let result;
+        for (let attempt = 1; !result && attempt <= retry.attempts; attempt++) {
+            try {
+                result = await contractService.waitForTransaction(transactionHash, required, timeout);
+            } catch (error) {
+                console.warn(`⚠️ Purchase ${session._id} still waiting for ${transactionHash}: ${error.message}`);
+                await new Promise(resolve => setTimeout(resolve, retry.delay));
+            }
+        }
+
+        if (!result) {
+            const { transaction } = await contractService.getTransaction(transactionHash);
+            if (!transaction) {
+                return await this.fail(session, {
+                    ...web3Config.describeContractError({}, user.languageCode),
+                    message: 'The transaction was not found on the network'
+                }, transactionHash);
+            }
+            return;
+        }
+
+        if (result.status !== 'success') {
+            const { transaction } = await contractService.getTransaction(transactionHash);
+            const revert = await transactionVerifier.createRevertError(contractService, transaction, result.blockNumber, user.languageCode);
+            return await this.fail(session, revert.contractError, transactionHash);
+        }
+
+        if (session.status === 'approval_pending') {
+            session.status = 'awaiting_purchase';
+            session.expiresAt = new Date(Date.now() + this.sessionTTL);
+            await session.save();
+
+            console.log(`✅ Purchase ${session._id}: USDT approval confirmed`);
+            return;
+        }
+
+        try {
+            const { membership } = await transactionVerifier.verifyMembershipTransaction(user, transactionHash, session.chainId);
+            await session.markConfirmed(membership);
+        } catch (error) {
+            const contractError = error.contractError || {
+                ...web3Config.describeContractError(error, user.languageCode),
+                message: error.message
+            };
+            return await this.fail(session, contractError, transactionHash);
+        }
+
+        console.log(`✅ Purchase ${session._id}: plan ${session.planId} confirmed in ${transactionHash}`);
+
+        await telegramBotService.notifyPurchaseConfirmed(
+            session.telegramId,
+            session.planName,
+            ethers.formatUnits(session.amount, 6),
+            transactionHash
+        );
+    }
+
+    async fail(session, contractError, transactionHash) {
+        await session.markFailed(contractError);
+
+        console.log(`❌ Purchase ${session._id} failed in ${transactionHash}: ${contractError.code}`);
+
+        await telegramBotService.notifyTransactionFailed(session.telegramId, contractError, transactionHash);
+    }
+
+    // Shape returned to the Mini App
+    toClient(session) {
+        if (!session) {
+            return null;
+        }
+
+        const steps = session.needsApproval ? ['approve', session.action] : [session.action];
+
+        return {
+            id: session._id,
+            chainId: session.chainId,
+            walletAddress: session.walletAddress,
+            action: session.action,
+            planId: session.planId,
+            planName: session.planName,
+            uplineAddress: session.uplineAddress,
+            amount: session.amount,
+            amountFormatted: ethers.formatUnits(session.amount, 6),
+            status: session.status,
+            steps,
+            step: ['awaiting_approval', 'approval_pending'].includes(session.status) ? 1 : steps.length,
+            approveTxHash: session.approveTxHash,
+            purchaseTxHash: session.purchaseTxHash,
+            error: session.error?.code ? session.error : null,
+            expiresAt: session.expiresAt,
+            updatedAt: session.updatedAt
+        };
+    }
+}
+
+module.exports = new PurchaseService();
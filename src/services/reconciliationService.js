@@ -0,0 +1,244 @@
+// src/services/reconciliationService.js - Reconcile MongoDB memberships with on-chain state
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const dbService = require('./dbService');
+const web3Config = require('../config/web3');
+const ContractService = require('./contractService');
+
+// Membership fields mirrored from contract.members(addr)
+const RECONCILED_FIELDS = ['planId', 'cycleNumber', 'totalEarnings', 'totalReferrals'];
+
+class ReconciliationService {
+    constructor() {
+        this.interval = parseInt(process.env.RECONCILIATION_INTERVAL) || 6 * 60 * 60 * 1000; // 6 hours
+        this.requestDelay = parseInt(process.env.RECONCILIATION_REQUEST_DELAY) || 100;
+        this.autoRepair = process.env.RECONCILIATION_AUTO_REPAIR !== 'false';
+
+        this.currentRun = null;
+        this.isScheduled = false;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.isScheduled) return;
+        this.isScheduled = true;
+
+        const tick = async () => {
+            try {
+                await this.run({ dryRun: !this.autoRepair, trigger: 'schedule' });
+            } catch (error) {
+                console.error('❌ Scheduled reconciliation failed:', error.message);
+            }
+
+            if (this.isScheduled) {
+                this.timer = setTimeout(tick, this.interval);
+            }
+        };
+        this.timer = setTimeout(tick, this.interval);
+
+        console.log(`🧮 Reconciliation scheduled every ${Math.round(this.interval / 60000)} minutes`);
+    }
+
+    stop() {
+        this.isScheduled = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    isRunning() {
+        return !!this.currentRun;
+    }
+
+    // Walk every wallet-linked user on every configured network; only repairs when dryRun is false
+    async run({ dryRun = true, trigger = 'manual', triggeredBy = null } = {}) {
+        if (this.currentRun) {
+            throw new Error('Reconciliation already in progress');
+        }
+
+        // Hold the slot before the first await so an overlapping call is refused
+        const run = new ReconciliationRun({ dryRun, trigger, triggeredBy });
+        this.currentRun = run;
+
+        try {
+            await run.save();
+        } catch (error) {
+            this.currentRun = null;
+            throw error;
+        }
+
+        console.log(`🧮 Reconciliation ${dryRun ? 'dry run' : 'run'} started (${run._id})`);
+
+        try {
+            const users = User.find({ walletAddress: { $ne: null } })
+                .select('walletAddress')
+                .cursor();
+
+            const networks = web3Config.getNetworks();
+
+            for await (const user of users) {
+                for (const { chainId } of networks) {
+                    const diff = await this.reconcileWallet(user, { dryRun, chainId });
+
+                    run.summary.checked++;
+                    if (!diff) {
+                        run.summary.inSync++;
+                    } else if (diff.type === 'error') {
+                        run.summary.errors++;
+                        run.diffs.push(diff);
+                    } else {
+                        run.summary.drifted++;
+                        if (diff.repaired) run.summary.repaired++;
+                        run.diffs.push(diff);
+                    }
+
+                    if (this.requestDelay) {
+                        await new Promise(resolve => setTimeout(resolve, this.requestDelay));
+                    }
+                }
+            }
+
+            await run.finish();
+
+            const { checked, drifted, repaired, errors } = run.summary;
+            console.log(`✅ Reconciliation finished: ${checked} checked, ${drifted} drifted, ${repaired} repaired, ${errors} errors`);
+            return run;
+        } catch (error) {
+            console.error('❌ Reconciliation error:', error);
+            await run.finish(error);
+            throw error;
+        } finally {
+            this.currentRun = null;
+        }
+    }
+
+    // Returns null when the wallet is in sync, otherwise a diff entry
+    async reconcileWallet(user, { dryRun = true, chainId = web3Config.chainId } = {}) {
+        const walletAddress = user.walletAddress.toLowerCase();
+
+        try {
+            const contractService = ContractService.forNetwork(chainId);
+            const memberInfo = await contractService.getMemberInfo(walletAddress, { fresh: true });
+            const membership = await Membership.findOne({
+                walletAddress,
+                isActive: true,
+                ...Membership.chainFilter(chainId)
+            });
+
+            if (!memberInfo && !membership) {
+                return null;
+            }
+
+            // Never deactivate automatically: exits are applied from MemberExited events
+            if (!memberInfo) {
+                return {
+                    walletAddress,
+                    chainId,
+                    user: user._id,
+                    type: 'missing_on_chain',
+                    changes: [],
+                    repaired: false
+                };
+            }
+
+            const planInfo = await contractService.getPlanInfo(memberInfo.planId);
+
+            if (!membership) {
+                const diff = {
+                    walletAddress,
+                    chainId,
+                    user: user._id,
+                    type: 'missing_in_db',
+                    changes: RECONCILED_FIELDS.map(field => ({
+                        field,
+                        database: null,
+                        chain: memberInfo[field]
+                    })),
+                    repaired: false
+                };
+
+                if (!dryRun) {
+                    await dbService.createMembership({
+                        chainId,
+                        user: user._id,
+                        walletAddress,
+                        planId: parseInt(memberInfo.planId),
+                        planName: planInfo.name,
+                        cycleNumber: parseInt(memberInfo.cycleNumber),
+                        uplineAddress: memberInfo.upline,
+                        totalEarnings: memberInfo.totalEarnings,
+                        totalReferrals: parseInt(memberInfo.totalReferrals),
+                        registeredAt: memberInfo.registeredAt
+                    });
+                    diff.repaired = true;
+                }
+
+                return diff;
+            }
+
+            const changes = this.compareMembership(membership, memberInfo);
+            if (changes.length === 0) {
+                return null;
+            }
+
+            const diff = {
+                walletAddress,
+                chainId,
+                user: user._id,
+                type: 'drift',
+                changes,
+                repaired: false
+            };
+
+            if (!dryRun) {
+                await dbService.syncMembershipData(walletAddress, {
+                    ...memberInfo,
+                    planName: planInfo.name
+                }, chainId);
+                diff.repaired = true;
+            }
+
+            return diff;
+        } catch (error) {
+            console.error(`❌ Reconciliation failed for ${walletAddress}:`, error.message);
+            return {
+                walletAddress,
+                chainId,
+                user: user._id,
+                type: 'error',
+                changes: [],
+                repaired: false,
+                error: error.message
+            };
+        }
+    }
+
+    compareMembership(membership, memberInfo) {
+        const changes = [];
+
+        for (const field of RECONCILED_FIELDS) {
+            const database = String(membership[field] ?? '');
+            const chain = String(memberInfo[field]);
+
+            if (database !== chain) {
+                changes.push({ field, database, chain });
+            }
+        }
+
+        return changes;
+    }
+
+    getStatus() {
+        return {
+            scheduled: this.isScheduled,
+            running: this.isRunning(),
+            currentRun: this.currentRun ? this.currentRun._id : null,
+            interval: this.interval,
+            autoRepair: this.autoRepair
+        };
+    }
+}
+
+module.exports = new ReconciliationService();
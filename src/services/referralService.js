@@ -0,0 +1,103 @@
+// src/services/referralService.js - Resolve referral codes to an on-chain upline and keep the attribution on the User
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const web3Config = require('../config/web3');
+const ContractService = require('./contractService');
+
+class ReferralService {
+    // Referrer behind a code (from /referral/:code or the ref_ start parameter); null when unknown
+    async resolveCode(code, chainId = web3Config.chainId) {
+        if (!code || !/^[a-zA-Z0-9_-]{4,64}$/.test(code)) {
+            return null;
+        }
+
+        const referrer = await User.findOne({ referralCode: code });
+        if (!referrer) {
+            return null;
+        }
+
+        const member = referrer.walletAddress
+            ? await ContractService.forNetwork(chainId).getMemberInfo(referrer.walletAddress)
+            : null;
+
+        return {
+            referrer,
+            uplineAddress: referrer.walletAddress || null,
+            isMember: !!member,
+            planId: member ? Number(member.planId) : 0
+        };
+    }
+
+    // First referral wins; later links never move a user to another upline
+    async attribute(user, code, chainId = web3Config.chainId) {
+        if (!user || user.referredBy) {
+            return null;
+        }
+
+        const resolved = await this.resolveCode(code, chainId);
+        if (!resolved || resolved.referrer._id.equals(user._id)) {
+            return null;
+        }
+
+        if (user.walletAddress && resolved.uplineAddress === user.walletAddress.toLowerCase()) {
+            return null;
+        }
+
+        user.referredBy = resolved.referrer._id;
+        user.uplineAddress = resolved.uplineAddress || undefined;
+        user.referredAt = new Date();
+        await user.save();
+
+        console.log(`🔗 User ${user.telegramId} referred by ${resolved.referrer.telegramId}${resolved.isMember ? '' : ' (referrer is not a member yet)'}`);
+
+        return resolved;
+    }
+
+    // Upline wallet for a user's registration, or null to register under the owner.
+    // The referrer may only have linked a wallet after the attribution, so it is looked up again.
+    async getUplineAddress(user) {
+        if (!user?.referredBy) {
+            return null;
+        }
+
+        if (user.uplineAddress) {
+            return user.uplineAddress;
+        }
+
+        const referrer = await User.findById(user.referredBy).select('walletAddress');
+        if (!referrer?.walletAddress) {
+            return null;
+        }
+
+        user.uplineAddress = referrer.walletAddress;
+        await user.save();
+        return user.uplineAddress;
+    }
+
+    // Same rules registerMember enforces: the upline is a member on a plan at least as high
+    async validateUpline(uplineAddress, planId, chainId = web3Config.chainId) {
+        if (!uplineAddress || !ethers.isAddress(uplineAddress)) {
+            return { valid: false, code: 'UplineNotMember' };
+        }
+
+        const contractService = ContractService.forNetwork(chainId);
+        const owner = await contractService.getOwner();
+        if (owner.toLowerCase() === uplineAddress.toLowerCase()) {
+            return { valid: true, planId: null };
+        }
+
+        const member = await contractService.getMemberInfo(uplineAddress);
+        if (!member) {
+            return { valid: false, code: 'UplineNotMember' };
+        }
+
+        const uplinePlanId = Number(member.planId);
+        if (uplinePlanId < parseInt(planId)) {
+            return { valid: false, code: 'UplinePlanLow', planId: uplinePlanId };
+        }
+
+        return { valid: true, planId: uplinePlanId };
+    }
+}
+
+module.exports = new ReferralService();
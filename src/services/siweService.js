@@ -0,0 +1,176 @@
+// src/services/siweService.js - Sign-In With Ethereum (EIP-4361) wallet ownership proofs
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const WalletNonce = require('../models/WalletNonce');
+const { createError } = require('../utils/helpers');
+
+class SiweService {
+    constructor() {
+        this.chainId = parseInt(process.env.CHAIN_ID) || 56;
+        this.appUrl = process.env.APP_URL;
+        this.nonceTTL = parseInt(process.env.SIWE_NONCE_TTL) || 10 * 60 * 1000; // 10 minutes
+        this.statement = 'Link this wallet to your Crypto Membership NFT account.';
+    }
+
+    // Domain and URI come from APP_URL so a signature made for another site is rejected
+    getOrigin(req = null) {
+        if (this.appUrl) {
+            const url = new URL(this.appUrl);
+            return { domain: url.host, uri: url.origin };
+        }
+
+        const host = req ? req.get('host') : 'localhost';
+        const protocol = req ? req.protocol : 'http';
+        return { domain: host, uri: `${protocol}://${host}` };
+    }
+
+    buildMessage({ domain, uri, address, chainId, nonce, issuedAt, expirationTime }) {
+        return `${domain} wants you to sign in with your Ethereum account:\n` +
+               `${address}\n\n` +
+               `${this.statement}\n\n` +
+               `URI: ${uri}\n` +
+               `Version: 1\n` +
+               `Chain ID: ${chainId}\n` +
+               `Nonce: ${nonce}\n` +
+               `Issued At: ${issuedAt}\n` +
+               `Expiration Time: ${expirationTime}`;
+    }
+
+    parseMessage(message) {
+        const lines = String(message).split('\n');
+        const header = lines[0]?.match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+
+        if (!header || !ethers.isAddress(lines[1])) {
+            return null;
+        }
+
+        const fields = {};
+        for (const line of lines.slice(2)) {
+            const match = line.match(/^([A-Za-z ]+): (.+)$/);
+            if (match) {
+                fields[match[1]] = match[2];
+            }
+        }
+
+        return {
+            domain: header[1],
+            address: lines[1],
+            uri: fields['URI'],
+            version: fields['Version'],
+            chainId: parseInt(fields['Chain ID']),
+            nonce: fields['Nonce'],
+            issuedAt: fields['Issued At'],
+            expirationTime: fields['Expiration Time']
+        };
+    }
+
+    // Issue a single-use nonce bound to the user and return the message to sign
+    async createChallenge(user, walletAddress, req = null) {
+        if (!ethers.isAddress(walletAddress)) {
+            throw createError('Invalid wallet address format');
+        }
+
+        const { domain, uri } = this.getOrigin(req);
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const issuedAt = new Date();
+        const expiresAt = new Date(issuedAt.getTime() + this.nonceTTL);
+
+        const message = this.buildMessage({
+            domain,
+            uri,
+            address: ethers.getAddress(walletAddress),
+            chainId: this.chainId,
+            nonce,
+            issuedAt: issuedAt.toISOString(),
+            expirationTime: expiresAt.toISOString()
+        });
+
+        await WalletNonce.create({
+            nonce,
+            user: user._id,
+            telegramId: user.telegramId,
+            walletAddress,
+            chainId: this.chainId,
+            domain,
+            message,
+            expiresAt
+        });
+
+        return { message, nonce, expiresAt };
+    }
+
+    // Resolves to the proven wallet address (lowercase); consumes the nonce
+    async verify(user, message, signature, domain) {
+        const parsed = this.parseMessage(message);
+        if (!parsed || !parsed.nonce) {
+            throw createError('Invalid sign-in message');
+        }
+
+        if (parsed.domain !== domain) {
+            throw createError('Sign-in message was issued for another domain');
+        }
+
+        if (parsed.chainId !== this.chainId) {
+            throw createError('Sign-in message was issued for another network');
+        }
+
+        let recoveredAddress;
+        try {
+            recoveredAddress = ethers.verifyMessage(message, signature);
+        } catch (error) {
+            throw createError('Invalid signature');
+        }
+
+        if (recoveredAddress.toLowerCase() !== parsed.address.toLowerCase()) {
+            throw createError('Signature verification failed');
+        }
+
+        // Consume only after the signature checks out, so a bad attempt does not burn the nonce
+        const walletNonce = await WalletNonce.consume(parsed.nonce, user._id);
+        if (!walletNonce) {
+            throw createError('Nonce is invalid, expired or already used');
+        }
+
+        if (walletNonce.message !== message) {
+            throw createError('Sign-in message does not match the issued challenge');
+        }
+
+        return recoveredAddress.toLowerCase();
+    }
+
+    // For flows (e.g. the bot) where only the signature comes back
+    async verifyPending(user, signature) {
+        const walletNonce = await WalletNonce.findPending(user._id);
+        if (!walletNonce) {
+            throw createError('No pending wallet verification');
+        }
+
+        return await this.verify(user, walletNonce.message, signature, walletNonce.domain);
+    }
+
+    // The only way User.walletAddress gets set from a client request
+    async linkWallet(user, walletAddress) {
+        const User = require('../models/User');
+
+        const existingUser = await User.findOne({
+            walletAddress,
+            telegramId: { $ne: user.telegramId }
+        });
+
+        if (existingUser) {
+            throw createError('Wallet already connected to another account', 409);
+        }
+
+        user.walletAddress = walletAddress;
+        await user.save();
+
+        // Memberships the history indexer found before anyone linked this wallet
+        const Membership = require('../models/Membership');
+        const attached = await Membership.attachToUser(walletAddress, user._id);
+
+        console.log(`🔗 Wallet ${walletAddress} linked to user ${user.telegramId}${attached ? `, ${attached} indexed membership(s) attached` : ''}`);
+        return user;
+    }
+}
+
+module.exports = new SiweService();
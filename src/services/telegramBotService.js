@@ -3,6 +3,7 @@ const TelegramBot = require('node-telegram-bot-api');
 const User = require('../models/User');
 const Membership = require('../models/Membership');
 const web3Service = require('./web3Service');
+const ContractService = require('./contractService');
 
 class TelegramBotService {
     constructor() {
@@ -31,6 +32,7 @@ class TelegramBotService {
         this.bot.setMyCommands([
             { command: 'start', description: '🚀 เริ่มใช้งาน Crypto Membership' },
             { command: 'plans', description: '📋 ดูแผนสมาชิกภาพทั้งหมด' },
+            { command: 'cycles', description: '🔄 ความคืบหน้า Cycle และการแจ้งเตือน' },
             { command: 'dashboard', description: '📊 ดู Dashboard ของคุณ' },
             { command: 'wallet', description: '💳 จัดการ Wallet' },
             { command: 'refer', description: '🔗 รับลิงก์แนะนำเพื่อน' },
@@ -45,6 +47,7 @@ class TelegramBotService {
         this.bot.onText(/\/start(.*)/, this.handleStart.bind(this));
         // Individual commands
         this.bot.onText(/\/plans/, this.handlePlans.bind(this));
+        this.bot.onText(/\/cycles/, this.handleCycles.bind(this));
         this.bot.onText(/\/dashboard/, this.handleDashboard.bind(this));
         this.bot.onText(/\/wallet/, this.handleWallet.bind(this));
         this.bot.onText(/\/refer/, this.handleRefer.bind(this));
@@ -66,6 +69,114 @@ class TelegramBotService {
         });
     }
 
+    // /plans: all 16 plans with their current cycle, loaded in one batched read
+    async handlePlans(msg) {
+        const chatId = msg.chat.id;
+
+        try {
+            const plans = await ContractService.forNetwork().getAllPlansInfo();
+            const lines = plans.map(plan =>
+                `${plan.isActive ? '🟢' : '⚪'} <b>${plan.id}. ${plan.name}</b> - ${plan.priceUSDT} USDT\n` +
+                `    🔄 Cycle ${plan.currentCycle}: ${plan.membersInCurrentCycle}/${plan.membersPerCycle} members`
+            );
+
+            await this.bot.sendMessage(chatId, `📋 <b>Membership Plans</b>\n\n${lines.join('\n')}`, {
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: '📋 Choose Plan in App', web_app: { url: `${this.appUrl}/membership/plans` } }]
+                    ]
+                },
+                parse_mode: 'HTML'
+            });
+        } catch (error) {
+            console.error('❌ Error loading plans for bot:', error);
+            await this.bot.sendMessage(chatId, '❌ ไม่สามารถโหลดแผนสมาชิกภาพได้ กรุณาลองใหม่อีกครั้ง');
+        }
+    }
+
+    // /cycles: fill level of every plan's current cycle, with a 🔔 toggle per plan for cycle alerts
+    async handleCycles(msg) {
+        const chatId = msg.chat.id;
+
+        try {
+            const { message, keyboard } = await this.buildCyclesMessage(msg.from.id);
+            await this.bot.sendMessage(chatId, message, {
+                reply_markup: keyboard,
+                parse_mode: 'HTML'
+            });
+        } catch (error) {
+            console.error('❌ Error loading cycles for bot:', error);
+            await this.bot.sendMessage(chatId, '❌ ไม่สามารถโหลดข้อมูล Cycle ได้ กรุณาลองใหม่อีกครั้ง');
+        }
+    }
+
+    async buildCyclesMessage(telegramId) {
+        // Required here because cycleTracker sends its alerts through this service
+        const cycleTracker = require('./cycleTracker');
+        const [progress, subscribed] = await Promise.all([
+            cycleTracker.getProgress(),
+            cycleTracker.getSubscriptions(telegramId)
+        ]);
+
+        const lines = progress.plans.map(plan => {
+            const filled = Math.round(plan.fillPercent / 10);
+            return `${plan.almostFull ? '⏳' : '🔄'} <b>${plan.planId}. ${plan.name}</b> · Cycle #${plan.currentCycle}\n` +
+                   `    ${'▰'.repeat(filled)}${'▱'.repeat(10 - filled)} ${plan.membersInCurrentCycle}/${plan.membersPerCycle}`;
+        });
+
+        const message = `🔄 <b>Cycle Progress</b>\n\n${lines.join('\n')}\n\n` +
+                        `🔔 Tap a plan to get alerts when its cycle is ${progress.almostFullPercent}% full and when a new cycle starts.`;
+
+        const buttons = progress.plans.map(plan => ({
+            text: `${subscribed.includes(plan.planId) ? '🔔' : '🔕'} ${plan.planId}`,
+            callback_data: `cycle_toggle_${plan.planId}`
+        }));
+        const rows = [];
+        for (let index = 0; index < buttons.length; index += 4) {
+            rows.push(buttons.slice(index, index + 4));
+        }
+
+        return { message, keyboard: { inline_keyboard: rows } };
+    }
+
+    async handleCallbackQuery(callbackQuery) {
+        if (callbackQuery.data?.startsWith('cycle_toggle_')) {
+            return await this.handleCycleCallbacks(callbackQuery);
+        }
+        return await this.handleWalletCallbacks(callbackQuery);
+    }
+
+    async handleCycleCallbacks(callbackQuery) {
+        const cycleTracker = require('./cycleTracker');
+        const telegramId = callbackQuery.from.id;
+        const planId = parseInt(callbackQuery.data.replace('cycle_toggle_', ''));
+
+        try {
+            const subscribed = await cycleTracker.getSubscriptions(telegramId);
+            const wasSubscribed = subscribed.includes(planId);
+            if (wasSubscribed) {
+                await cycleTracker.unsubscribe(telegramId, planId);
+            } else {
+                await cycleTracker.subscribe(telegramId, planId);
+            }
+
+            await this.bot.answerCallbackQuery(callbackQuery.id, {
+                text: wasSubscribed ? `🔕 Plan ${planId} alerts off` : `🔔 Plan ${planId} alerts on`
+            });
+
+            const { message, keyboard } = await this.buildCyclesMessage(telegramId);
+            await this.bot.editMessageText(message, {
+                chat_id: callbackQuery.message.chat.id,
+                message_id: callbackQuery.message.message_id,
+                reply_markup: keyboard,
+                parse_mode: 'HTML'
+            });
+        } catch (error) {
+            console.error('❌ Error toggling cycle alerts:', error);
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Please try again' });
+        }
+    }
+
     // Enhanced /wallet command with direct connection options
     async handleWallet(msg) {
         const chatId = msg.chat.id;
@@ -146,6 +257,11 @@ class TelegramBotService {
                `🔒 <i>Your private keys stay in your wallet - 100% secure!</i>`;
     }
 
+    // Bot handlers act on the user record behind the Telegram account
+    async getUser(telegramId) {
+        return await User.findOne({ telegramId: String(telegramId) });
+    }
+
     // Generate secure token for Telegram user verification
     generateTelegramToken(user) {
         const crypto = require('crypto');
@@ -258,7 +374,7 @@ class TelegramBotService {
 
         // Validate Ethereum address format
         const { ethers } = require('ethers');
-        if (!ethers.utils.isAddress(walletAddress)) {
+        if (!ethers.isAddress(walletAddress)) {
             await this.bot.sendMessage(chatId, 
                 '❌ Invalid wallet address format. Please send a valid Ethereum address (0x...)');
             return;
@@ -277,8 +393,9 @@ class TelegramBotService {
             return;
         }
 
-        // Generate signature message
-        const signatureMessage = `Connect wallet to Crypto Membership NFT\n\nUser: ${user.telegramId}\nTime: ${Date.now()}\nNonce: ${Math.random().toString(36)}`;
+        // Issue a Sign-In With Ethereum challenge bound to this user
+        const siweService = require('./siweService');
+        const { message: signatureMessage } = await siweService.createChallenge(user, walletAddress);
         
         const message = `🔐 <b>Verify Wallet Ownership</b>\n\n` +
                        `Address: <code>${walletAddress}</code>\n\n` +
@@ -305,10 +422,6 @@ class TelegramBotService {
 
         // Clear awaiting state
         user.awaitingWalletAddress = false;
-        
-        // Store signature data temporarily
-        user.pendingWalletAddress = walletAddress.toLowerCase();
-        user.pendingSignatureMessage = signatureMessage;
         await user.save();
 
         await this.bot.sendMessage(chatId, message, {
@@ -392,49 +505,33 @@ class TelegramBotService {
         const signature = msg.text.trim();
         const user = await this.getUser(msg.from.id);
 
-        if (!user.pendingWalletAddress || !user.pendingSignatureMessage) {
-            await this.bot.sendMessage(chatId, 
-                '❌ No pending wallet verification. Please start the wallet connection process again.');
-            return;
-        }
-
         try {
-            const { ethers } = require('ethers');
-            const recoveredAddress = ethers.utils.verifyMessage(
-                user.pendingSignatureMessage, 
-                signature
-            );
-
-            if (recoveredAddress.toLowerCase() === user.pendingWalletAddress) {
-                // Successfully verified - connect wallet
-                user.walletAddress = user.pendingWalletAddress;
-                user.pendingWalletAddress = undefined;
-                user.pendingSignatureMessage = undefined;
-                await user.save();
-
-                const message = `🎉 <b>Wallet Connected Successfully!</b>\n\n` +
-                               `📍 Address: <code>${user.walletAddress}</code>\n` +
-                               `✅ Signature verified\n\n` +
-                               `🎯 You can now use all features!`;
+            const siweService = require('./siweService');
+            const walletAddress = await siweService.verifyPending(user, signature);
+            await siweService.linkWallet(user, walletAddress);
 
-                const keyboard = {
-                    inline_keyboard: [
-                        [{ text: '📊 Dashboard', web_app: { url: `${this.appUrl}/membership/dashboard` } }],
-                        [{ text: '📋 View Plans', callback_data: 'view_plans' }]
-                    ]
-                };
+            const message = `🎉 <b>Wallet Connected Successfully!</b>\n\n` +
+                           `📍 Address: <code>${user.walletAddress}</code>\n` +
+                           `✅ Signature verified\n\n` +
+                           `🎯 You can now use all features!`;
 
-                await this.bot.sendMessage(chatId, message, {
-                    reply_markup: keyboard,
-                    parse_mode: 'HTML'
-                });
+            const keyboard = {
+                inline_keyboard: [
+                    [{ text: '📊 Dashboard', web_app: { url: `${this.appUrl}/membership/dashboard` } }],
+                    [{ text: '📋 View Plans', callback_data: 'view_plans' }]
+                ]
+            };
 
-            } else {
-                await this.bot.sendMessage(chatId, 
-                    '❌ Signature verification failed. Please make sure you signed the correct message with the correct wallet.');
+            await this.bot.sendMessage(chatId, message, {
+                reply_markup: keyboard,
+                parse_mode: 'HTML'
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                await this.bot.sendMessage(chatId, `❌ ${error.message}. Please start the wallet connection process again.`);
+                return;
             }
 
-        } catch (error) {
             console.error('Signature verification error:', error);
             await this.bot.sendMessage(chatId, 
                 '❌ Invalid signature format. Please try again or use the wallet app connection.');
@@ -457,6 +554,184 @@ class TelegramBotService {
             ]
         };
     }
+
+    // Event notifications
+    async sendNotification(telegramId, message, keyboard = null) {
+        if (!this.bot || !telegramId) return;
+
+        try {
+            await this.bot.sendMessage(telegramId, message, {
+                parse_mode: 'HTML',
+                ...(keyboard && { reply_markup: keyboard })
+            });
+        } catch (error) {
+            console.error(`❌ Failed to notify ${telegramId}:`, error.message);
+        }
+    }
+
+    async notifyNewReferral(telegramId, memberName, planName) {
+        const message = `🎉 <b>New Referral!</b>\n\n` +
+                       `👤 <b>${memberName}</b> joined using your referral link\n` +
+                       `📋 Plan: <b>${planName}</b>`;
+
+        await this.sendNotification(telegramId, message);
+    }
+
+    async notifyCommissionReceived(telegramId, amount, fromName, planName) {
+        const message = `💰 <b>Commission Received!</b>\n\n` +
+                       `💵 Amount: <b>${amount} USDT</b>\n` +
+                       `👤 From: <b>${fromName}</b>\n` +
+                       `📋 Plan: <b>${planName}</b>`;
+
+        await this.sendNotification(telegramId, message);
+    }
+
+    async notifyUpgradeSuccess(telegramId, oldPlanName, newPlanName) {
+        const message = `⬆️ <b>Upgrade Successful!</b>\n\n` +
+                       `📋 ${oldPlanName} → <b>${newPlanName}</b>`;
+
+        await this.sendNotification(telegramId, message, {
+            inline_keyboard: [
+                [{ text: '📊 Dashboard', web_app: { url: `${this.appUrl}/membership/dashboard` } }]
+            ]
+        });
+    }
+
+    async notifyMemberExited(telegramId, refundAmount, planName) {
+        const message = `👋 <b>Membership Exited</b>\n\n` +
+                       `📋 Plan: <b>${planName}</b>\n` +
+                       `💵 Refund: <b>${refundAmount} USDT</b>\n\n` +
+                       `The refund has been sent to your wallet.`;
+
+        await this.sendNotification(telegramId, message);
+    }
+
+    async notifyDownlineExited(telegramId, memberName, planName) {
+        const message = `👋 <b>A Referral Has Left</b>\n\n` +
+                       `👤 <b>${memberName}</b> exited their membership\n` +
+                       `📋 Plan: <b>${planName}</b>`;
+
+        await this.sendNotification(telegramId, message);
+    }
+
+    // Telegram does not render SVG photos, so the card goes out as a file; resolves to true once sent
+    async sendNFTCard(telegramId, token, svg) {
+        if (!this.bot || !telegramId) return false;
+
+        try {
+            await this.bot.sendDocument(telegramId, Buffer.from(svg), {
+                caption: `🎫 <b>${token.name}</b>\n\n` +
+                         `📋 Plan: <b>${token.planName}</b> (Level ${token.planId})\n` +
+                         `🔄 Cycle: <b>#${token.cycleNumber}</b>`,
+                parse_mode: 'HTML',
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: '🖼️ My NFTs', web_app: { url: `${this.appUrl}/membership/nft` } }]
+                    ]
+                }
+            }, {
+                filename: `membership-${token.tokenId}.svg`,
+                contentType: 'image/svg+xml'
+            });
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to send NFT #${token.tokenId} to ${telegramId}:`, error.message);
+            return false;
+        }
+    }
+
+    async notifyCycleCompleted(telegramId, planName, completedCycle, newCycle) {
+        const message = `🔄 <b>Cycle Completed!</b>\n\n` +
+                       `📋 Plan: <b>${planName}</b>\n` +
+                       `✅ Cycle <b>#${completedCycle}</b> is full, cycle <b>#${newCycle}</b> has started.`;
+
+        await this.sendNotification(telegramId, message);
+    }
+
+    // progress comes from cycleTracker.getPlanProgress
+    async notifyCycleAlmostFull(telegramId, progress) {
+        const message = `⏳ <b>Cycle Almost Full!</b>\n\n` +
+                       `📋 Plan: <b>${progress.name}</b>\n` +
+                       `🔄 Cycle <b>#${progress.currentCycle}</b>: ${progress.membersInCurrentCycle}/${progress.membersPerCycle} members (${progress.fillPercent}%)\n` +
+                       `🪑 Only <b>${progress.remaining}</b> seat(s) left in this cycle.`;
+
+        await this.sendNotification(telegramId, message, {
+            inline_keyboard: [
+                [{ text: '📋 Plans', web_app: { url: `${this.appUrl}/membership/plans` } }]
+            ]
+        });
+    }
+
+    async notifyCycleStarted(telegramId, planName, cycleNumber, membersPerCycle) {
+        const message = `🆕 <b>New Cycle Started!</b>\n\n` +
+                       `📋 Plan: <b>${planName}</b>\n` +
+                       `🔄 Cycle <b>#${cycleNumber}</b> is open with ${membersPerCycle} seats.`;
+
+        await this.sendNotification(telegramId, message, {
+            inline_keyboard: [
+                [{ text: '📋 Plans', web_app: { url: `${this.appUrl}/membership/plans` } }]
+            ]
+        });
+    }
+
+    async notifyMembershipMinted(telegramId, tokenId, planName) {
+        const message = `🎫 <b>Membership NFT Minted!</b>\n\n` +
+                       `🆔 Token ID: <b>#${tokenId}</b>\n` +
+                       `📋 Plan: <b>${planName}</b>`;
+
+        await this.sendNotification(telegramId, message);
+    }
+
+    // The Mini App may have been closed while the purchase confirmed
+    async notifyPurchaseConfirmed(telegramId, planName, amount, transactionHash) {
+        const message = `✅ <b>Purchase Complete!</b>\n\n` +
+                       `📋 Plan: <b>${planName}</b>\n` +
+                       `💵 Paid: <b>${amount} USDT</b>\n\n` +
+                       `🔗 <code>${transactionHash}</code>`;
+
+        await this.sendNotification(telegramId, message, {
+            inline_keyboard: [
+                [{ text: '📊 Dashboard', web_app: { url: `${this.appUrl}/membership/dashboard` } }]
+            ]
+        });
+    }
+
+    // contractError comes from web3Config.describeContractError, already in the user's language
+    async notifyTransactionFailed(telegramId, contractError, transactionHash) {
+        const message = `❌ <b>${contractError.message}</b>\n\n` +
+                       `💡 ${contractError.action}\n\n` +
+                       `🔗 <code>${transactionHash}</code>`;
+
+        await this.sendNotification(telegramId, message, {
+            inline_keyboard: [
+                [{ text: '📋 Plans', web_app: { url: `${this.appUrl}/membership/plans` } }]
+            ]
+        });
+    }
+
+    async notifyUpgradeAvailable(telegramId, currentPlanName, nextPlanName, upgradeCost) {
+        const message = `⏰ <b>You Can Upgrade Now!</b>\n\n` +
+                       `📋 ${currentPlanName} → <b>${nextPlanName}</b>\n` +
+                       `💵 Upgrade cost: <b>${upgradeCost} USDT</b>`;
+
+        await this.sendNotification(telegramId, message, {
+            inline_keyboard: [
+                [{ text: '⬆️ Upgrade Plan', web_app: { url: `${this.appUrl}/membership/upgrade` } }]
+            ]
+        });
+    }
+
+    async notifyUplineUpgradeNeeded(telegramId, downlineName, currentPlanName, targetPlanName) {
+        const message = `⚠️ <b>Your Referral Is Upgrading</b>\n\n` +
+                       `👤 <b>${downlineName}</b> wants to upgrade from ${currentPlanName} to <b>${targetPlanName}</b>.\n\n` +
+                       `Upgrade your plan to keep earning commissions from this referral.`;
+
+        await this.sendNotification(telegramId, message, {
+            inline_keyboard: [
+                [{ text: '⬆️ Upgrade Plan', web_app: { url: `${this.appUrl}/membership/upgrade` } }]
+            ]
+        });
+    }
 }
 
 module.exports = new TelegramBotService();
\ No newline at end of file
@@ -0,0 +1,392 @@
+// src/services/transactionVerifier.js - Verify registration and upgrade transactions on-chain before persisting them
+const { ethers } = require('ethers');
+const Membership = require('../models/Membership');
+const TransactionVerification = require('../models/TransactionVerification');
+const contractCache = require('./contractCache');
+const web3Config = require('../config/web3');
+const ContractService = require('./contractService');
+const { createError } = require('../utils/helpers');
+
+// Events that may change a member's plan, in the order they are checked
+const MEMBERSHIP_EVENTS = ['MemberRegistered', 'PlanUpgraded'];
+
+// Background verifications by kind; each resolves to { membership, alreadyRecorded, ... }
+const VERIFIERS = {
+    membership: 'verifyMembershipTransaction',
+    exit: 'verifyExitTransaction'
+};
+
+class TransactionVerifier {
+    constructor() {
+        // Checks this process is running; the shared state is in TransactionVerification
+        this.watching = new Map();  // `${chainId}:${kind}:${hash}` -> in-flight background verification
+    }
+
+    // Confirmations can take longer than the Telegram WebView or a proxy keeps a request open,
+    // so the HTTP handlers start the check here and answer 202; the outcome is read with getStatus.
+    // Resolves to { status: 'confirmed', ...result } when the transaction is already recorded, else { status: 'pending' }.
+    async submit(kind, user, transactionHash, chainId = web3Config.chainId, onVerified = null) {
+        this.validateRequest(user, transactionHash, chainId);
+
+        const recorded = await this.findRecorded(kind, user, transactionHash, chainId);
+        if (recorded) {
+            return { status: 'confirmed', ...recorded };
+        }
+
+        const verification = this.verificationKey(kind, transactionHash, chainId);
+
+        // Unknown and reverted transactions are answered right away
+        try {
+            await this.getSubmittedTransaction(ContractService.forNetwork(chainId), transactionHash, user.languageCode);
+        } catch (error) {
+            if (error.contractError) {
+                await this.recordFailure(verification, user, transactionHash, error);
+            }
+            throw error;
+        }
+
+        await TransactionVerification.begin(verification, user.walletAddress);
+        await this.watch(kind, user, transactionHash, chainId, onVerified);
+        return { status: 'pending' };
+    }
+
+    // 'confirmed' with the recorded result, 'pending' while a check is running, 'failed' with the error, or 'unknown'
+    async getStatus(kind, user, transactionHash, chainId = web3Config.chainId, onVerified = null) {
+        this.validateRequest(user, transactionHash, chainId);
+
+        const recorded = await this.findRecorded(kind, user, transactionHash, chainId);
+        if (recorded) {
+            return { status: 'confirmed', ...recorded };
+        }
+
+        const verification = await TransactionVerification.findFor(
+            this.verificationKey(kind, transactionHash, chainId),
+            user.walletAddress
+        );
+        if (!verification) {
+            return { status: 'unknown' };
+        }
+
+        if (verification.status === 'failed') {
+            return { status: 'failed', failure: verification.failure };
+        }
+
+        // Picks the check up when the process that started it is gone (a restart, or another PM2 instance)
+        await this.watch(kind, user, transactionHash, chainId, onVerified);
+        return { status: 'pending' };
+    }
+
+    verificationKey(kind, transactionHash, chainId) {
+        return { chainId: parseInt(chainId), kind, transactionHash: transactionHash.toLowerCase() };
+    }
+
+    watchKey(kind, transactionHash, chainId) {
+        return `${parseInt(chainId)}:${kind}:${transactionHash.toLowerCase()}`;
+    }
+
+    // Longest a running check goes without renewing its lease: one confirmation wait plus the retry delay
+    getWatchLease() {
+        const { timeout, retry } = web3Config.getTransactionConfig();
+        return timeout + retry.delay + 60 * 1000;
+    }
+
+    async watch(kind, user, transactionHash, chainId, onVerified) {
+        const key = this.watchKey(kind, transactionHash, chainId);
+        if (this.watching.has(key)) return;
+
+        // Another process holds the lease and is still checking
+        const verification = this.verificationKey(kind, transactionHash, chainId);
+        if (!await TransactionVerification.claim(verification, this.getWatchLease())) return;
+        if (this.watching.has(key)) return;
+
+        const watcher = this.verifyWithRetries(kind, user, transactionHash, chainId)
+            .then(async result => {
+                await TransactionVerification.finish(verification);
+                if (onVerified && !result.alreadyRecorded) {
+                    await onVerified(result).catch(error =>
+                        console.error(`❌ After verifying ${transactionHash}:`, error.message));
+                }
+            })
+            .catch(error => this.recordFailure(verification, user, transactionHash, error))
+            .catch(error => console.error(`❌ Could not record the outcome of ${transactionHash}:`, error.message))
+            .finally(() => this.watching.delete(key));
+
+        this.watching.set(key, watcher);
+    }
+
+    // Same retry policy as the purchase watcher: only "not confirmed yet" is worth waiting out
+    async verifyWithRetries(kind, user, transactionHash, chainId) {
+        const { retry } = web3Config.getTransactionConfig();
+        const verification = this.verificationKey(kind, transactionHash, chainId);
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this[VERIFIERS[kind]](user, transactionHash, chainId);
+            } catch (error) {
+                if (error.statusCode !== 409 || attempt >= retry.attempts) {
+                    throw error;
+                }
+                console.warn(`⚠️ Still waiting for ${transactionHash}: ${error.message}`);
+                await TransactionVerification.extendLease(verification, this.getWatchLease());
+                await new Promise(resolve => setTimeout(resolve, retry.delay));
+            }
+        }
+    }
+
+    // The one place a failed transaction is announced in the bot chat, once per transaction
+    async recordFailure(verification, user, transactionHash, error) {
+        const previous = await TransactionVerification.fail(verification, user.walletAddress, {
+            error: error.statusCode ? error.message : 'Transaction could not be verified',
+            ...(error.contractError && { code: error.contractError.code, action: error.contractError.action })
+        });
+
+        if (!error.statusCode) {
+            console.error(`❌ Verification of ${transactionHash} failed:`, error);
+        }
+
+        // Reverted on-chain: the app may already be closed, so explain why in the bot chat too
+        if (error.contractError && previous?.status !== 'failed') {
+            // Required here because the bot service loads the contract services this one uses
+            const telegramBotService = require('./telegramBotService');
+            await telegramBotService.notifyTransactionFailed(user.telegramId, error.contractError, transactionHash);
+        }
+    }
+
+    validateRequest(user, transactionHash, chainId) {
+        if (!user || !user.walletAddress) {
+            throw createError('Connect and verify a wallet first', 403);
+        }
+
+        if (!/^0x[a-fA-F0-9]{64}$/.test(String(transactionHash))) {
+            throw createError('Invalid transaction hash');
+        }
+
+        if (!web3Config.hasNetwork(chainId)) {
+            throw createError('Unsupported network');
+        }
+    }
+
+    // Result of an earlier verification (or of the event listener), or null
+    async findRecorded(kind, user, transactionHash, chainId) {
+        const walletAddress = user.walletAddress.toLowerCase();
+
+        if (kind === 'exit') {
+            const membership = await Membership.findOne({
+                exitTransactionHash: transactionHash,
+                walletAddress,
+                ...Membership.chainFilter(chainId)
+            });
+            return membership && { membership, refundAmount: membership.refundAmount, alreadyRecorded: true };
+        }
+
+        const membership = await Membership.findOne({
+            transactionHash,
+            walletAddress,
+            ...Membership.chainFilter(chainId)
+        });
+        return membership && { membership, event: null, alreadyRecorded: true };
+    }
+
+    // The network knows the transaction and it has not reverted
+    async getSubmittedTransaction(contractService, transactionHash, language) {
+        const { transaction, receipt, status } = await contractService.getTransaction(transactionHash);
+        if (!transaction) {
+            throw createError('Transaction not found', 404);
+        }
+
+        if (status === 'failed') {
+            throw await this.createRevertError(contractService, transaction, receipt.blockNumber, language);
+        }
+
+        return transaction;
+    }
+
+    // Mined, successful receipt for the hash; waits for the network's confirmation count
+    async getConfirmedReceipt(transactionHash, chainId, language) {
+        const contractService = ContractService.forNetwork(chainId);
+        const { confirmations, timeout } = web3Config.getTransactionConfig();
+        const required = confirmations[contractService.chainId] ?? confirmations[56];
+
+        const transaction = await this.getSubmittedTransaction(contractService, transactionHash, language);
+
+        let result;
+        try {
+            result = await contractService.waitForTransaction(transactionHash, required, timeout);
+        } catch (error) {
+            throw createError('Transaction is not confirmed yet, try again shortly', 409);
+        }
+
+        if (result.status !== 'success') {
+            throw await this.createRevertError(contractService, transaction, result.blockNumber, language);
+        }
+
+        return result.receipt;
+    }
+
+    // Resolves to the membership written for the transaction; planId and wallet come only from the chain
+    async verifyMembershipTransaction(user, transactionHash, chainId = web3Config.chainId) {
+        this.validateRequest(user, transactionHash, chainId);
+
+        const walletAddress = user.walletAddress.toLowerCase();
+
+        // Already recorded (by an earlier call or the event listener)
+        const recorded = await this.findRecorded('membership', user, transactionHash, chainId);
+        if (recorded) {
+            return recorded;
+        }
+
+        const contractService = ContractService.forNetwork(chainId);
+        const receipt = await this.getConfirmedReceipt(transactionHash, chainId, user.languageCode);
+
+        const event = contractService.parseEvents(receipt)
+            .filter(parsed => MEMBERSHIP_EVENTS.includes(parsed.name))
+            .find(parsed => ethers.getAddress(parsed.args.member).toLowerCase() === walletAddress);
+
+        if (!event) {
+            throw createError('Transaction does not register or upgrade the connected wallet');
+        }
+
+        // The event listener only flushes the cache once the event is final
+        contractCache.invalidateForEvent(contractService.chainId, event.name, event.args);
+
+        const membership = event.name === 'MemberRegistered'
+            ? await this.applyRegistration(user, event, contractService.chainId)
+            : await this.applyUpgrade(user, event, contractService.chainId);
+
+        console.log(`✅ Verified ${event.name} for ${walletAddress} in ${transactionHash} on chain ${contractService.chainId}`);
+
+        return { membership, event: event.name, alreadyRecorded: false };
+    }
+
+    // Resolves to the membership closed by the transaction; the refund comes only from the MemberExited event
+    async verifyExitTransaction(user, transactionHash, chainId = web3Config.chainId) {
+        this.validateRequest(user, transactionHash, chainId);
+
+        const walletAddress = user.walletAddress.toLowerCase();
+
+        // Already recorded (by an earlier call or the member-exited webhook)
+        const recorded = await this.findRecorded('exit', user, transactionHash, chainId);
+        if (recorded) {
+            return recorded;
+        }
+
+        const contractService = ContractService.forNetwork(chainId);
+        const receipt = await this.getConfirmedReceipt(transactionHash, chainId, user.languageCode);
+
+        const event = contractService.parseEvents(receipt)
+            .find(parsed => parsed.name === 'MemberExited' &&
+                ethers.getAddress(parsed.args.member).toLowerCase() === walletAddress);
+
+        if (!event) {
+            throw createError('Transaction does not exit the connected wallet\'s membership');
+        }
+
+        contractCache.invalidateForEvent(contractService.chainId, event.name, event.args);
+
+        const refundAmount = event.args.refundAmount.toString();
+        const membership = await Membership.findOneAndUpdate(
+            {
+                walletAddress,
+                isActive: true,
+                ...Membership.chainFilter(chainId)
+            },
+            {
+                isActive: false,
+                exitedAt: new Date(),
+                refundAmount,
+                exitTransactionHash: transactionHash
+            },
+            { new: true }
+        );
+
+        if (!membership) {
+            throw createError('No active membership to exit', 404);
+        }
+
+        console.log(`✅ Verified MemberExited for ${walletAddress} in ${transactionHash} on chain ${contractService.chainId}`);
+
+        return { membership, refundAmount, alreadyRecorded: false };
+    }
+
+    // Also called by the member-registered webhook, where user is null for a wallet nobody has linked yet
+    async applyRegistration(user, event, chainId) {
+        const { member, upline, planId, cycleNumber } = event.args;
+        const walletAddress = member.toLowerCase();
+        const planInfo = await ContractService.forNetwork(chainId).getPlanInfo(planId);
+
+        const fields = {
+            chainId,
+            planId: Number(planId),
+            planName: planInfo.name,
+            cycleNumber: Number(cycleNumber),
+            uplineAddress: upline.toLowerCase(),
+            transactionHash: event.transactionHash,
+            blockNumber: event.blockNumber,
+            isActive: true,
+            ...(user && { user: user._id })
+        };
+
+        // Never move a membership back to an older block
+        const existing = await Membership.findOne({
+            walletAddress,
+            isActive: true,
+            ...Membership.chainFilter(chainId)
+        });
+        if (existing) {
+            if (existing.blockNumber >= event.blockNumber) {
+                return existing;
+            }
+            existing.set(fields);
+            return await existing.save();
+        }
+
+        return await Membership.create({
+            walletAddress,
+            ...fields
+        });
+    }
+
+    // Also called by the plan-upgraded webhook
+    async applyUpgrade(user, event, chainId) {
+        const { member, newPlanId, cycleNumber } = event.args;
+        const walletAddress = member.toLowerCase();
+
+        const membership = await Membership.findOne({
+            walletAddress,
+            isActive: true,
+            ...Membership.chainFilter(chainId)
+        });
+        if (!membership) {
+            throw createError('No active membership to upgrade', 404);
+        }
+
+        if (membership.blockNumber >= event.blockNumber) {
+            return membership;
+        }
+
+        const planInfo = await ContractService.forNetwork(chainId).getPlanInfo(newPlanId);
+
+        membership.set({
+            chainId,
+            planId: Number(newPlanId),
+            planName: planInfo.name,
+            cycleNumber: Number(cycleNumber),
+            transactionHash: event.transactionHash,
+            blockNumber: event.blockNumber
+        });
+
+        return await membership.save();
+    }
+
+    // Explain a reverted transaction with the contract error that caused it
+    async createRevertError(contractService, transaction, blockNumber, language) {
+        const revert = await contractService.replayTransaction(transaction, blockNumber);
+        const contractError = web3Config.describeContractError(revert, language);
+
+        const error = createError(contractError.message);
+        error.contractError = contractError;
+        return error;
+    }
+}
+
+module.exports = new TransactionVerifier();
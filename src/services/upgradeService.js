@@ -0,0 +1,175 @@
+// src/services/upgradeService.js - Upgrade eligibility, cooldown countdown and "you can upgrade now" reminders
+const { ethers } = require('ethers');
+const Membership = require('../models/Membership');
+const telegramBotService = require('./telegramBotService');
+const web3Config = require('../config/web3');
+const ContractService = require('./contractService');
+const { createError } = require('../utils/helpers');
+
+const MAX_PLAN_ID = 16;
+
+class UpgradeService {
+    constructor() {
+        this.interval = parseInt(process.env.UPGRADE_REMINDER_INTERVAL) || 10 * 60 * 1000; // 10 minutes
+        this.requestDelay = parseInt(process.env.UPGRADE_REMINDER_REQUEST_DELAY) || 100;
+
+        this.isScheduled = false;
+        this.isSending = false;
+        this.timer = null;
+    }
+
+    // Whether the member can upgrade, how long the cooldown still runs and what the next plan costs
+    async getStatus(walletAddress, chainId = web3Config.chainId) {
+        if (!walletAddress || !ethers.isAddress(walletAddress)) {
+            throw createError('Invalid wallet address');
+        }
+
+        const contractService = ContractService.forNetwork(chainId);
+        const member = await contractService.getMemberInfo(walletAddress);
+        if (!member) {
+            throw createError('Wallet is not a member', 404);
+        }
+
+        const planId = Number(member.planId);
+        const [status, currentPlan, nextPlan] = await Promise.all([
+            contractService.getUpgradeStatus(walletAddress),
+            contractService.getPlanInfo(planId),
+            planId < MAX_PLAN_ID ? contractService.getPlanInfo(planId + 1) : null
+        ]);
+
+        const { blockTime } = web3Config.getNetworkConfig(contractService.chainId);
+        const secondsToWait = Math.ceil(status.blocksToWait * blockTime);
+
+        // The cooldown is over once no blocks remain; a manual reset only clears the contract's flag
+        const cooldownEnded = status.canUpgradeNow || (status.blocksToWait === 0 && status.needsManualReset);
+
+        let next = null;
+        if (nextPlan) {
+            const upgradeCost = BigInt(nextPlan.price) - BigInt(currentPlan.price);
+            next = {
+                id: planId + 1,
+                name: nextPlan.name,
+                price: nextPlan.price,
+                priceUSDT: ethers.formatUnits(nextPlan.price, 6),
+                upgradeCost: upgradeCost.toString(),
+                upgradeCostUSDT: ethers.formatUnits(upgradeCost, 6),
+                isActive: nextPlan.isActive
+            };
+        }
+
+        return {
+            chainId: contractService.chainId,
+            walletAddress: ethers.getAddress(walletAddress),
+            currentPlan: {
+                id: planId,
+                name: currentPlan.name,
+                price: currentPlan.price
+            },
+            nextPlan: next,
+            canUpgrade: !!next && next.isActive && status.canUpgradeNow,
+            cooldownEnded,
+            ...status,
+            secondsToWait,
+            availableAt: new Date(Date.now() + secondsToWait * 1000).toISOString(),
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    start() {
+        if (this.isScheduled) return;
+        this.isScheduled = true;
+
+        const tick = async () => {
+            try {
+                await this.sendReminders();
+            } catch (error) {
+                console.error('❌ Upgrade reminders failed:', error.message);
+            }
+
+            if (this.isScheduled) {
+                this.timer = setTimeout(tick, this.interval);
+            }
+        };
+        this.timer = setTimeout(tick, this.interval);
+
+        console.log(`⏰ Upgrade reminders scheduled every ${Math.round(this.interval / 60000)} minutes`);
+    }
+
+    stop() {
+        this.isScheduled = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // One reminder per purchase, sent when the cooldown that followed it ends.
+    // Members whose latest purchase was already handled are not queried on-chain again.
+    async sendReminders() {
+        if (this.isSending) return;
+        this.isSending = true;
+
+        let sent = 0;
+        try {
+            for (const { chainId } of web3Config.getNetworks()) {
+                const memberships = Membership.find({
+                    isActive: true,
+                    planId: { $lt: MAX_PLAN_ID },
+                    ...Membership.chainFilter(chainId),
+                    $expr: { $ne: ['$upgradeReminderBlock', '$blockNumber'] }
+                })
+                    .populate('user', 'telegramId')
+                    .cursor();
+
+                for await (const membership of memberships) {
+                    if (await this.remindMember(membership, chainId)) {
+                        sent++;
+                    }
+
+                    if (this.requestDelay) {
+                        await new Promise(resolve => setTimeout(resolve, this.requestDelay));
+                    }
+                }
+            }
+        } finally {
+            this.isSending = false;
+        }
+
+        if (sent > 0) {
+            console.log(`⏰ Sent ${sent} upgrade reminder(s)`);
+        }
+        return sent;
+    }
+
+    // Resolves to true when a reminder was sent
+    async remindMember(membership, chainId) {
+        try {
+            const status = await this.getStatus(membership.walletAddress, chainId);
+
+            // Still cooling down: check again on the next run
+            if (!status.cooldownEnded) {
+                return false;
+            }
+
+            // Without a recorded upgrade block there was no cooldown to announce
+            const shouldRemind = status.lastUpgradeBlock > 0 && status.nextPlan?.isActive && membership.user?.telegramId;
+            if (shouldRemind) {
+                await telegramBotService.notifyUpgradeAvailable(
+                    membership.user.telegramId,
+                    status.currentPlan.name,
+                    status.nextPlan.name,
+                    status.nextPlan.upgradeCostUSDT
+                );
+            }
+
+            membership.upgradeReminderBlock = membership.blockNumber;
+            await membership.save();
+            return !!shouldRemind;
+        } catch (error) {
+            console.error(`❌ Upgrade reminder failed for ${membership.walletAddress}:`, error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new UpgradeService();
@@ -1,10 +1,13 @@
 // src/services/web3Service.js
 const { ethers } = require('ethers');
 const contractABI = require('../../contracts/abi/CryptoMembershipNFT.json');
+const web3Config = require('../config/web3');
+const contractCache = require('./contractCache');
+const ContractService = require('./contractService');
 
 class Web3Service {
   constructor() {
-    this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+    this.provider = web3Config.provider;
     this.contractAddress = process.env.CONTRACT_ADDRESS;
     this.contract = new ethers.Contract(
       this.contractAddress,
@@ -13,32 +16,17 @@ class Web3Service {
     );
   }
 
-  // ดึงข้อมูล member จาก contract
+  // ดึงข้อมูล member ผ่าน ContractService เพื่อใช้ cache และ quorum read ชุดเดียวกัน
   async getMemberInfo(walletAddress) {
-    try {
-      const member = await this.contract.members(walletAddress);
-      const tokenBalance = await this.contract.balanceOf(walletAddress);
-      
-      if (tokenBalance.toString() === '0') {
-        return null;
-      }
-
-      return {
-        upline: member.upline,
-        totalReferrals: member.totalReferrals.toString(),
-        totalEarnings: member.totalEarnings.toString(),
-        planId: member.planId.toString(),
-        cycleNumber: member.cycleNumber.toString(),
-        registeredAt: new Date(Number(member.registeredAt) * 1000)
-      };
-    } catch (error) {
-      console.error('Error getting member info:', error);
-      throw error;
-    }
+    return await ContractService.forNetwork(web3Config.chainId).getMemberInfo(walletAddress);
   }
 
   // ดึงข้อมูล plan
   async getPlanInfo(planId) {
+    return await contractCache.wrap(web3Config.chainId, 'plan', planId, () => this.readPlanInfo(planId));
+  }
+
+  async readPlanInfo(planId) {
     try {
       const plan = await this.contract.getPlanInfo(planId);
       return {
@@ -56,6 +44,10 @@ class Web3Service {
 
   // ดึงข้อมูล cycle
   async getPlanCycleInfo(planId) {
+    return await contractCache.wrap(web3Config.chainId, 'planCycle', planId, () => this.readPlanCycleInfo(planId));
+  }
+
+  async readPlanCycleInfo(planId) {
     try {
       const cycleInfo = await this.contract.getPlanCycleInfo(planId);
       return {
@@ -71,6 +63,10 @@ class Web3Service {
 
   // ดึงสถิติระบบ
   async getSystemStats() {
+    return await contractCache.wrap(web3Config.chainId, 'stats', undefined, () => this.readSystemStats());
+  }
+
+  async readSystemStats() {
     try {
       const stats = await this.contract.getSystemStats();
       return {
@@ -0,0 +1,234 @@
+// src/services/webhookOutbox.js - Durable webhook delivery with retries and dead-lettering
+const WebhookDelivery = require('../models/WebhookDelivery');
+const web3Config = require('../config/web3');
+const { signWebhookPayload } = require('../utils/encryption');
+
+class WebhookOutbox {
+    constructor() {
+        this.webhookUrl = process.env.WEBHOOK_URL || 'http://localhost:3000/webhook';
+        this.webhookSecret = process.env.WEBHOOK_SECRET;
+
+        // Retry policy
+        this.maxAttempts = parseInt(process.env.MAX_WEBHOOK_RETRIES) || 8;
+        this.baseDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY) || 5000;
+        this.maxDelay = 60 * 60 * 1000; // 1 hour
+        this.requestTimeout = parseInt(process.env.BOT_WEBHOOK_TIMEOUT) || 10000;
+
+        // Worker settings
+        this.pollInterval = 5000;
+        this.batchSize = 20;
+        this.isRunning = false;
+        this.isProcessing = false;
+        this.timer = null;
+    }
+
+    // Store a delivery; the same eventKey is only ever queued once
+    async enqueue(endpoint, data, eventKey = null) {
+        if (eventKey) {
+            const existing = await WebhookDelivery.findOne({ eventKey });
+            if (existing) {
+                return existing;
+            }
+        }
+
+        try {
+            return await WebhookDelivery.create({
+                endpoint,
+                payload: data,
+                eventKey: eventKey || undefined,
+                maxAttempts: this.maxAttempts
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return await WebhookDelivery.findOne({ eventKey });
+            }
+            throw error;
+        }
+    }
+
+    // Signed envelope; signed at send time so every retry carries a fresh timestamp
+    buildRequestBody(delivery) {
+        if (!this.webhookSecret) {
+            throw new Error('WEBHOOK_SECRET is not configured');
+        }
+
+        const payload = {
+            event: delivery.endpoint.replace(/^\//, ''),
+            deliveryId: delivery._id.toString(),
+            data: {
+                ...delivery.payload,
+                // Deliveries queued before multi-network support carry no chainId and belong to the default network
+                network: web3Config.getNetworkConfig(delivery.payload.chainId ?? web3Config.chainId).name
+            }
+        };
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        return {
+            ...payload,
+            timestamp,
+            signature: signWebhookPayload(this.webhookSecret, payload, timestamp)
+        };
+    }
+
+    async send(delivery) {
+        const fetch = (await import('node-fetch')).default;
+        const body = this.buildRequestBody(delivery);
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.requestTimeout);
+
+        try {
+            return await fetch(`${this.webhookUrl}${delivery.endpoint}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    // Exponential backoff with a little jitter, capped at maxDelay
+    getRetryDelay(attempt) {
+        const delay = Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+        return Math.round(delay * (0.9 + Math.random() * 0.2));
+    }
+
+    async deliver(delivery) {
+        try {
+            const response = await this.send(delivery);
+
+            if (!response.ok) {
+                const error = new Error(`Webhook failed: ${response.status} ${response.statusText}`);
+                error.statusCode = response.status;
+                throw error;
+            }
+
+            await delivery.markDelivered(response.status);
+            console.log(`✅ Webhook delivered: ${delivery.endpoint}`);
+            return true;
+        } catch (error) {
+            const retryDelay = this.getRetryDelay(delivery.attempts + 1);
+            await delivery.markFailed(error.message, error.statusCode, retryDelay);
+
+            if (delivery.status === 'dead') {
+                console.error(`☠️ Webhook dead-lettered after ${delivery.attempts} attempts: ${delivery.endpoint} (${delivery._id})`, error.message);
+            } else {
+                console.warn(`⏳ Webhook ${delivery.endpoint} failed (attempt ${delivery.attempts}/${delivery.maxAttempts}), retrying in ${Math.round(retryDelay / 1000)}s:`, error.message);
+            }
+            return false;
+        }
+    }
+
+    // Claim and send a single delivery if it is due
+    async deliverNow(deliveryId) {
+        try {
+            const delivery = await WebhookDelivery.claim(deliveryId, this.requestTimeout * 2);
+            if (!delivery) {
+                return false;
+            }
+            return await this.deliver(delivery);
+        } catch (error) {
+            console.error('❌ Webhook delivery error:', error);
+            return false;
+        }
+    }
+
+    async processDue() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        try {
+            const due = await WebhookDelivery.findDue(this.batchSize);
+            for (const delivery of due) {
+                await this.deliverNow(delivery._id);
+            }
+        } catch (error) {
+            console.error('❌ Webhook outbox processing error:', error);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        const tick = async () => {
+            await this.processDue();
+            if (this.isRunning) {
+                this.timer = setTimeout(tick, this.pollInterval);
+            }
+        };
+        tick();
+
+        console.log('📮 Webhook outbox worker started');
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Dead-letter inspection and replay
+    async list({ status = 'dead', limit = 50, skip = 0 } = {}) {
+        const query = status === 'all' ? {} : { status };
+
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            WebhookDelivery.countDocuments(query)
+        ]);
+
+        return { deliveries, total };
+    }
+
+    async getStats() {
+        return await WebhookDelivery.getStatusCounts();
+    }
+
+    async replay(deliveryId) {
+        const delivery = await WebhookDelivery.findById(deliveryId);
+
+        if (!delivery) {
+            throw new Error('Delivery not found');
+        }
+
+        if (delivery.status !== 'dead') {
+            throw new Error(`Only dead-lettered deliveries can be replayed (status: ${delivery.status})`);
+        }
+
+        await delivery.resetForReplay();
+        const delivered = await this.deliverNow(delivery._id);
+
+        return {
+            delivery: await WebhookDelivery.findById(delivery._id),
+            delivered
+        };
+    }
+
+    async replayDead(filter = {}) {
+        const deadDeliveries = await WebhookDelivery.find({ ...filter, status: 'dead' })
+            .sort({ createdAt: 1 });
+
+        const results = { total: deadDeliveries.length, delivered: 0, failed: 0 };
+
+        for (const delivery of deadDeliveries) {
+            await delivery.resetForReplay();
+            const delivered = await this.deliverNow(delivery._id);
+            results[delivered ? 'delivered' : 'failed']++;
+        }
+
+        return results;
+    }
+}
+
+module.exports = new WebhookOutbox();
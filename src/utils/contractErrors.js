@@ -0,0 +1,270 @@
+// src/utils/contractErrors.js - Decode membership contract errors into Thai/English messages
+// Shared by the server (require) and the Mini App (served as /js/contract-errors.js, exposes window.ContractErrors)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ContractErrors = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Custom errors from the contract ABI plus wallet/token failures users commonly hit
+    const MESSAGES = {
+        AlreadyMember: {
+            en: { message: 'This wallet is already a member.', action: 'Open the dashboard or upgrade to the next plan instead.' },
+            th: { message: 'กระเป๋านี้เป็นสมาชิกอยู่แล้ว', action: 'เปิดหน้า Dashboard หรืออัพเกรดเป็นแผนถัดไปแทน' }
+        },
+        NotMember: {
+            en: { message: 'This wallet is not a member yet.', action: 'Register with Plan 1 first.' },
+            th: { message: 'กระเป๋านี้ยังไม่ได้เป็นสมาชิก', action: 'สมัครสมาชิกด้วยแผน 1 ก่อน' }
+        },
+        NextPlanOnly: {
+            en: { message: 'You can only upgrade one level at a time.', action: 'Choose the plan right after your current one.' },
+            th: { message: 'อัพเกรดได้ทีละหนึ่งระดับเท่านั้น', action: 'เลือกแผนที่ถัดจากแผนปัจจุบันของคุณ' }
+        },
+        Plan1Only: {
+            en: { message: 'New members must start with Plan 1.', action: 'Register with Plan 1, then upgrade.' },
+            th: { message: 'สมาชิกใหม่ต้องเริ่มที่แผน 1', action: 'สมัครด้วยแผน 1 แล้วค่อยอัพเกรด' }
+        },
+        InvalidPlanID: {
+            en: { message: 'This plan does not exist.', action: 'Pick a plan from the plans page.' },
+            th: { message: 'ไม่พบแผนนี้', action: 'เลือกแผนจากหน้ารายการแผน' }
+        },
+        InactivePlan: {
+            en: { message: 'This plan is currently disabled.', action: 'Choose another plan or try again later.' },
+            th: { message: 'แผนนี้ปิดใช้งานอยู่', action: 'เลือกแผนอื่นหรือลองใหม่ภายหลัง' }
+        },
+        ThirtyDayLock: {
+            en: { message: 'Memberships can only be exited 30 days after joining.', action: 'Try again once the 30-day lock has passed.' },
+            th: { message: 'ออกจากสมาชิกได้หลังจากสมัครครบ 30 วัน', action: 'ลองใหม่อีกครั้งเมื่อครบ 30 วัน' }
+        },
+        UplineNotMember: {
+            en: { message: 'Your referrer is not a member.', action: 'Ask your referrer for a new link, or register without one.' },
+            th: { message: 'ผู้แนะนำของคุณยังไม่ได้เป็นสมาชิก', action: 'ขอลิงก์ใหม่จากผู้แนะนำ หรือสมัครโดยไม่ใช้ลิงก์แนะนำ' }
+        },
+        UplinePlanLow: {
+            en: { message: "Your referrer's plan is lower than the plan you chose.", action: 'Ask your referrer to upgrade first, or choose a lower plan.' },
+            th: { message: 'แผนของผู้แนะนำต่ำกว่าแผนที่คุณเลือก', action: 'ขอให้ผู้แนะนำอัพเกรดก่อน หรือเลือกแผนที่ต่ำกว่า' }
+        },
+        Paused: {
+            en: { message: 'The contract is paused for maintenance.', action: 'Please try again later.' },
+            th: { message: 'ระบบปิดปรับปรุงชั่วคราว', action: 'กรุณาลองใหม่ภายหลัง' }
+        },
+        NotPaused: {
+            en: { message: 'This action is only available while the contract is paused.', action: 'Pause the contract first.' },
+            th: { message: 'ทำรายการนี้ได้เฉพาะตอนที่ระบบหยุดชั่วคราว', action: 'หยุดการทำงานของ contract ก่อน' }
+        },
+        LowFundBalance: {
+            en: { message: 'The refund fund does not have enough balance right now.', action: 'Please try again later or contact support.' },
+            th: { message: 'ยอดเงินในกองทุนคืนเงินไม่เพียงพอในขณะนี้', action: 'กรุณาลองใหม่ภายหลังหรือติดต่อฝ่ายสนับสนุน' }
+        },
+        LowOwnerBalance: {
+            en: { message: 'The owner balance is too low for this withdrawal.', action: 'Withdraw a smaller amount.' },
+            th: { message: 'ยอดเงินของเจ้าของไม่พอสำหรับการถอนนี้', action: 'ถอนด้วยจำนวนที่น้อยลง' }
+        },
+        LowFeeBalance: {
+            en: { message: 'The fee balance is too low for this withdrawal.', action: 'Withdraw a smaller amount.' },
+            th: { message: 'ยอดค่าธรรมเนียมไม่พอสำหรับการถอนนี้', action: 'ถอนด้วยจำนวนที่น้อยลง' }
+        },
+        ZeroBalance: {
+            en: { message: 'There is nothing to withdraw.', action: 'Check the balance before withdrawing.' },
+            th: { message: 'ไม่มียอดเงินให้ถอน', action: 'ตรวจสอบยอดคงเหลือก่อนถอน' }
+        },
+        InvalidAmount: {
+            en: { message: 'The amount is not valid.', action: 'Check the amount and try again.' },
+            th: { message: 'จำนวนเงินไม่ถูกต้อง', action: 'ตรวจสอบจำนวนเงินแล้วลองใหม่' }
+        },
+        ZeroPrice: {
+            en: { message: 'The price must be greater than zero.', action: 'Enter a positive price.' },
+            th: { message: 'ราคาต้องมากกว่าศูนย์', action: 'ระบุราคาที่มากกว่าศูนย์' }
+        },
+        ZeroAddress: {
+            en: { message: 'The address is empty.', action: 'Check the wallet address and try again.' },
+            th: { message: 'ไม่ได้ระบุที่อยู่กระเป๋า', action: 'ตรวจสอบที่อยู่กระเป๋าแล้วลองใหม่' }
+        },
+        NonTransferable: {
+            en: { message: 'Membership NFTs cannot be transferred.', action: 'Keep the NFT in the wallet that registered.' },
+            th: { message: 'NFT สมาชิกไม่สามารถโอนได้', action: 'เก็บ NFT ไว้ในกระเป๋าที่ใช้สมัคร' }
+        },
+        TimelockActive: {
+            en: { message: 'This request is still inside its timelock.', action: 'Wait until the timelock ends.' },
+            th: { message: 'คำขอนี้ยังอยู่ในช่วงเวลารอ', action: 'รอจนกว่าช่วงเวลารอจะสิ้นสุด' }
+        },
+        OwnableUnauthorizedAccount: {
+            en: { message: 'Only the contract owner can do this.', action: 'Use the owner wallet.' },
+            th: { message: 'เฉพาะเจ้าของ contract เท่านั้นที่ทำรายการนี้ได้', action: 'ใช้กระเป๋าของเจ้าของ' }
+        },
+        ReentrancyGuardReentrantCall: {
+            en: { message: 'Another transaction is still being processed.', action: 'Wait a moment and try again.' },
+            th: { message: 'มีธุรกรรมอื่นกำลังดำเนินการอยู่', action: 'รอสักครู่แล้วลองใหม่' }
+        },
+        SafeERC20FailedOperation: {
+            en: { message: 'The USDT payment failed.', action: 'Check your USDT balance and approval, then try again.' },
+            th: { message: 'การชำระเงิน USDT ไม่สำเร็จ', action: 'ตรวจสอบยอด USDT และการอนุมัติ แล้วลองใหม่' }
+        },
+        InsufficientUSDT: {
+            en: { message: 'Your USDT balance is too low.', action: 'Top up USDT (BEP-20) in this wallet and try again.' },
+            th: { message: 'ยอด USDT ในกระเป๋าไม่พอ', action: 'เติม USDT (BEP-20) เข้ากระเป๋านี้แล้วลองใหม่' }
+        },
+        InsufficientAllowance: {
+            en: { message: 'USDT spending has not been approved.', action: 'Approve USDT for the membership contract first.' },
+            th: { message: 'ยังไม่ได้อนุมัติให้ใช้ USDT', action: 'อนุมัติ USDT ให้ contract สมาชิกก่อน' }
+        },
+        InsufficientGas: {
+            en: { message: 'Not enough BNB to pay the network fee.', action: 'Add a little BNB to this wallet for gas.' },
+            th: { message: 'BNB ไม่พอจ่ายค่าธรรมเนียมเครือข่าย', action: 'เติม BNB เล็กน้อยเข้ากระเป๋านี้เพื่อจ่ายค่า gas' }
+        },
+        UserRejected: {
+            en: { message: 'The transaction was cancelled in your wallet.', action: 'Try again and confirm it in your wallet.' },
+            th: { message: 'คุณยกเลิกธุรกรรมในกระเป๋า', action: 'ลองใหม่และกดยืนยันในกระเป๋า' }
+        },
+        WrongNetwork: {
+            en: { message: 'Your wallet is on a different network.', action: 'Switch your wallet to BNB Smart Chain.' },
+            th: { message: 'กระเป๋าของคุณอยู่คนละเครือข่าย', action: 'เปลี่ยนเครือข่ายในกระเป๋าเป็น BNB Smart Chain' }
+        },
+        Unknown: {
+            en: { message: 'The transaction could not be completed.', action: 'Please try again or contact support.' },
+            th: { message: 'ไม่สามารถทำธุรกรรมได้', action: 'กรุณาลองใหม่หรือติดต่อฝ่ายสนับสนุน' }
+        }
+    };
+
+    // Wallet, node and token messages that do not come with decodable revert data
+    const MESSAGE_PATTERNS = [
+        [/user rejected|user denied|rejected the request|ACTION_REJECTED/i, 'UserRejected'],
+        [/insufficient funds/i, 'InsufficientGas'],
+        [/transfer amount exceeds balance|insufficient balance/i, 'InsufficientUSDT'],
+        [/exceeds allowance|insufficient allowance/i, 'InsufficientAllowance'],
+        [/network changed|chain ?id mismatch|wrong network/i, 'WrongNetwork']
+    ];
+
+    function resolveLanguage(languageCode) {
+        return String(languageCode || '').toLowerCase().startsWith('th') ? 'th' : 'en';
+    }
+
+    // Revert data is nested differently by ethers v5, ethers v6, MetaMask and JSON-RPC nodes
+    function findRevertData(error, depth) {
+        depth = depth || 0;
+        if (!error || depth > 4) return null;
+
+        if (typeof error === 'string') {
+            return /^0x[0-9a-fA-F]{8}/.test(error) ? error : null;
+        }
+
+        if (typeof error !== 'object') return null;
+
+        const candidates = [error.data, error.error, error.info && error.info.error, error.originalError];
+        for (const candidate of candidates) {
+            const data = findRevertData(candidate, depth + 1);
+            if (data) return data;
+        }
+        return null;
+    }
+
+    function collectMessages(error) {
+        const messages = [];
+        let current = error;
+        for (let i = 0; current && i < 4; i++) {
+            if (typeof current === 'string') {
+                messages.push(current);
+                break;
+            }
+            [current.reason, current.shortMessage, current.message, current.data && current.data.message]
+                .forEach(message => message && messages.push(String(message)));
+            current = current.error || (current.info && current.info.error);
+        }
+        return messages.join(' | ');
+    }
+
+    // { name, args } for a contract error, or null when nothing recognisable is found.
+    // contractInterface is an ethers (v5 or v6) Interface built from the full contract ABI.
+    function decodeContractError(error, contractInterface) {
+        if (!error) return null;
+
+        if (error.revert && error.revert.name) {
+            return { name: error.revert.name, args: Array.from(error.revert.args || []) };
+        }
+
+        if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+            return { name: 'UserRejected', args: [] };
+        }
+
+        if (error.code === 'INSUFFICIENT_FUNDS') {
+            return { name: 'InsufficientGas', args: [] };
+        }
+
+        const data = findRevertData(error);
+        if (data && contractInterface) {
+            try {
+                const parsed = contractInterface.parseError(data);
+                if (parsed && parsed.name !== 'Error') {
+                    return { name: parsed.name, args: Array.from(parsed.args || []) };
+                }
+                if (parsed && parsed.args && parsed.args[0]) {
+                    // Error(string): fall through to reason string matching
+                    error = { message: `execution reverted: ${parsed.args[0]}` };
+                }
+            } catch (parseError) {
+                // Revert data from another contract (e.g. the USDT token)
+            }
+        }
+
+        const text = collectMessages(error);
+
+        const customError = text.match(/custom error '?(\w+)\(/) || text.match(/reverted with custom error (\w+)/);
+        if (customError && MESSAGES[customError[1]]) {
+            return { name: customError[1], args: [] };
+        }
+
+        if (error.reason && MESSAGES[error.reason]) {
+            return { name: error.reason, args: [] };
+        }
+
+        for (const [pattern, name] of MESSAGE_PATTERNS) {
+            if (pattern.test(text)) {
+                return { name, args: [] };
+            }
+        }
+
+        const reasonString = text.match(/reverted with reason string '([^']+)'/) || text.match(/execution reverted: ([^|"]+)/);
+        if (reasonString) {
+            return { name: 'Unknown', args: [], reason: reasonString[1].trim() };
+        }
+
+        return null;
+    }
+
+    // Friendly message and suggested next step; accepts a raw error or an already decoded { name }
+    function describeContractError(error, options) {
+        options = options || {};
+        const language = resolveLanguage(options.language);
+        const decoded = (error && error.name && MESSAGES[error.name] && !(error instanceof Error))
+            ? error
+            : decodeContractError(error, options.contractInterface);
+
+        const code = decoded && MESSAGES[decoded.name] ? decoded.name : 'Unknown';
+        const text = MESSAGES[code][language];
+
+        return {
+            code,
+            message: text.message,
+            action: text.action,
+            args: (decoded && decoded.args) || [],
+            ...(decoded && decoded.reason && { reason: decoded.reason })
+        };
+    }
+
+    function formatContractError(error, options) {
+        const { message, action } = describeContractError(error, options);
+        return `${message} ${action}`;
+    }
+
+    return {
+        MESSAGES,
+        resolveLanguage,
+        findRevertData,
+        decodeContractError,
+        describeContractError,
+        formatContractError
+    };
+});
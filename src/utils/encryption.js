@@ -0,0 +1,41 @@
+// src/utils/encryption.js
+const crypto = require('crypto');
+
+/**
+ * Canonical string covered by a webhook signature: the timestamp plus
+ * everything in the body except the signature itself
+ */
+function getWebhookSigningString({ event, deliveryId, data }, timestamp) {
+    return `${timestamp}.${JSON.stringify({ event, deliveryId, data })}`;
+}
+
+/**
+ * HMAC-SHA256 signature (hex) for a webhook body
+ */
+function signWebhookPayload(secret, payload, timestamp) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(getWebhookSigningString(payload, timestamp))
+        .digest('hex');
+}
+
+/**
+ * Constant-time check of a webhook body's signature
+ */
+function verifyWebhookSignature(secret, payload, timestamp, signature) {
+    if (typeof signature !== 'string' || !/^[0-9a-f]+$/i.test(signature)) {
+        return false;
+    }
+
+    const expected = Buffer.from(signWebhookPayload(secret, payload, timestamp), 'hex');
+    const received = Buffer.from(signature, 'hex');
+
+    return expected.length === received.length &&
+        crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+    getWebhookSigningString,
+    signWebhookPayload,
+    verifyWebhookSignature
+};
@@ -0,0 +1,12 @@
+// src/utils/helpers.js - Small helpers shared by the services
+
+// Error carrying the HTTP status the routes answer with
+function createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+module.exports = {
+    createError
+};
@@ -0,0 +1,243 @@
+// tests/routes/webhook.test.js - Delivery claims, and the membership writes the event webhooks make
+jest.mock('../../src/services/telegramBotService', () => ({ notifyCycleCompleted: jest.fn() }));
+jest.mock('../../src/services/dbService', () => ({ completePlanCycle: jest.fn() }));
+jest.mock('../../src/services/exitService', () => ({}));
+jest.mock('../../src/services/cycleTracker', () => ({
+    onMemberJoined: jest.fn(),
+    onCycleStarted: jest.fn()
+}));
+jest.mock('../../src/services/transactionVerifier', () => ({
+    applyRegistration: jest.fn(),
+    applyUpgrade: jest.fn()
+}));
+jest.mock('../../src/services/contractService', () => ({}));
+jest.mock('../../src/services/ledgerService', () => ({ recordCommission: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findOne: jest.fn().mockResolvedValue(null) }));
+jest.mock('../../src/models/Membership', () => ({}));
+jest.mock('../../src/models/ProcessedWebhook', () => {
+    // Same outcomes as the unique deliveryId index gives the real model
+    const claims = new Map();
+
+    return {
+        claims,
+        claim: jest.fn(async (deliveryId) => {
+            if (claims.has(deliveryId)) {
+                return claims.get(deliveryId);
+            }
+            claims.set(deliveryId, 'processing');
+            return 'claimed';
+        }),
+        complete: jest.fn(async (deliveryId) => { claims.set(deliveryId, 'processed'); }),
+        release: jest.fn(async (deliveryId) => { claims.delete(deliveryId); })
+    };
+});
+
+const express = require('express');
+const ProcessedWebhook = require('../../src/models/ProcessedWebhook');
+const ledgerService = require('../../src/services/ledgerService');
+const dbService = require('../../src/services/dbService');
+const telegramBotService = require('../../src/services/telegramBotService');
+const transactionVerifier = require('../../src/services/transactionVerifier');
+const webhookRouter = require('../../src/routes/webhook');
+const { signWebhookPayload } = require('../../src/utils/encryption');
+
+const SECRET = 'test-webhook-secret';
+
+const MEMBER = '0x00000000000000000000000000000000000000aa';
+const UPLINE = '0x00000000000000000000000000000000000000bb';
+
+const COMMISSION = {
+    recipientAddress: UPLINE,
+    fromAddress: MEMBER,
+    amount: '5000000',
+    planId: '1',
+    chainId: 56
+};
+
+function delivery(deliveryId, event = 'commission-paid', data = COMMISSION) {
+    const body = {
+        event,
+        deliveryId,
+        data,
+        timestamp: Math.floor(Date.now() / 1000)
+    };
+    body.signature = signWebhookPayload(SECRET, body, body.timestamp);
+    return body;
+}
+
+// Settling the claim happens on 'finish', after the client already has the response
+const settled = () => new Promise(resolve => setImmediate(resolve));
+
+let server;
+let baseUrl;
+
+const post = body => fetch(`${baseUrl}/webhook/${body.event}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+beforeAll(async () => {
+    process.env.WEBHOOK_SECRET = SECRET;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use('/webhook', webhookRouter);
+
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.WEBHOOK_SECRET;
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    ProcessedWebhook.claims.clear();
+    jest.clearAllMocks();
+    ledgerService.recordCommission.mockResolvedValue({ created: true });
+});
+
+describe('webhook delivery claims', () => {
+    test('a handled delivery is acknowledged as a duplicate when retried', async () => {
+        const body = delivery('delivery-1');
+
+        expect((await post(body)).status).toBe(200);
+        await settled();
+
+        const retry = await post(body);
+        expect(retry.status).toBe(200);
+        expect(await retry.json()).toEqual({ success: true, duplicate: true });
+        expect(ledgerService.recordCommission).toHaveBeenCalledTimes(1);
+    });
+
+    test('concurrent retries of one delivery run the handler once', async () => {
+        let finishFirst;
+        ledgerService.recordCommission.mockImplementationOnce(() => new Promise(resolve => { finishFirst = resolve; }));
+        const body = delivery('delivery-2');
+
+        const first = post(body);
+        await new Promise(resolve => {
+            const wait = () => (finishFirst ? resolve() : setImmediate(wait));
+            wait();
+        });
+
+        const second = await post(body);
+        expect(second.status).toBe(409);
+
+        finishFirst({ created: true });
+        expect((await first).status).toBe(200);
+        expect(ledgerService.recordCommission).toHaveBeenCalledTimes(1);
+    });
+
+    test('a failed delivery gives up its claim so the retry is handled', async () => {
+        ledgerService.recordCommission.mockRejectedValueOnce(new Error('database down'));
+        const body = delivery('delivery-3');
+
+        expect((await post(body)).status).toBe(500);
+        await settled();
+        expect(ProcessedWebhook.release).toHaveBeenCalledWith('delivery-3');
+
+        expect((await post(body)).status).toBe(200);
+        await settled();
+        expect(ProcessedWebhook.claims.get('delivery-3')).toBe('processed');
+        expect(ledgerService.recordCommission).toHaveBeenCalledTimes(2);
+    });
+
+    test('a bad signature never claims the delivery', async () => {
+        const body = { ...delivery('delivery-4'), signature: '00'.repeat(32) };
+
+        expect((await post(body)).status).toBe(401);
+        expect(ProcessedWebhook.claim).not.toHaveBeenCalled();
+    });
+});
+
+describe('membership webhooks', () => {
+    test('member-registered records the membership the way the verifier does', async () => {
+        const body = delivery('delivery-5', 'member-registered', {
+            memberAddress: MEMBER,
+            uplineAddress: UPLINE,
+            planId: '1',
+            cycleNumber: '2',
+            transactionHash: '0xaaa',
+            blockNumber: 100,
+            chainId: 56
+        });
+
+        expect((await post(body)).status).toBe(200);
+        expect(transactionVerifier.applyRegistration).toHaveBeenCalledWith(null, {
+            args: { member: MEMBER, upline: UPLINE, planId: '1', cycleNumber: '2' },
+            transactionHash: '0xaaa',
+            blockNumber: 100
+        }, 56);
+    });
+
+    test('plan-upgraded records the new plan', async () => {
+        const body = delivery('delivery-6', 'plan-upgraded', {
+            memberAddress: MEMBER,
+            oldPlanId: '1',
+            newPlanId: '2',
+            cycleNumber: '1',
+            transactionHash: '0xbbb',
+            blockNumber: 200,
+            chainId: 56
+        });
+
+        expect((await post(body)).status).toBe(200);
+        expect(transactionVerifier.applyUpgrade).toHaveBeenCalledWith(null, {
+            args: { member: MEMBER, newPlanId: '2', cycleNumber: '1' },
+            transactionHash: '0xbbb',
+            blockNumber: 200
+        }, 56);
+    });
+
+    test('plan-upgraded for a membership that was never recorded is acknowledged', async () => {
+        transactionVerifier.applyUpgrade.mockRejectedValueOnce(
+            Object.assign(new Error('No active membership to upgrade'), { statusCode: 404 })
+        );
+        const body = delivery('delivery-7', 'plan-upgraded', {
+            memberAddress: MEMBER,
+            oldPlanId: '1',
+            newPlanId: '2',
+            cycleNumber: '1',
+            transactionHash: '0xccc',
+            blockNumber: 300,
+            chainId: 56
+        });
+
+        expect((await post(body)).status).toBe(200);
+    });
+
+    test('plan-upgraded is retried when the write fails', async () => {
+        transactionVerifier.applyUpgrade.mockRejectedValueOnce(new Error('database down'));
+        const body = delivery('delivery-8', 'plan-upgraded', {
+            memberAddress: MEMBER,
+            oldPlanId: '1',
+            newPlanId: '2',
+            cycleNumber: '1',
+            transactionHash: '0xddd',
+            blockNumber: 400,
+            chainId: 56
+        });
+
+        expect((await post(body)).status).toBe(500);
+    });
+
+    test('cycle-started moves the completed members on and notifies them', async () => {
+        dbService.completePlanCycle.mockResolvedValue([
+            { planName: 'Starter', user: { telegramId: '1001' } },
+            { planName: 'Starter', user: null }
+        ]);
+        const body = delivery('delivery-9', 'cycle-started', { planId: '1', cycleNumber: '3', chainId: 56 });
+
+        expect((await post(body)).status).toBe(200);
+        expect(dbService.completePlanCycle).toHaveBeenCalledWith('1', '3', 56);
+        expect(telegramBotService.notifyCycleCompleted).toHaveBeenCalledTimes(1);
+        expect(telegramBotService.notifyCycleCompleted).toHaveBeenCalledWith('1001', 'Starter', 2, '3');
+    });
+});
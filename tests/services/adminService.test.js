@@ -0,0 +1,146 @@
+// tests/services/adminService.test.js - Admin actions are validated, estimated, confirmed once and audited
+jest.mock('../../src/models/AdminAction', () => ({
+    create: jest.fn(async (fields) => ({ _id: 'action-1', ...fields })),
+    findById: jest.fn(),
+    claim: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+
+const { ethers } = require('ethers');
+const AdminAction = require('../../src/models/AdminAction');
+const ContractService = require('../../src/services/contractService');
+const adminService = require('../../src/services/adminService');
+
+const actor = { user: 'user-1', walletAddress: '0x00000000000000000000000000000000000000aa', telegramId: '1001' };
+
+function preparedAction(fields = {}) {
+    return {
+        _id: 'action-1',
+        chainId: 56,
+        action: 'updatePlanPrice',
+        params: { planId: 2, price: '25.5' },
+        status: 'prepared',
+        isExpired: () => false,
+        markExecuted: jest.fn(),
+        markFailed: jest.fn(),
+        ...fields
+    };
+}
+
+describe('adminService', () => {
+    const contractService = ContractService.forNetwork(56);
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        contractService.provider.destroy();
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        contractService.estimateAdminTransaction = jest.fn().mockResolvedValue({ to: contractService.contractAddress, gasLimit: '50000' });
+        contractService.updatePlanPrice = jest.fn().mockResolvedValue({ hash: '0xabc' });
+        contractService.adminContract = {};
+    });
+
+    afterEach(() => {
+        delete contractService.estimateAdminTransaction;
+        delete contractService.updatePlanPrice;
+        contractService.adminContract = null;
+    });
+
+    describe('prepare', () => {
+        test('estimates the call with contract arguments and records the action', async () => {
+            const action = await adminService.prepare('updatePlanPrice', { planId: '2', price: '25.5' }, actor, 56);
+
+            expect(contractService.estimateAdminTransaction).toHaveBeenCalledWith('updatePlanPrice', [2, ethers.parseUnits('25.5', 6)]);
+            expect(AdminAction.create).toHaveBeenCalledWith(expect.objectContaining({
+                chainId: 56,
+                action: 'updatePlanPrice',
+                params: { planId: 2, price: '25.5' },
+                preparedBy: actor
+            }));
+            expect(action.expiresAt.getTime()).toBeGreaterThan(Date.now());
+        });
+
+        test.each([
+            ['updatePlanPrice', { planId: '17', price: '10' }, 'Plan ID must be between 1 and 16'],
+            ['updatePlanPrice', { planId: '1', price: '-1' }, 'Invalid price: enter a positive USDT amount'],
+            ['withdrawOwnerBalance', { amount: '0' }, 'Invalid amount: enter a positive USDT amount'],
+            ['withdrawOwnerBalance', { amount: '1.1234567' }, 'Invalid amount: enter a positive USDT amount'],
+            ['selfDestruct', {}, 'Unknown admin action']
+        ])('%s rejects %j', async (name, input, message) => {
+            await expect(adminService.prepare(name, input, actor, 56)).rejects.toMatchObject({ message, statusCode: 400 });
+            expect(AdminAction.create).not.toHaveBeenCalled();
+        });
+
+        test('a call that would revert is refused before it is recorded', async () => {
+            contractService.estimateAdminTransaction.mockRejectedValue(new Error('execution reverted: InsufficientBalance'));
+
+            await expect(adminService.prepare('withdrawOwnerBalance', { amount: '5' }, actor, 56))
+                .rejects.toMatchObject({ statusCode: 422 });
+            expect(AdminAction.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('confirm', () => {
+        test('sends the prepared call once and records the receipt', async () => {
+            const action = preparedAction();
+            AdminAction.findById.mockResolvedValue(action);
+            AdminAction.claim.mockResolvedValue(action);
+
+            await adminService.confirm('action-1', actor);
+
+            expect(AdminAction.claim).toHaveBeenCalledWith('action-1', actor);
+            expect(contractService.updatePlanPrice).toHaveBeenCalledWith(2, '25.5');
+            expect(action.markExecuted).toHaveBeenCalledWith({ hash: '0xabc' });
+        });
+
+        test('a failed send is recorded on the action', async () => {
+            const action = preparedAction();
+            AdminAction.findById.mockResolvedValue(action);
+            AdminAction.claim.mockResolvedValue(action);
+            contractService.updatePlanPrice.mockRejectedValue(new Error('nonce too low'));
+
+            await expect(adminService.confirm('action-1', actor)).resolves.toBe(action);
+            expect(action.markFailed).toHaveBeenCalledWith(expect.objectContaining({ message: 'nonce too low' }));
+        });
+
+        test('an action someone already confirmed is not sent again', async () => {
+            AdminAction.findById.mockResolvedValue(preparedAction({ status: 'executed' }));
+            AdminAction.claim.mockResolvedValue(null);
+
+            await expect(adminService.confirm('action-1', actor))
+                .rejects.toMatchObject({ message: 'Action is already executed', statusCode: 409 });
+            expect(contractService.updatePlanPrice).not.toHaveBeenCalled();
+        });
+
+        test('an expired action has to be prepared again', async () => {
+            AdminAction.findById.mockResolvedValue(preparedAction({ isExpired: () => true }));
+            AdminAction.claim.mockResolvedValue(null);
+
+            await expect(adminService.confirm('action-1', actor))
+                .rejects.toMatchObject({ message: 'Action expired, prepare it again', statusCode: 409 });
+        });
+
+        test('nothing is claimed without an admin signer', async () => {
+            AdminAction.findById.mockResolvedValue(preparedAction());
+            contractService.adminContract = null;
+
+            await expect(adminService.confirm('action-1', actor)).rejects.toMatchObject({ statusCode: 503 });
+            expect(AdminAction.claim).not.toHaveBeenCalled();
+        });
+    });
+
+    test('only a prepared action can be cancelled', async () => {
+        AdminAction.findOneAndUpdate.mockResolvedValue(null);
+        AdminAction.findById.mockResolvedValue(preparedAction({ status: 'executed' }));
+
+        await expect(adminService.cancel('action-1', actor))
+            .rejects.toMatchObject({ message: 'Action is already executed', statusCode: 409 });
+    });
+});
@@ -0,0 +1,87 @@
+// tests/services/contractCache.test.js - Events flush exactly the cached reads they make stale
+const contractCache = require('../../src/services/contractCache');
+
+const MEMBER = '0x00000000000000000000000000000000000000AA';
+const UPLINE = '0x00000000000000000000000000000000000000BB';
+
+describe('contractCache invalidation', () => {
+    beforeEach(() => {
+        contractCache.entries.clear();
+        contractCache.loading.clear();
+    });
+
+    test('flushing a single id leaves the rest of the type cached', () => {
+        contractCache.set(56, 'plan', '1', { price: 1 });
+        contractCache.set(56, 'plan', '2', { price: 2 });
+
+        expect(contractCache.invalidate(56, 'plan', '1')).toBe(1);
+        expect(contractCache.get(56, 'plan', '1')).toBeUndefined();
+        expect(contractCache.get(56, 'plan', '2')).toEqual({ price: 2 });
+    });
+
+    test('flushing a whole type leaves types that share its prefix alone', () => {
+        contractCache.set(56, 'plan', '1', { price: 1 });
+        contractCache.set(56, 'planCycle', '1', { cycle: 3 });
+
+        contractCache.invalidate(56, 'plan');
+
+        expect(contractCache.get(56, 'plan', '1')).toBeUndefined();
+        expect(contractCache.get(56, 'planCycle', '1')).toEqual({ cycle: 3 });
+    });
+
+    test('invalidation is scoped to the chain', () => {
+        contractCache.set(56, 'stats', '', { members: 10 });
+        contractCache.set(97, 'stats', '', { members: 2 });
+
+        contractCache.invalidate(56, 'stats');
+
+        expect(contractCache.get(56, 'stats', '')).toBeUndefined();
+        expect(contractCache.get(97, 'stats', '')).toEqual({ members: 2 });
+    });
+
+    test('member keys match regardless of address case', () => {
+        contractCache.set(56, 'member', MEMBER, { planId: 1 });
+
+        contractCache.invalidate(56, 'member', MEMBER.toLowerCase());
+
+        expect(contractCache.get(56, 'member', MEMBER)).toBeUndefined();
+    });
+
+    test('MemberRegistered flushes both members, the plan cycle and stats', () => {
+        contractCache.set(56, 'member', MEMBER, null);
+        contractCache.set(56, 'member', UPLINE, { planId: 2 });
+        contractCache.set(56, 'planCycle', '1', { cycle: 1 });
+        contractCache.set(56, 'planCycle', '2', { cycle: 1 });
+        contractCache.set(56, 'stats', '', { members: 1 });
+        contractCache.set(56, 'plan', '1', { price: 1 });
+
+        contractCache.invalidateForEvent(56, 'MemberRegistered', { member: MEMBER, upline: UPLINE, planId: 1n });
+
+        expect(contractCache.get(56, 'member', MEMBER)).toBeUndefined();
+        expect(contractCache.get(56, 'member', UPLINE)).toBeUndefined();
+        expect(contractCache.get(56, 'planCycle', '1')).toBeUndefined();
+        expect(contractCache.get(56, 'stats', '')).toBeUndefined();
+        expect(contractCache.get(56, 'planCycle', '2')).toEqual({ cycle: 1 });
+        expect(contractCache.get(56, 'plan', '1')).toEqual({ price: 1 });
+    });
+
+    test('events without invalidations change nothing', () => {
+        contractCache.set(56, 'stats', '', { members: 1 });
+
+        contractCache.invalidateForEvent(56, 'Transfer', {});
+
+        expect(contractCache.get(56, 'stats', '')).toEqual({ members: 1 });
+    });
+
+    test('a read in flight during an event is not cached', async () => {
+        let resolveRead;
+        const read = contractCache.wrap(56, 'plan', '1', () => new Promise(resolve => { resolveRead = resolve; }));
+        await Promise.resolve();
+
+        contractCache.invalidateForEvent(56, 'PlanPriceUpdated', { planId: 1n });
+        resolveRead({ price: 1 });
+
+        await expect(read).resolves.toEqual({ price: 1 });
+        expect(contractCache.get(56, 'plan', '1')).toBeUndefined();
+    });
+});
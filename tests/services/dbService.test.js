@@ -0,0 +1,213 @@
+// tests/services/dbService.test.js - Rows written for a reorged-out event are undone
+jest.mock('../../src/models/User', () => ({}));
+jest.mock('../../src/models/Membership', () => ({
+    chainFilter: jest.fn(chainId => ({ chainId })),
+    find: jest.fn(),
+    deleteMany: jest.fn(),
+    updateMany: jest.fn()
+}));
+jest.mock('../../src/models/Referral', () => ({ updateMany: jest.fn() }));
+jest.mock('../../src/models/ContractEvent', () => ({ findOne: jest.fn() }));
+
+const Membership = require('../../src/models/Membership');
+const Referral = require('../../src/models/Referral');
+const ContractEvent = require('../../src/models/ContractEvent');
+const ContractService = require('../../src/services/contractService');
+const dbService = require('../../src/services/dbService');
+
+const MEMBER = '0x00000000000000000000000000000000000000Aa';
+const PLAN_NAMES = { 1: 'Starter', 2: 'Basic', 3: 'Pro' };
+
+// Membership row as the verifier left it after the upgrade
+function upgradedMembership() {
+    const membership = {
+        walletAddress: MEMBER.toLowerCase(),
+        planId: 3,
+        planName: 'Pro',
+        cycleNumber: 4,
+        transactionHash: '0xbbb',
+        blockNumber: 200,
+        set: jest.fn(fields => Object.assign(membership, fields)),
+        save: jest.fn(async () => membership)
+    };
+    return membership;
+}
+
+function lastEvent(event) {
+    return { sort: jest.fn().mockResolvedValue(event) };
+}
+
+const upgradeEvent = {
+    chainId: 56,
+    eventName: 'PlanUpgraded',
+    args: { member: MEMBER, oldPlanId: '2', newPlanId: '3', cycleNumber: '4' },
+    transactionHash: '0xbbb',
+    blockNumber: 200
+};
+
+describe('dbService.rollbackContractEvent', () => {
+    const contractService = ContractService.forNetwork(56);
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(contractService, 'getPlanInfo').mockImplementation(async planId => ({ name: PLAN_NAMES[planId] }));
+        jest.spyOn(contractService, 'getMemberInfo').mockImplementation(async () => null);
+    });
+
+    afterAll(() => {
+        contractService.provider.destroy();
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('deletes memberships created by a reorged registration', async () => {
+        Membership.deleteMany.mockResolvedValue({ deletedCount: 1 });
+
+        const rolledBack = await dbService.rollbackContractEvent({
+            eventName: 'MemberRegistered',
+            args: {},
+            transactionHash: '0xaaa'
+        });
+
+        expect(Membership.deleteMany).toHaveBeenCalledWith({ transactionHash: '0xaaa' });
+        expect(rolledBack).toBe(1);
+    });
+
+    test('restores the plan, cycle and transaction of the upgrade before a reorged one', async () => {
+        const membership = upgradedMembership();
+        Membership.find.mockResolvedValue([membership]);
+        ContractEvent.findOne.mockReturnValue(lastEvent({
+            eventName: 'PlanUpgraded',
+            args: { member: MEMBER, oldPlanId: '1', newPlanId: '2', cycleNumber: '2' },
+            transactionHash: '0xaaa',
+            blockNumber: 150
+        }));
+
+        const rolledBack = await dbService.rollbackContractEvent(upgradeEvent);
+
+        expect(ContractEvent.findOne).toHaveBeenCalledWith(expect.objectContaining({
+            chainId: 56,
+            'args.member': MEMBER,
+            status: 'confirmed',
+            blockNumber: { $lt: 200 }
+        }));
+        expect(membership).toMatchObject({
+            planId: 2,
+            planName: 'Basic',
+            cycleNumber: 2,
+            transactionHash: '0xaaa',
+            blockNumber: 150
+        });
+        expect(membership.save).toHaveBeenCalled();
+        expect(rolledBack).toBe(1);
+    });
+
+    test('restores a reorged first upgrade to the registration', async () => {
+        const membership = upgradedMembership();
+        Membership.find.mockResolvedValue([membership]);
+        ContractEvent.findOne.mockReturnValue(lastEvent({
+            eventName: 'MemberRegistered',
+            args: { member: MEMBER, planId: '1', cycleNumber: '1' },
+            transactionHash: '0x999',
+            blockNumber: 100
+        }));
+
+        await dbService.rollbackContractEvent(upgradeEvent);
+
+        expect(membership).toMatchObject({
+            planId: 1,
+            planName: 'Starter',
+            cycleNumber: 1,
+            transactionHash: '0x999',
+            blockNumber: 100
+        });
+    });
+
+    test('falls back to the contract when no earlier event was recorded', async () => {
+        const membership = upgradedMembership();
+        Membership.find.mockResolvedValue([membership]);
+        ContractEvent.findOne.mockReturnValue(lastEvent(null));
+        contractService.getMemberInfo.mockResolvedValue({ planId: '2', cycleNumber: '3' });
+
+        await dbService.rollbackContractEvent(upgradeEvent);
+
+        expect(contractService.getMemberInfo).toHaveBeenCalledWith(MEMBER, { fresh: true });
+        expect(membership).toMatchObject({
+            planId: 2,
+            planName: 'Basic',
+            cycleNumber: 3,
+            transactionHash: null,
+            blockNumber: null
+        });
+    });
+
+    test('reactivates a membership whose exit was reorged out', async () => {
+        Membership.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+        await dbService.rollbackContractEvent({
+            eventName: 'MemberExited',
+            args: {},
+            transactionHash: '0xccc'
+        });
+
+        expect(Membership.updateMany).toHaveBeenCalledWith(
+            { exitTransactionHash: '0xccc' },
+            { isActive: true, exitedAt: null, refundAmount: null, exitTransactionHash: null }
+        );
+    });
+
+    test('marks reorged commissions as failed', async () => {
+        Referral.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+        const rolledBack = await dbService.rollbackContractEvent({
+            eventName: 'ReferralPaid',
+            args: {},
+            transactionHash: '0xddd'
+        });
+
+        expect(Referral.updateMany).toHaveBeenCalledWith(
+            { transactionHash: '0xddd', status: { $ne: 'failed' } },
+            { status: 'failed', notes: 'Transaction reorged out of the chain' }
+        );
+        expect(rolledBack).toBe(2);
+    });
+
+    test('ignores events that write no rows', async () => {
+        const rolledBack = await dbService.rollbackContractEvent({
+            eventName: 'FundsDistributed',
+            args: {},
+            transactionHash: '0xeee'
+        });
+
+        expect(rolledBack).toBe(0);
+        expect(Membership.deleteMany).not.toHaveBeenCalled();
+        expect(Membership.updateMany).not.toHaveBeenCalled();
+    });
+});
+
+describe('dbService.completePlanCycle', () => {
+    test('moves members of earlier cycles to the new cycle', async () => {
+        const memberships = [{ _id: 'm1' }, { _id: 'm2' }];
+        Membership.find.mockReturnValue({ populate: jest.fn().mockResolvedValue(memberships) });
+        Membership.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+        const completed = await dbService.completePlanCycle('1', '3', 56);
+
+        expect(Membership.find).toHaveBeenCalledWith({
+            chainId: 56,
+            planId: 1,
+            cycleNumber: { $lt: 3 },
+            isActive: true,
+            cycleCompletedAt: null
+        });
+        expect(Membership.updateMany).toHaveBeenCalledWith(
+            { _id: { $in: ['m1', 'm2'] } },
+            { cycleCompletedAt: expect.any(Date), cycleNumber: 3 }
+        );
+        expect(completed).toBe(memberships);
+    });
+});
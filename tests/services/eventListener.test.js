@@ -0,0 +1,90 @@
+// tests/services/eventListener.test.js - Staged events missing from the canonical chain are retracted and rolled back
+jest.mock('../../src/models/ContractEvent', () => ({
+    stage: jest.fn(),
+    confirm: jest.fn(),
+    findPendingInRange: jest.fn()
+}));
+jest.mock('../../src/models/BlockCheckpoint', () => ({}));
+jest.mock('../../src/services/dbService', () => ({ rollbackContractEvent: jest.fn() }));
+jest.mock('../../src/services/webhookOutbox', () => ({}));
+jest.mock('../../src/services/nftMetadataService', () => ({}));
+jest.mock('../../src/services/contractCache', () => ({ invalidateForEvent: jest.fn() }));
+
+const ContractEvent = require('../../src/models/ContractEvent');
+const dbService = require('../../src/services/dbService');
+const contractCache = require('../../src/services/contractCache');
+const ContractEventListener = require('../../src/services/eventListener');
+
+const MEMBER = '0x00000000000000000000000000000000000000aa';
+
+function stagedEvent(transactionHash, logIndex, eventName = 'MemberRegistered') {
+    return {
+        eventName,
+        transactionHash,
+        logIndex,
+        blockNumber: 100,
+        args: { member: MEMBER, planId: '1' },
+        retract: jest.fn()
+    };
+}
+
+describe('ContractEventListener reorg handling', () => {
+    let listener;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        listener = new ContractEventListener(56);
+    });
+
+    afterAll(() => {
+        listener.provider.destroy();
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        listener.provider.getTransactionReceipt = jest.fn().mockResolvedValue(null);
+    });
+
+    test('rolls back and retracts a staged event the chain no longer has', async () => {
+        const orphan = stagedEvent('0xdead', 0);
+        ContractEvent.findPendingInRange.mockResolvedValue([orphan]);
+
+        await listener.retractOrphanedEvents(100, 105, []);
+
+        expect(dbService.rollbackContractEvent).toHaveBeenCalledWith(orphan);
+        expect(orphan.retract).toHaveBeenCalled();
+        expect(contractCache.invalidateForEvent).toHaveBeenCalledWith(56, 'MemberRegistered', orphan.args);
+    });
+
+    test('leaves staged events that are still canonical alone', async () => {
+        const kept = stagedEvent('0xbeef', 2);
+        ContractEvent.findPendingInRange.mockResolvedValue([kept]);
+
+        await listener.retractOrphanedEvents(100, 105, [{ transactionHash: '0xbeef', index: 2 }]);
+
+        expect(kept.retract).not.toHaveBeenCalled();
+        expect(dbService.rollbackContractEvent).not.toHaveBeenCalled();
+    });
+
+    test('matches on the log index as well as the transaction', async () => {
+        const moved = stagedEvent('0xbeef', 1);
+        ContractEvent.findPendingInRange.mockResolvedValue([moved]);
+
+        await listener.retractOrphanedEvents(100, 105, [{ transactionHash: '0xbeef', index: 3 }]);
+
+        expect(moved.retract).toHaveBeenCalled();
+    });
+
+    test('retracts without rolling back when the transaction was mined again', async () => {
+        const remined = stagedEvent('0xfeed', 0);
+        ContractEvent.findPendingInRange.mockResolvedValue([remined]);
+        listener.provider.getTransactionReceipt.mockResolvedValue({ hash: '0xfeed', blockNumber: 106 });
+
+        await listener.retractOrphanedEvents(100, 105, []);
+
+        expect(remined.retract).toHaveBeenCalled();
+        expect(dbService.rollbackContractEvent).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,142 @@
+// tests/services/ledgerService.test.js - Ledger appends are idempotent per event and keep a running balance
+jest.mock('../../src/models/LedgerEntry', () => {
+    const rows = [];
+    const IDENTITY = ['chainId', 'transactionHash', 'logIndex', 'walletAddress', 'type'];
+    const matches = (row, filter) => Object.entries(filter).every(([field, value]) => row[field] === value);
+    // Let concurrent appends interleave the way separate database round trips would
+    const roundTrip = value => new Promise(resolve => setImmediate(() => resolve(value)));
+
+    return {
+        rows,
+        findOne: jest.fn(filter => roundTrip(rows.find(row => matches(row, filter)) || null)),
+        lastEntry: jest.fn((chainId, walletAddress) => roundTrip(
+            rows
+                .filter(row => row.chainId === chainId && row.walletAddress === walletAddress)
+                .sort((a, b) => b.sequence - a.sequence)[0] || null
+        )),
+        create: jest.fn(async (fields) => {
+            await roundTrip();
+            const duplicate = rows.some(row =>
+                IDENTITY.every(field => row[field] === fields[field]) ||
+                (row.chainId === fields.chainId && row.walletAddress === fields.walletAddress && row.sequence === fields.sequence)
+            );
+            if (duplicate) {
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            }
+            const row = { _id: `entry-${rows.length + 1}`, ...fields };
+            rows.push(row);
+            return row;
+        }),
+        find: jest.fn(filter => ({
+            select: () => ({ lean: async () => rows.filter(row => matches(row, filter)) })
+        }))
+    };
+});
+jest.mock('../../src/models/User', () => ({
+    findOne: jest.fn(() => ({ select: async () => null }))
+}));
+jest.mock('../../src/models/Membership', () => ({}));
+
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const ledgerService = require('../../src/services/ledgerService');
+
+const WALLET = '0x00000000000000000000000000000000000000aa';
+const OTHER_WALLET = '0x00000000000000000000000000000000000000bb';
+
+function commission(transactionHash, amount, fields = {}) {
+    return {
+        chainId: 56,
+        walletAddress: WALLET,
+        type: 'commission',
+        amount,
+        transactionHash,
+        logIndex: 0,
+        occurredAt: new Date('2024-01-01T00:00:00Z'),
+        ...fields
+    };
+}
+
+describe('ledgerService', () => {
+    beforeEach(() => {
+        LedgerEntry.rows.length = 0;
+        jest.clearAllMocks();
+    });
+
+    test('the same event is only written once', async () => {
+        const first = await ledgerService.append(commission('0xaaa', '5000000'));
+        const again = await ledgerService.append(commission('0xaaa', '5000000'));
+
+        expect(first.created).toBe(true);
+        expect(again.created).toBe(false);
+        expect(again.entry._id).toBe(first.entry._id);
+        expect(LedgerEntry.rows).toHaveLength(1);
+    });
+
+    test('a second log in the same transaction is a separate entry', async () => {
+        await ledgerService.append(commission('0xaaa', '5000000', { logIndex: 1 }));
+        const { created } = await ledgerService.append(commission('0xaaa', '5000000', { logIndex: 4 }));
+
+        expect(created).toBe(true);
+        expect(LedgerEntry.rows).toHaveLength(2);
+    });
+
+    test('each entry carries the running balance and the next sequence number', async () => {
+        await ledgerService.append(commission('0xaaa', '5000000'));
+        await ledgerService.append(commission('0xbbb', '2500000'));
+        const { entry } = await ledgerService.append({
+            ...commission('0xccc', '10000000'),
+            type: 'refund'
+        });
+
+        expect(LedgerEntry.rows.map(row => [row.sequence, row.balance])).toEqual([
+            [1, '5000000'],
+            [2, '7500000'],
+            [3, '17500000']
+        ]);
+        expect(entry.walletAddress).toBe(WALLET);
+    });
+
+    test('balances are kept per wallet', async () => {
+        await ledgerService.append(commission('0xaaa', '5000000'));
+        const { entry } = await ledgerService.append(commission('0xbbb', '1000000', { walletAddress: OTHER_WALLET }));
+
+        expect(entry.sequence).toBe(1);
+        expect(entry.balance).toBe('1000000');
+    });
+
+    test('concurrent appends for one wallet take consecutive sequence numbers', async () => {
+        await Promise.all([
+            ledgerService.append(commission('0xaaa', '1000000')),
+            ledgerService.append(commission('0xbbb', '2000000')),
+            ledgerService.append(commission('0xccc', '3000000'))
+        ]);
+
+        const sequences = LedgerEntry.rows.map(row => row.sequence).sort();
+        const last = LedgerEntry.rows.find(row => row.sequence === 3);
+
+        expect(sequences).toEqual([1, 2, 3]);
+        expect(last.balance).toBe('6000000');
+    });
+
+    test('concurrent retries of one webhook still write a single entry', async () => {
+        const results = await Promise.all([
+            ledgerService.append(commission('0xaaa', '1000000')),
+            ledgerService.append(commission('0xaaa', '1000000'))
+        ]);
+
+        expect(results.filter(result => result.created)).toHaveLength(1);
+        expect(LedgerEntry.rows).toHaveLength(1);
+    });
+
+    test('the summary adds amounts without losing precision', async () => {
+        await ledgerService.append(commission('0xaaa', '123456789012345678'));
+        await ledgerService.append({ ...commission('0xbbb', '1'), type: 'refund' });
+
+        const summary = await ledgerService.getSummary(WALLET, 56);
+
+        expect(summary.balance).toBe('123456789012345679');
+        expect(summary.commissionsUSDT).toBe('123456789012.345678');
+        expect(summary.refundsUSDT).toBe('0.000001');
+        expect(summary.entryCount).toBe(2);
+    });
+});
@@ -0,0 +1,161 @@
+// tests/services/reconciliationService.test.js - Drift between Mongo and the contract is reported, and only repaired outside dry runs
+jest.mock('../../src/models/User', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/Membership', () => ({
+    chainFilter: jest.fn(chainId => ({ chainId })),
+    findOne: jest.fn()
+}));
+jest.mock('../../src/services/dbService', () => ({
+    createMembership: jest.fn(),
+    syncMembershipData: jest.fn()
+}));
+
+const User = require('../../src/models/User');
+const Membership = require('../../src/models/Membership');
+const ReconciliationRun = require('../../src/models/ReconciliationRun');
+const dbService = require('../../src/services/dbService');
+const ContractService = require('../../src/services/contractService');
+const reconciliationService = require('../../src/services/reconciliationService');
+
+const MEMBER = '0x00000000000000000000000000000000000000aa';
+const OTHER = '0x00000000000000000000000000000000000000bb';
+
+const onChain = {
+    upline: '0x0000000000000000000000000000000000000001',
+    planId: '2',
+    cycleNumber: '1',
+    totalEarnings: '5000000',
+    totalReferrals: '3',
+    registeredAt: new Date('2026-01-01T00:00:00Z'),
+    isActive: true
+};
+
+const inDatabase = { planId: 2, cycleNumber: 1, totalEarnings: '5000000', totalReferrals: 3 };
+
+function users(...walletAddresses) {
+    const cursor = walletAddresses.map((walletAddress, i) => ({ _id: `user-${i + 1}`, walletAddress }));
+    User.find.mockReturnValue({ select: () => ({ cursor: () => cursor }) });
+}
+
+describe('reconciliationService', () => {
+    const contractService = ContractService.forNetwork(56);
+
+    afterAll(() => {
+        contractService.provider.destroy();
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(contractService, 'getMemberInfo').mockResolvedValue(onChain);
+        jest.spyOn(contractService, 'getPlanInfo').mockResolvedValue({ name: 'Silver' });
+        jest.spyOn(ReconciliationRun.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+        reconciliationService.requestDelay = 0;
+        users(MEMBER);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('reconcileWallet', () => {
+        test('a membership matching the chain is in sync', async () => {
+            Membership.findOne.mockResolvedValue({ ...inDatabase });
+
+            expect(await reconciliationService.reconcileWallet({ _id: 'user-1', walletAddress: MEMBER }, { chainId: 56 })).toBeNull();
+            expect(contractService.getMemberInfo).toHaveBeenCalledWith(MEMBER, { fresh: true });
+        });
+
+        test('a dry run reports drift without writing', async () => {
+            Membership.findOne.mockResolvedValue({ ...inDatabase, planId: 1, totalReferrals: 2 });
+
+            const diff = await reconciliationService.reconcileWallet({ _id: 'user-1', walletAddress: MEMBER }, { dryRun: true, chainId: 56 });
+
+            expect(diff).toMatchObject({
+                type: 'drift',
+                chainId: 56,
+                repaired: false,
+                changes: [
+                    { field: 'planId', database: '1', chain: '2' },
+                    { field: 'totalReferrals', database: '2', chain: '3' }
+                ]
+            });
+            expect(dbService.syncMembershipData).not.toHaveBeenCalled();
+        });
+
+        test('a repair run syncs the drifted membership from the chain', async () => {
+            Membership.findOne.mockResolvedValue({ ...inDatabase, cycleNumber: 0 });
+
+            const diff = await reconciliationService.reconcileWallet({ _id: 'user-1', walletAddress: MEMBER }, { dryRun: false, chainId: 56 });
+
+            expect(diff.repaired).toBe(true);
+            expect(dbService.syncMembershipData).toHaveBeenCalledWith(MEMBER, { ...onChain, planName: 'Silver' }, 56);
+        });
+
+        test('a repair run records a membership only found on-chain', async () => {
+            Membership.findOne.mockResolvedValue(null);
+
+            const diff = await reconciliationService.reconcileWallet({ _id: 'user-1', walletAddress: MEMBER }, { dryRun: false, chainId: 56 });
+
+            expect(diff).toMatchObject({ type: 'missing_in_db', repaired: true });
+            expect(dbService.createMembership).toHaveBeenCalledWith(expect.objectContaining({
+                chainId: 56,
+                user: 'user-1',
+                walletAddress: MEMBER,
+                planId: 2,
+                planName: 'Silver',
+                cycleNumber: 1,
+                totalReferrals: 3
+            }));
+        });
+
+        test('a membership missing on-chain is reported but never deactivated', async () => {
+            contractService.getMemberInfo.mockResolvedValue(null);
+            Membership.findOne.mockResolvedValue({ ...inDatabase });
+
+            const diff = await reconciliationService.reconcileWallet({ _id: 'user-1', walletAddress: MEMBER }, { dryRun: false, chainId: 56 });
+
+            expect(diff).toMatchObject({ type: 'missing_on_chain', repaired: false });
+            expect(dbService.syncMembershipData).not.toHaveBeenCalled();
+            expect(dbService.createMembership).not.toHaveBeenCalled();
+        });
+
+        test('a failed read is reported as an error diff', async () => {
+            contractService.getMemberInfo.mockRejectedValue(new Error('Quorum not reached'));
+
+            const diff = await reconciliationService.reconcileWallet({ _id: 'user-1', walletAddress: MEMBER }, { chainId: 56 });
+
+            expect(diff).toMatchObject({ type: 'error', error: 'Quorum not reached', repaired: false });
+        });
+    });
+
+    describe('run', () => {
+        test('summarises every wallet and keeps going past errors', async () => {
+            users(MEMBER, OTHER);
+            Membership.findOne.mockResolvedValue({ ...inDatabase });
+            contractService.getMemberInfo.mockImplementation(async walletAddress => {
+                if (walletAddress === OTHER) throw new Error('timeout');
+                return onChain;
+            });
+
+            const run = await reconciliationService.run({ dryRun: true });
+
+            expect(run.status).toBe('completed');
+            expect(run.summary.toObject()).toEqual({ checked: 2, inSync: 1, drifted: 0, repaired: 0, errors: 1 });
+            expect(run.diffs).toHaveLength(1);
+            expect(reconciliationService.isRunning()).toBe(false);
+        });
+
+        test('only one run at a time', async () => {
+            let finishRead;
+            contractService.getMemberInfo.mockReturnValue(new Promise(resolve => { finishRead = resolve; }));
+            Membership.findOne.mockResolvedValue({ ...inDatabase });
+
+            const first = reconciliationService.run();
+            await expect(reconciliationService.run()).rejects.toThrow('Reconciliation already in progress');
+
+            finishRead(onChain);
+            expect((await first).status).toBe('completed');
+        });
+    });
+});
@@ -0,0 +1,118 @@
+// tests/services/siweService.test.js - Sign-in messages parse back and each nonce signs in once
+jest.mock('../../src/models/WalletNonce', () => {
+    const nonces = [];
+
+    return {
+        nonces,
+        create: jest.fn(async (fields) => {
+            const walletNonce = { ...fields, usedAt: null };
+            nonces.push(walletNonce);
+            return walletNonce;
+        }),
+        consume: jest.fn(async (nonce, userId) => {
+            const walletNonce = nonces.find(candidate =>
+                candidate.nonce === nonce &&
+                candidate.user === userId &&
+                !candidate.usedAt &&
+                candidate.expiresAt > new Date()
+            );
+            if (walletNonce) {
+                walletNonce.usedAt = new Date();
+            }
+            return walletNonce || null;
+        })
+    };
+});
+
+const { ethers } = require('ethers');
+const WalletNonce = require('../../src/models/WalletNonce');
+const siweService = require('../../src/services/siweService');
+
+const DOMAIN = 'app.example.com';
+
+describe('siweService', () => {
+    const wallet = ethers.Wallet.createRandom();
+    const user = { _id: 'user-1', telegramId: '1001' };
+
+    beforeEach(() => {
+        WalletNonce.nonces.length = 0;
+        jest.clearAllMocks();
+    });
+
+    test('parseMessage reads back every field buildMessage writes', () => {
+        const fields = {
+            domain: DOMAIN,
+            uri: 'https://app.example.com',
+            address: wallet.address,
+            chainId: 56,
+            nonce: 'abc123',
+            issuedAt: '2024-01-01T00:00:00.000Z',
+            expirationTime: '2024-01-01T00:10:00.000Z'
+        };
+
+        expect(siweService.parseMessage(siweService.buildMessage(fields))).toEqual({ ...fields, version: '1' });
+    });
+
+    test('parseMessage rejects text that is not a sign-in message', () => {
+        expect(siweService.parseMessage('hello')).toBeNull();
+        expect(siweService.parseMessage(`${DOMAIN} wants you to sign in with your Ethereum account:\nnot-an-address`)).toBeNull();
+    });
+
+    test('createChallenge binds the message to APP_URL and the configured chain', async () => {
+        const { message } = await siweService.createChallenge(user, wallet.address);
+        const parsed = siweService.parseMessage(message);
+
+        expect(parsed.domain).toBe(DOMAIN);
+        expect(parsed.uri).toBe('https://app.example.com');
+        expect(parsed.chainId).toBe(56);
+        expect(parsed.address).toBe(wallet.address);
+    });
+
+    test('a signed challenge verifies once and its nonce cannot be replayed', async () => {
+        const { message } = await siweService.createChallenge(user, wallet.address);
+        const signature = await wallet.signMessage(message);
+
+        await expect(siweService.verify(user, message, signature, DOMAIN))
+            .resolves.toBe(wallet.address.toLowerCase());
+        await expect(siweService.verify(user, message, signature, DOMAIN))
+            .rejects.toThrow('Nonce is invalid, expired or already used');
+    });
+
+    test('a nonce issued to another user is not accepted', async () => {
+        const { message } = await siweService.createChallenge(user, wallet.address);
+        const signature = await wallet.signMessage(message);
+
+        await expect(siweService.verify({ _id: 'user-2' }, message, signature, DOMAIN))
+            .rejects.toThrow('Nonce is invalid, expired or already used');
+    });
+
+    test('a signature from another wallet fails without burning the nonce', async () => {
+        const { message } = await siweService.createChallenge(user, wallet.address);
+        const forged = await ethers.Wallet.createRandom().signMessage(message);
+
+        await expect(siweService.verify(user, message, forged, DOMAIN))
+            .rejects.toThrow('Signature verification failed');
+        expect(WalletNonce.consume).not.toHaveBeenCalled();
+
+        const signature = await wallet.signMessage(message);
+        await expect(siweService.verify(user, message, signature, DOMAIN))
+            .resolves.toBe(wallet.address.toLowerCase());
+    });
+
+    test('a message for another domain is rejected', async () => {
+        const { message } = await siweService.createChallenge(user, wallet.address);
+        const signature = await wallet.signMessage(message);
+
+        await expect(siweService.verify(user, message, signature, 'evil.example.com'))
+            .rejects.toThrow('Sign-in message was issued for another domain');
+    });
+
+    test('an expired nonce is rejected', async () => {
+        const { message } = await siweService.createChallenge(user, wallet.address);
+        const signature = await wallet.signMessage(message);
+        WalletNonce.nonces[0].expiresAt = new Date(Date.now() - 1000);
+
+        await expect(siweService.verify(user, message, signature, DOMAIN))
+            .rejects.toThrow('Nonce is invalid, expired or already used');
+    });
+});
@@ -0,0 +1,186 @@
+// tests/services/transactionVerifier.test.js - Background verification state is shared, resumable and announced once
+jest.mock('../../src/models/Membership', () => ({
+    chainFilter: jest.fn(() => ({})),
+    findOne: jest.fn()
+}));
+jest.mock('../../src/models/TransactionVerification', () => {
+    // Same semantics as the Mongo statics, keyed like the unique index
+    const records = new Map();
+    const keyOf = ({ chainId, kind, transactionHash }) => `${chainId}:${kind}:${transactionHash.toLowerCase()}`;
+
+    return {
+        records,
+        keyOf,
+        begin: jest.fn(async (key, walletAddress) => {
+            const record = records.get(keyOf(key)) || { leaseUntil: 0 };
+            Object.assign(record, { walletAddress: walletAddress.toLowerCase(), status: 'pending', failure: null });
+            records.set(keyOf(key), record);
+            return record;
+        }),
+        findFor: jest.fn(async (key, walletAddress) => {
+            const record = records.get(keyOf(key));
+            return record && record.walletAddress === walletAddress.toLowerCase() ? { ...record } : null;
+        }),
+        claim: jest.fn(async (key, leaseMs) => {
+            const record = records.get(keyOf(key));
+            if (!record || record.status !== 'pending' || record.leaseUntil > Date.now()) {
+                return null;
+            }
+            record.leaseUntil = Date.now() + leaseMs;
+            return record;
+        }),
+        extendLease: jest.fn(async () => {}),
+        fail: jest.fn(async (key, walletAddress, failure) => {
+            const previous = records.get(keyOf(key));
+            records.set(keyOf(key), { walletAddress: walletAddress.toLowerCase(), status: 'failed', failure, leaseUntil: 0 });
+            return previous ? { ...previous } : null;
+        }),
+        finish: jest.fn(async (key) => { records.delete(keyOf(key)); })
+    };
+});
+jest.mock('../../src/services/telegramBotService', () => ({ notifyTransactionFailed: jest.fn() }));
+
+const Membership = require('../../src/models/Membership');
+const TransactionVerification = require('../../src/models/TransactionVerification');
+const telegramBotService = require('../../src/services/telegramBotService');
+const transactionVerifier = require('../../src/services/transactionVerifier');
+
+const HASH = `0x${'ab'.repeat(32)}`;
+const user = { _id: 'user-1', telegramId: '1001', walletAddress: '0x00000000000000000000000000000000000000aa' };
+const KEY = { chainId: 56, kind: 'membership', transactionHash: HASH };
+
+function revertError() {
+    return Object.assign(new Error('Plan is not active'), {
+        statusCode: 400,
+        contractError: { code: 'InactivePlan', message: 'Plan is not active', action: 'Choose another plan' }
+    });
+}
+
+// Let the background watcher settle
+const settled = () => new Promise(resolve => setImmediate(resolve));
+
+// A process that has never seen the transaction, e.g. another PM2 instance
+function inAnotherProcess() {
+    transactionVerifier.watching.clear();
+}
+
+describe('transactionVerifier background verification', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+        TransactionVerification.records.clear();
+        transactionVerifier.watching.clear();
+        jest.clearAllMocks();
+        Membership.findOne.mockResolvedValue(null);
+        jest.spyOn(transactionVerifier, 'getSubmittedTransaction').mockResolvedValue({});
+        jest.spyOn(transactionVerifier, 'verifyMembershipTransaction').mockResolvedValue({ membership: {}, alreadyRecorded: false });
+    });
+
+    test('an already recorded transaction is confirmed without a background check', async () => {
+        Membership.findOne.mockResolvedValue({ planId: 2 });
+
+        const result = await transactionVerifier.submit('membership', user, HASH, 56);
+
+        expect(result).toMatchObject({ status: 'confirmed', alreadyRecorded: true });
+        expect(TransactionVerification.begin).not.toHaveBeenCalled();
+    });
+
+    test('a submitted transaction is pending until the check finishes, and the record is then removed', async () => {
+        let finishCheck;
+        transactionVerifier.verifyMembershipTransaction.mockReturnValue(new Promise(resolve => { finishCheck = resolve; }));
+
+        expect(await transactionVerifier.submit('membership', user, HASH, 56)).toEqual({ status: 'pending' });
+        expect(await transactionVerifier.getStatus('membership', user, HASH, 56)).toEqual({ status: 'pending' });
+
+        finishCheck({ membership: {}, alreadyRecorded: false });
+        await transactionVerifier.watching.get(`56:membership:${HASH}`);
+
+        expect(TransactionVerification.records.size).toBe(0);
+    });
+
+    test('a poll in another process resumes a check whose lease ran out', async () => {
+        transactionVerifier.verifyMembershipTransaction.mockReturnValue(new Promise(() => {}));
+        await transactionVerifier.submit('membership', user, HASH, 56);
+
+        inAnotherProcess();
+        TransactionVerification.records.get(TransactionVerification.keyOf(KEY)).leaseUntil = 0;
+
+        expect(await transactionVerifier.getStatus('membership', user, HASH, 56)).toEqual({ status: 'pending' });
+        expect(transactionVerifier.verifyMembershipTransaction).toHaveBeenCalledTimes(2);
+    });
+
+    test('a poll in another process leaves a check with a live lease alone', async () => {
+        transactionVerifier.verifyMembershipTransaction.mockReturnValue(new Promise(() => {}));
+        await transactionVerifier.submit('membership', user, HASH, 56);
+
+        inAnotherProcess();
+
+        expect(await transactionVerifier.getStatus('membership', user, HASH, 56)).toEqual({ status: 'pending' });
+        expect(transactionVerifier.verifyMembershipTransaction).toHaveBeenCalledTimes(1);
+    });
+
+    test('a background revert is reported to every process and announced once', async () => {
+        transactionVerifier.verifyMembershipTransaction.mockRejectedValue(revertError());
+
+        await transactionVerifier.submit('membership', user, HASH, 56);
+        await settled();
+        inAnotherProcess();
+
+        expect(await transactionVerifier.getStatus('membership', user, HASH, 56)).toEqual({
+            status: 'failed',
+            failure: { error: 'Plan is not active', code: 'InactivePlan', action: 'Choose another plan' }
+        });
+        expect(telegramBotService.notifyTransactionFailed).toHaveBeenCalledTimes(1);
+
+        // Submitting the same reverted hash again answers with the error but does not repeat the message
+        transactionVerifier.getSubmittedTransaction.mockRejectedValue(revertError());
+        await expect(transactionVerifier.submit('membership', user, HASH, 56)).rejects.toThrow('Plan is not active');
+        expect(telegramBotService.notifyTransactionFailed).toHaveBeenCalledTimes(1);
+    });
+
+    test('a revert found at submit time is recorded and announced', async () => {
+        transactionVerifier.getSubmittedTransaction.mockRejectedValue(revertError());
+
+        await expect(transactionVerifier.submit('membership', user, HASH, 56)).rejects.toThrow('Plan is not active');
+
+        expect(telegramBotService.notifyTransactionFailed).toHaveBeenCalledWith('1001', expect.objectContaining({ code: 'InactivePlan' }), HASH);
+        expect((await transactionVerifier.getStatus('membership', user, HASH, 56)).status).toBe('failed');
+    });
+
+    test('an unknown transaction is not recorded', async () => {
+        transactionVerifier.getSubmittedTransaction.mockRejectedValue(
+            Object.assign(new Error('Transaction not found'), { statusCode: 404 })
+        );
+
+        await expect(transactionVerifier.submit('membership', user, HASH, 56)).rejects.toThrow('Transaction not found');
+        expect(await transactionVerifier.getStatus('membership', user, HASH, 56)).toEqual({ status: 'unknown' });
+    });
+
+    test('another wallet cannot read the status', async () => {
+        transactionVerifier.verifyMembershipTransaction.mockReturnValue(new Promise(() => {}));
+        await transactionVerifier.submit('membership', user, HASH, 56);
+
+        const other = { ...user, walletAddress: '0x00000000000000000000000000000000000000bb' };
+        expect(await transactionVerifier.getStatus('membership', other, HASH, 56)).toEqual({ status: 'unknown' });
+    });
+
+    test('the verified callback runs after a resumed check too', async () => {
+        const onVerified = jest.fn();
+        transactionVerifier.verifyMembershipTransaction.mockReturnValueOnce(new Promise(() => {}));
+        await transactionVerifier.submit('membership', user, HASH, 56, onVerified);
+
+        inAnotherProcess();
+        TransactionVerification.records.get(TransactionVerification.keyOf(KEY)).leaseUntil = 0;
+        await transactionVerifier.getStatus('membership', user, HASH, 56, onVerified);
+        await transactionVerifier.watching.get(`56:membership:${HASH}`);
+
+        expect(onVerified).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,50 @@
+// tests/services/web3Service.test.js - Member reads share ContractService's cache entry and quorum read
+const contractCache = require('../../src/services/contractCache');
+const ContractService = require('../../src/services/contractService');
+const web3Service = require('../../src/services/web3Service');
+
+const MEMBER = '0x00000000000000000000000000000000000000aa';
+
+describe('web3Service member reads', () => {
+    const contractService = ContractService.forNetwork(56);
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        contractService.provider.destroy();
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+        contractCache.entries.clear();
+        contractCache.loading.clear();
+        jest.spyOn(contractService, 'readMemberInfo').mockResolvedValue({ planId: '2', cycleNumber: '1' });
+    });
+
+    afterEach(() => {
+        contractService.readMemberInfo.mockRestore();
+    });
+
+    test('reads through the quorum-checked ContractService read', async () => {
+        expect(await web3Service.getMemberInfo(MEMBER)).toEqual({ planId: '2', cycleNumber: '1' });
+        expect(contractService.readMemberInfo).toHaveBeenCalledWith(MEMBER);
+    });
+
+    test('both services answer from one cache entry', async () => {
+        await contractService.getMemberInfo(MEMBER);
+        await web3Service.getMemberInfo(MEMBER);
+
+        expect(contractService.readMemberInfo).toHaveBeenCalledTimes(1);
+    });
+
+    test('a fresh ContractService read is seen by web3Service', async () => {
+        await web3Service.getMemberInfo(MEMBER);
+        contractService.readMemberInfo.mockResolvedValue({ planId: '3', cycleNumber: '1' });
+
+        await contractService.getMemberInfo(MEMBER, { fresh: true });
+
+        expect(await web3Service.getMemberInfo(MEMBER)).toEqual({ planId: '3', cycleNumber: '1' });
+    });
+});
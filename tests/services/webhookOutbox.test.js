@@ -0,0 +1,144 @@
+// tests/services/webhookOutbox.test.js - Outbox deliveries are queued once, retried with backoff, dead-lettered and replayed
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const web3Config = require('../../src/config/web3');
+const webhookOutbox = require('../../src/services/webhookOutbox');
+const { verifyWebhookSignature } = require('../../src/utils/encryption');
+
+const SECRET = 'test-webhook-secret';
+
+function delivery(fields = {}) {
+    return new WebhookDelivery({
+        endpoint: '/commission-paid',
+        payload: { recipientAddress: '0x00000000000000000000000000000000000000bb', amount: '5000000', chainId: 56 },
+        maxAttempts: 3,
+        ...fields
+    });
+}
+
+const response = (status, statusText = '') => ({ ok: status >= 200 && status < 300, status, statusText });
+
+describe('webhookOutbox', () => {
+    beforeAll(() => {
+        webhookOutbox.webhookSecret = SECRET;
+    });
+
+    afterAll(() => {
+        web3Config.provider.destroy();
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(WebhookDelivery.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+        jest.spyOn(webhookOutbox, 'send').mockResolvedValue(response(200, 'OK'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('enqueue', () => {
+        test('an event already in the outbox is not queued again', async () => {
+            const existing = delivery({ eventKey: '56:0xaaa:0' });
+            jest.spyOn(WebhookDelivery, 'findOne').mockResolvedValue(existing);
+            jest.spyOn(WebhookDelivery, 'create');
+
+            expect(await webhookOutbox.enqueue('/commission-paid', {}, '56:0xaaa:0')).toBe(existing);
+            expect(WebhookDelivery.create).not.toHaveBeenCalled();
+        });
+
+        test('losing the insert race returns the delivery the other worker stored', async () => {
+            const stored = delivery({ eventKey: '56:0xaaa:0' });
+            jest.spyOn(WebhookDelivery, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(stored);
+            jest.spyOn(WebhookDelivery, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+            expect(await webhookOutbox.enqueue('/commission-paid', {}, '56:0xaaa:0')).toBe(stored);
+        });
+    });
+
+    describe('request body', () => {
+        test('is signed over the event, delivery id and labelled data', () => {
+            const queued = delivery();
+            const body = webhookOutbox.buildRequestBody(queued);
+            const { signature, timestamp, ...payload } = body;
+
+            expect(payload).toMatchObject({
+                event: 'commission-paid',
+                deliveryId: queued._id.toString(),
+                data: { amount: '5000000', chainId: 56, network: web3Config.getNetworkConfig(56).name }
+            });
+            expect(verifyWebhookSignature(SECRET, payload, timestamp, signature)).toBe(true);
+        });
+
+        test('a delivery queued before multi-network support is labelled with the default network', () => {
+            const body = webhookOutbox.buildRequestBody(delivery({ payload: { amount: '1' } }));
+
+            expect(body.data.network).toBe(web3Config.getNetworkConfig(web3Config.chainId).name);
+        });
+    });
+
+    describe('deliver', () => {
+        test('a 2xx response marks the delivery delivered', async () => {
+            const queued = delivery();
+
+            expect(await webhookOutbox.deliver(queued)).toBe(true);
+            expect(queued).toMatchObject({ status: 'delivered', attempts: 1, lastStatusCode: 200 });
+        });
+
+        test('a non-2xx response schedules a retry with backoff', async () => {
+            webhookOutbox.send.mockResolvedValue(response(503, 'Service Unavailable'));
+            const queued = delivery();
+
+            expect(await webhookOutbox.deliver(queued)).toBe(false);
+            expect(queued).toMatchObject({ status: 'pending', attempts: 1, lastStatusCode: 503 });
+            expect(queued.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+        });
+
+        test('the last failed attempt dead-letters the delivery', async () => {
+            webhookOutbox.send.mockRejectedValue(new Error('connect ECONNREFUSED'));
+            const queued = delivery({ attempts: 2 });
+
+            await webhookOutbox.deliver(queued);
+
+            expect(queued).toMatchObject({ status: 'dead', attempts: 3, lastError: 'connect ECONNREFUSED' });
+            expect(queued.deadAt).toBeInstanceOf(Date);
+        });
+
+        test('a delivery leased by another worker is not sent', async () => {
+            jest.spyOn(WebhookDelivery, 'claim').mockResolvedValue(null);
+
+            expect(await webhookOutbox.deliverNow('delivery-1')).toBe(false);
+            expect(webhookOutbox.send).not.toHaveBeenCalled();
+        });
+    });
+
+    test('retry delays double per attempt and stop at the cap', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+        expect(webhookOutbox.getRetryDelay(1)).toBe(webhookOutbox.baseDelay);
+        expect(webhookOutbox.getRetryDelay(3)).toBe(webhookOutbox.baseDelay * 4);
+        expect(webhookOutbox.getRetryDelay(30)).toBe(webhookOutbox.maxDelay);
+    });
+
+    describe('replay', () => {
+        test('resets a dead delivery and sends it again', async () => {
+            const dead = delivery({ status: 'dead', attempts: 3, deadAt: new Date() });
+            jest.spyOn(WebhookDelivery, 'findById').mockResolvedValue(dead);
+            jest.spyOn(WebhookDelivery, 'claim').mockResolvedValue(dead);
+
+            const result = await webhookOutbox.replay(dead._id);
+
+            expect(result.delivered).toBe(true);
+            expect(dead).toMatchObject({ status: 'delivered', attempts: 1, replayCount: 1 });
+        });
+
+        test('only dead deliveries can be replayed', async () => {
+            jest.spyOn(WebhookDelivery, 'findById').mockResolvedValue(delivery());
+
+            await expect(webhookOutbox.replay('delivery-1'))
+                .rejects.toThrow('Only dead-lettered deliveries can be replayed (status: pending)');
+            expect(webhookOutbox.send).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,8 @@
+// tests/setup.js - Network settings web3Config needs at load; nothing is ever sent to this RPC URL
+process.env.CHAIN_ID = '56';
+process.env.NETWORKS = '';
+process.env.RPC_URL = 'http://127.0.0.1:8545';
+process.env.RPC_URLS = '';
+process.env.CONTRACT_ADDRESS = '0x0000000000000000000000000000000000000001';
+process.env.USDT_CONTRACT_ADDRESS = '0x0000000000000000000000000000000000000002';
+process.env.APP_URL = 'https://app.example.com';
@@ -0,0 +1,49 @@
+// tests/utils/encryption.test.js - Webhook HMAC signatures round-trip and reject tampering
+const {
+    getWebhookSigningString,
+    signWebhookPayload,
+    verifyWebhookSignature
+} = require('../../src/utils/encryption');
+
+const SECRET = 'test-webhook-secret';
+const TIMESTAMP = 1700000000;
+
+const payload = {
+    event: '/member-registered',
+    deliveryId: '65f0c0ffee0000000000abcd',
+    data: { memberAddress: '0x00000000000000000000000000000000000000aa', planId: '1' }
+};
+
+describe('webhook signatures', () => {
+    test('a signature verifies against the payload it was made for', () => {
+        const signature = signWebhookPayload(SECRET, payload, TIMESTAMP);
+
+        expect(signature).toMatch(/^[0-9a-f]{64}$/);
+        expect(verifyWebhookSignature(SECRET, payload, TIMESTAMP, signature)).toBe(true);
+    });
+
+    test('the signature field itself is not covered', () => {
+        const signature = signWebhookPayload(SECRET, payload, TIMESTAMP);
+
+        expect(verifyWebhookSignature(SECRET, { ...payload, signature }, TIMESTAMP, signature)).toBe(true);
+        expect(getWebhookSigningString({ ...payload, signature }, TIMESTAMP))
+            .toBe(getWebhookSigningString(payload, TIMESTAMP));
+    });
+
+    test('a changed body, timestamp or secret fails', () => {
+        const signature = signWebhookPayload(SECRET, payload, TIMESTAMP);
+        const tampered = { ...payload, data: { ...payload.data, planId: '16' } };
+
+        expect(verifyWebhookSignature(SECRET, tampered, TIMESTAMP, signature)).toBe(false);
+        expect(verifyWebhookSignature(SECRET, payload, TIMESTAMP + 1, signature)).toBe(false);
+        expect(verifyWebhookSignature('another-secret', payload, TIMESTAMP, signature)).toBe(false);
+    });
+
+    test('malformed signatures are rejected without throwing', () => {
+        const signature = signWebhookPayload(SECRET, payload, TIMESTAMP);
+
+        expect(verifyWebhookSignature(SECRET, payload, TIMESTAMP, undefined)).toBe(false);
+        expect(verifyWebhookSignature(SECRET, payload, TIMESTAMP, 'not-hex')).toBe(false);
+        expect(verifyWebhookSignature(SECRET, payload, TIMESTAMP, signature.slice(0, 32))).toBe(false);
+    });
+});